@@ -12,6 +12,43 @@ const readline = require("readline");
 // Collect arguments excluding the first two default argv entries (node & script path)
 const args = process.argv.slice(2);
 
+// Values accepted by `--format` and the `output` config option
+const OUTPUT_FORMATS = ["cli", "json", "sarif"];
+// Values of `--format` that export the dependency graph instead
+const GRAPH_FORMATS = ["dot", "mermaid"];
+
+// Options taking a value, as `--name value` or `--name=value`
+const VALUE_OPTIONS = [
+  "--config",
+  "--bundle-dir",
+  "--max-cycles",
+  "--concurrency",
+  "--format",
+  "--report",
+  "--focus",
+  "--depth",
+  "--collapse",
+];
+
+// Value given to an option, or undefined when it isn't passed
+const getOptionValue = (name) => {
+  const arg = process.argv.find(
+    (item) => item === name || item.startsWith(`${name}=`)
+  );
+  if (!arg) return undefined;
+  return arg === name
+    ? process.argv[process.argv.indexOf(name) + 1]
+    : arg.slice(name.length + 1);
+};
+
+// Positional arguments, options and their values left out: the command
+// first, then what it applies to (the file of `why`)
+const positionals = args.filter(
+  (arg, index) =>
+    !arg.startsWith("-") && !VALUE_OPTIONS.includes(args[index - 1])
+);
+const [command] = positionals;
+
 // Wrap entire CLI in async function for chalk support
 (async () => {
   const chalk = (await import("chalk")).default;
@@ -27,7 +64,8 @@ const args = process.argv.slice(2);
       chalk.bold.cyan(`\nvue-unused`) +
         chalk.gray(` — find and remove unused Vue components and files.\n\n`) +
         chalk.bold(`Usage\n`) +
-        `  vue-unused [options]\n\n` +
+        `  vue-unused [options]\n` +
+        `  vue-unused why <file> [options]\n\n` +
         chalk.bold(`Options\n`) +
         `  --createConfig   ${chalk.gray(
           "Create a default vue-unused.config.cjs in the current directory."
@@ -38,10 +76,70 @@ const args = process.argv.slice(2);
         `  --json           ${chalk.gray(
           "Output scan results to unused-files.json."
         )}\n` +
+        `  --format         ${chalk.gray(
+          "Also write results as <json|sarif>, or the graph as <dot|mermaid>."
+        )}\n` +
         `  --verbose        ${chalk.gray("Enable verbose output.")}\n` +
         `  --graph          ${chalk.gray(
           "Generate a dependency-graph.json file."
         )}\n` +
+        `  --focus          ${chalk.gray(
+          "Only draw a file or directory and its neighbours (dot/mermaid)."
+        )}\n` +
+        `  --depth          ${chalk.gray(
+          "With --focus, keep files up to <n> imports away."
+        )}\n` +
+        `  --collapse       ${chalk.gray(
+          "Draw one node per directory, cut to <n> levels."
+        )}\n` +
+        `  --hide-packages  ${chalk.gray(
+          "Leave npm packages out of the drawn graph."
+        )}\n` +
+        `  --report html    ${chalk.gray(
+          "Write an interactive, offline vue-unused-report.html."
+        )}\n` +
+        `  --reachability   ${chalk.gray(
+          "Only count files reachable from an entry point as used."
+        )}\n` +
+        `  --cycles         ${chalk.gray(
+          "Also report circular imports between modules."
+        )}\n` +
+        `  --max-cycles     ${chalk.gray(
+          "Report cycles and exit with code 1 when there are more than <n>."
+        )}\n` +
+        `  --exports        ${chalk.gray(
+          "Also report exported names that are never imported."
+        )}\n` +
+        `  --components     ${chalk.gray(
+          "Also report components imported or registered but never rendered."
+        )}\n` +
+        `  --members        ${chalk.gray(
+          "Also report props, emits and Options API members never used."
+        )}\n` +
+        `  --dependencies   ${chalk.gray(
+          "Also report unused, missing and misplaced npm dependencies."
+        )}\n` +
+        `  --assets         ${chalk.gray(
+          "Also report images, fonts and media files that are never referenced."
+        )}\n` +
+        `  --fail-on-unresolved ${chalk.gray(
+          "Exit with code 1 when local imports point at no file."
+        )}\n` +
+        `  --workspaces     ${chalk.gray(
+          "Analyze every package of an npm / yarn / pnpm workspace together."
+        )}\n` +
+        `  --no-cache       ${chalk.gray(
+          "Parse every file again instead of reusing the analysis cache."
+        )}\n` +
+        `  --concurrency    ${chalk.gray(
+          "Parse with up to <n> threads (default: one per CPU core)."
+        )}\n` +
+        `  --timings        ${chalk.gray(
+          "Print the time spent in each phase of the scan."
+        )}\n` +
+        `  --watch          ${chalk.gray(
+          "Keep running and report files that become unused or used again."
+        )}\n` +
         `  --bundle         ${chalk.blue(
           "Analyze bundle outputs for tree-shaken unused files."
         )}\n` +
@@ -65,6 +163,9 @@ const args = process.argv.slice(2);
         `  vue-unused --json         ${chalk.gray(
           "# Write results to unused-files.json"
         )}\n` +
+        `  vue-unused --format sarif ${chalk.gray(
+          "# Write a SARIF log for code scanning"
+        )}\n` +
         `  vue-unused --delete       ${chalk.gray(
           "# Delete unused files (use with caution)"
         )}\n` +
@@ -74,6 +175,48 @@ const args = process.argv.slice(2);
         `  vue-unused --graph        ${chalk.gray(
           "# Generate dependency-graph.json"
         )}\n` +
+        `  vue-unused graph --format dot --focus src/components ${chalk.gray(
+          "# Draw part of the graph with Graphviz"
+        )}\n` +
+        `  vue-unused --report html  ${chalk.gray(
+          "# Explore files and the dependency graph in a browser"
+        )}\n` +
+        `  vue-unused why src/components/Modal.vue ${chalk.gray(
+          "# Show the import chains that keep a file used"
+        )}\n` +
+        `  vue-unused --reachability ${chalk.gray(
+          "# Report dead files and the dead islands they form"
+        )}\n` +
+        `  vue-unused --exports      ${chalk.gray(
+          "# Also list unused exports in used files"
+        )}\n` +
+        `  vue-unused --cycles       ${chalk.gray(
+          "# Also list circular imports"
+        )}\n` +
+        `  vue-unused --max-cycles 0 ${chalk.gray(
+          "# Fail CI on any new circular import"
+        )}\n` +
+        `  vue-unused --components   ${chalk.gray(
+          "# Also list dead component imports inside SFCs"
+        )}\n` +
+        `  vue-unused --members      ${chalk.gray(
+          "# Also list dead props, emits, data, computed and methods"
+        )}\n` +
+        `  vue-unused --dependencies ${chalk.gray(
+          "# Also check package.json dependencies"
+        )}\n` +
+        `  vue-unused --assets       ${chalk.gray(
+          "# Also list unreferenced static assets"
+        )}\n` +
+        `  vue-unused --fail-on-unresolved ${chalk.gray(
+          "# Fail CI on broken imports"
+        )}\n` +
+        `  vue-unused --workspaces   ${chalk.gray(
+          "# Analyze a monorepo as one project, grouped by package"
+        )}\n` +
+        `  vue-unused --watch --reachability ${chalk.gray(
+          "# Follow dead code while editing"
+        )}\n` +
         `  vue-unused --bundle       ${chalk.gray(
           "# Analyze bundle outputs for accurate unused file detection"
         )}\n` +
@@ -106,13 +249,13 @@ const args = process.argv.slice(2);
   }
 
   // Handle help commands
-  if (args.includes("-h") || args.includes("--help") || args[0] === "help") {
+  if (args.includes("-h") || args.includes("--help") || command === "help") {
     showHelp(chalk);
     process.exit(0);
   }
 
   // Handle manual command
-  if (args.includes("--manual") || args[0] === "manual") {
+  if (args.includes("--manual") || command === "manual") {
     showManual();
     process.exit(0);
   }
@@ -131,23 +274,37 @@ const args = process.argv.slice(2);
       "-h",
       "-v",
       "--graph",
+      "--reachability",
+      "--cycles",
+      "--max-cycles",
+      "--exports",
+      "--components",
+      "--members",
+      "--dependencies",
+      "--assets",
+      "--fail-on-unresolved",
+      "--workspaces",
+      "--no-cache",
+      "--hide-packages",
+      "--timings",
+      "--watch",
       "--bundle",
       "--bundle-dir",
     ]);
-    const knownCommands = new Set(["help", "manual", "graph"]);
+    const knownCommands = new Set(["help", "manual", "graph", "why"]);
 
     for (let i = 0; i < args.length; i++) {
       const arg = args[i];
 
       if (arg.startsWith("-")) {
         // Check for known options with parameters (both space-separated and equals syntax)
-        const isConfigFlag = arg === "--config" || arg.startsWith("--config=");
-        const isBundleDirFlag =
-          arg === "--bundle-dir" || arg.startsWith("--bundle-dir=");
-
-        if (isConfigFlag || isBundleDirFlag) {
+        if (
+          VALUE_OPTIONS.some(
+            (option) => arg === option || arg.startsWith(`${option}=`)
+          )
+        ) {
           // Skip the next argument only for space-separated syntax
-          if (arg === "--config" || arg === "--bundle-dir") {
+          if (VALUE_OPTIONS.includes(arg)) {
             i++; // Skip the path parameter
           }
           continue;
@@ -159,6 +316,8 @@ const args = process.argv.slice(2);
           showHelp(chalk);
           process.exit(1);
         }
+      } else if (command === "why" && arg === positionals[1]) {
+        // The file to explain
       } else if (!knownCommands.has(arg)) {
         // Positional command not recognized
         console.error(chalk.red(`Unknown command: ${arg}\n`));
@@ -240,9 +399,10 @@ const args = process.argv.slice(2);
 
     // Output
     const outputAnswer =
-      (await ask("Preferred output format (cli/json)? (default cli): ")) ||
-      "cli";
-    if (["cli", "json"].includes(outputAnswer.toLowerCase())) {
+      (await ask(
+        `Preferred output format (${OUTPUT_FORMATS.join("/")})? (default cli): `
+      )) || "cli";
+    if (OUTPUT_FORMATS.includes(outputAnswer.toLowerCase())) {
       customConfig.output = outputAnswer.toLowerCase();
     }
 
@@ -333,12 +493,125 @@ const args = process.argv.slice(2);
     const ora = (await import("ora")).default;
     const config = await loadConfig();
 
-    const wantsGraph = args.includes("--graph") || args[0] === "graph";
     config.verbose = process.argv.includes("--verbose");
     config.output = process.argv.includes("--json") ? "json" : config.output;
+    // `--format dot|mermaid` exports the graph, other formats the results
+    const format = getOptionValue("--format");
+    if (GRAPH_FORMATS.includes(format)) {
+      config.graphFormat = format;
+    } else if (format !== undefined) {
+      config.output = format;
+    }
+    if (!OUTPUT_FORMATS.includes(config.output)) {
+      console.error(
+        chalk.red(
+          `--format expects one of: ${[
+            ...OUTPUT_FORMATS,
+            ...GRAPH_FORMATS,
+          ].join(", ")}.`
+        )
+      );
+      process.exit(1);
+    }
+    const wantsGraph =
+      args.includes("--graph") || command === "graph" || !!config.graphFormat;
     config.delete = process.argv.includes("--delete") || config.delete;
     config.graph = wantsGraph;
+
+    // `why <file>` explains one file instead of reporting the project
+    if (command === "why") {
+      if (!positionals[1]) {
+        console.error(chalk.red("why expects a file: vue-unused why <file>"));
+        process.exit(1);
+      }
+      config.why = path.resolve(process.cwd(), positionals[1]);
+      config.delete = false;
+    }
+
+    // Filters of the DOT / Mermaid export
+    const focus = getOptionValue("--focus");
+    if (focus !== undefined) {
+      config.graphFocus = path.resolve(process.cwd(), focus);
+    }
+    for (const [option, key, min] of [
+      ["--depth", "graphDepth", 0],
+      ["--collapse", "graphCollapse", 1],
+    ]) {
+      const value = getOptionValue(option);
+      if (value === undefined) continue;
+      config[key] = Number(value);
+      if (!Number.isInteger(config[key]) || config[key] < min) {
+        console.error(
+          chalk.red(
+            `${option} expects a ${min ? "positive" : "non-negative"} number.`
+          )
+        );
+        process.exit(1);
+      }
+    }
+    config.hidePackages = process.argv.includes("--hide-packages");
+    if (Number.isInteger(config.graphDepth) && !config.graphFocus) {
+      console.error(chalk.red("--depth needs --focus."));
+      process.exit(1);
+    }
+
+    const report = getOptionValue("--report");
+    if (report !== undefined) config.report = report;
+    if (config.report && config.report !== "html") {
+      console.error(chalk.red("--report expects: html."));
+      process.exit(1);
+    }
     config.bundle = process.argv.includes("--bundle");
+    config.reachability =
+      process.argv.includes("--reachability") || !!config.reachability;
+    config.exports = process.argv.includes("--exports") || !!config.exports;
+
+    // `--max-cycles <n>` / `--max-cycles=<n>` implies `--cycles`
+    const maxCyclesArg = process.argv.find(
+      (arg) => arg === "--max-cycles" || arg.startsWith("--max-cycles=")
+    );
+    if (maxCyclesArg) {
+      const value = maxCyclesArg.startsWith("--max-cycles=")
+        ? maxCyclesArg.split("=", 2)[1]
+        : process.argv[process.argv.indexOf("--max-cycles") + 1];
+      config.maxCycles = Number(value);
+      if (!Number.isInteger(config.maxCycles) || config.maxCycles < 0) {
+        console.error(chalk.red("--max-cycles expects a non-negative number."));
+        process.exit(1);
+      }
+    }
+    config.cycles =
+      process.argv.includes("--cycles") ||
+      !!config.cycles ||
+      Number.isInteger(config.maxCycles);
+    config.components =
+      process.argv.includes("--components") || !!config.components;
+    config.members = process.argv.includes("--members") || !!config.members;
+    config.dependencies =
+      process.argv.includes("--dependencies") || !!config.dependencies;
+    config.assets = process.argv.includes("--assets") || !!config.assets;
+    config.failOnUnresolved =
+      process.argv.includes("--fail-on-unresolved") ||
+      !!config.failOnUnresolved;
+    config.cache =
+      !process.argv.includes("--no-cache") && config.cache !== false;
+    config.timings = process.argv.includes("--timings");
+    const concurrency = getOptionValue("--concurrency");
+    if (concurrency !== undefined) config.concurrency = Number(concurrency);
+    if (
+      config.concurrency !== undefined &&
+      (!Number.isInteger(config.concurrency) || config.concurrency < 1)
+    ) {
+      console.error(chalk.red("--concurrency expects a positive number."));
+      process.exit(1);
+    }
+    config.watch = process.argv.includes("--watch");
+    if (config.watch && (config.delete || config.bundle || config.why)) {
+      console.error(
+        chalk.red("--watch can't be combined with --delete, --bundle or why.")
+      );
+      process.exit(1);
+    }
 
     // Parse bundle directory if specified
     const bundleDirArg = process.argv.find(
@@ -384,14 +657,67 @@ const args = process.argv.slice(2);
     }
 
     const spinner = ora("Scanning for unused files...").start();
+    if (config.watch) {
+      const { watchProject } = require("../lib/watch");
+      const { outputChanges } = require("../lib/output");
+      try {
+        await watchProject(config, {
+          spinner,
+          onReady: async (results) => {
+            spinner.stop();
+            await outputResults(results, config);
+            console.log(
+              chalk.gray("\n👀 Watching for changes... (Ctrl+C to stop)")
+            );
+          },
+          onChange: (changes) => outputChanges(changes, config),
+          onError: (err) => console.error(chalk.red(err.message)),
+        });
+      } catch (err) {
+        spinner.fail("Scan failed.");
+        console.error(chalk.red(err.message));
+        process.exit(1);
+      }
+      return;
+    }
     try {
       const results = await analyzeProject(config, spinner);
       spinner.stop();
+      if (config.why) {
+        const { outputWhy } = require("../lib/output");
+        await outputWhy(results, config);
+        return;
+      }
       await outputResults(results, config);
-      if (wantsGraph) {
+      if (config.graphFormat) {
+        const { outputGraphExport } = require("../lib/output");
+        await outputGraphExport(results, config);
+      } else if (wantsGraph) {
         const { outputGraph } = require("../lib/output");
         await outputGraph(results.dependencyGraph, config);
       }
+      if (config.report) {
+        const { outputReport } = require("../lib/output");
+        await outputReport(results, config);
+      }
+      if (config.failOnUnresolved && results.unresolvedImports.length) {
+        process.exitCode = 1;
+      }
+      if (
+        Number.isInteger(config.maxCycles) &&
+        results.circularDependencies.length > config.maxCycles
+      ) {
+        console.error(
+          chalk.red(
+            `\n${results.circularDependencies.length} circular ${
+              results.circularDependencies.length !== 1
+                ? "dependencies"
+                : "dependency"
+            } found, ${config.maxCycles} allowed.`
+          )
+        );
+        process.exitCode = 1;
+      }
     } catch (err) {
       spinner.fail("Scan failed.");
       console.error(chalk.red(err.message));
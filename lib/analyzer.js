@@ -7,15 +7,59 @@
 const fg = require("fast-glob");
 const fs = require("fs");
 const path = require("path");
-const babelParser = require("@babel/parser");
-const traverse = require("@babel/traverse").default;
 const ignore = require("ignore").default;
 const {
-  parseVueFile,
-  getTemplateTags,
-  getImportedComponents,
   getUsedImportSources,
+  isRenderedComponent,
+  getDeclaredGlobalComponents,
+  toPascalCase,
 } = require("./vue-parser");
+const {
+  getImplicitEntries,
+  findReachableFiles,
+  findDeadIslands,
+} = require("./reachability");
+const { collectUsedNames, findUnusedExports } = require("./exports-analyzer");
+const { findCycles } = require("./cycles");
+const { explainUsage } = require("./why");
+const { openCache } = require("./cache");
+const { findUnusedMembers } = require("./member-analyzer");
+const {
+  DEPENDENCY_SCAN_GLOBS,
+  getPackageName,
+  getDeclaredPackages,
+  findDependencyIssues,
+} = require("./dependency-analyzer");
+const {
+  findWorkspacePackage,
+  getPackageEntrySpecifiers,
+} = require("./workspaces");
+const {
+  ASSET_EXTENSIONS,
+  STYLESHEET_EXTENSIONS,
+  extractTemplateAssetRefs,
+  extractStyleAssetRefs,
+} = require("./asset-analyzer");
+const {
+  isStylesheet,
+  getStyleLang,
+  extractStyleImports,
+  getStyleImportCandidates,
+} = require("./style-analyzer");
+const { discoverPreprocessorData } = require("./bundler-config");
+const {
+  getVueVersion,
+  extractModuleInfo,
+  createExtractors,
+} = require("./extract");
+const { getDefaultConcurrency, createWorkerPool } = require("./worker-pool");
+const {
+  detectNuxtConfig,
+  loadNuxtPreset,
+  isNuxtEntry,
+  getNuxtComponents,
+  getNuxtAutoImportFiles,
+} = require("./nuxt");
 
 // Initialize chalk for logging (will be loaded asynchronously)
 let chalk = null;
@@ -26,28 +70,9 @@ const loadChalk = async () => {
   return chalk;
 };
 
-function getVueVersion(rootDir) {
-  try {
-    // Use require.resolve for robust lookup of vue package from the target project
-    const vuePkgPath = require.resolve("vue/package.json", {
-      paths: [rootDir],
-    });
-    const vuePkg = require(vuePkgPath);
-    return vuePkg.version.startsWith("2") ? 2 : 3;
-  } catch {
-    // Fallback to Vue 2 for legacy projects if detection fails
-    return 2;
-  }
-}
-
-const getCompiler = (rootDir) => {
-  const vueVersion = getVueVersion(rootDir);
-  if (vueVersion === 2) {
-    return { version: 2, compiler: require("vue-template-compiler") };
-  } else {
-    return { version: 3, compiler: require("@vue/compiler-sfc") };
-  }
-};
+// Files each worker thread should have to parse, at least, for starting it
+// to pay off
+const FILES_PER_WORKER = 50;
 
 const memoize = (fn) => {
   const cache = new Map();
@@ -62,44 +87,9 @@ const memoize = (fn) => {
   };
 };
 
-const extractImports = (code, filePath) => {
-  const imports = new Set();
-  try {
-    const ast = babelParser.parse(code, {
-      sourceType: "module",
-      plugins: ["typescript", "jsx", "importAssertions"],
-    });
-    traverse(ast, {
-      ImportDeclaration({ node }) {
-        imports.add(node.source.value);
-      },
-      CallExpression({ node }) {
-        // import('...') or require('...')
-        if (
-          node.callee.type === "Import" &&
-          node.arguments.length &&
-          node.arguments[0].type === "StringLiteral"
-        ) {
-          imports.add(node.arguments[0].value);
-        }
-        // require('...')
-        if (
-          node.callee.type === "Identifier" &&
-          node.callee.name === "require" &&
-          node.arguments.length &&
-          node.arguments[0].type === "StringLiteral"
-        ) {
-          imports.add(node.arguments[0].value);
-        }
-      },
-    });
-  } catch (error) {
-    if (process.env.VUE_UNUSED_VERBOSE) {
-      console.error(`Failed to parse ${filePath}:`, error.message);
-    }
-  }
-  return Array.from(imports);
-};
+// Files whose parse failures are worth reporting (JSON is parsed as a script
+// too, and always fails)
+const SCRIPT_FILE_REGEX = /\.(vue|[cm]?[jt]sx?)$/;
 
 const debugLogs = [];
 
@@ -115,23 +105,87 @@ const getIgnorer = (rootDir) => {
   return ig;
 };
 
+// Match an import against a single alias key. RegExp keys are tested as-is,
+// keys containing `*` follow tsconfig `paths` semantics and all other keys are
+// plain prefixes. Returns the part of the import that the alias did not
+// consume (the whole import for RegExp keys), or null if it doesn't match.
+const matchAlias = (imp, alias) => {
+  if (alias instanceof RegExp) {
+    return imp.search(alias) !== -1 ? imp : null;
+  }
+  const star = alias.indexOf("*");
+  if (star === -1) {
+    if (imp === alias) return "";
+    return imp.startsWith(alias + "/") ? imp.slice(alias.length + 1) : null;
+  }
+  const prefix = alias.slice(0, star);
+  const suffix = alias.slice(star + 1);
+  if (
+    imp.length >= prefix.length + suffix.length &&
+    imp.startsWith(prefix) &&
+    imp.endsWith(suffix)
+  ) {
+    return imp.slice(prefix.length, imp.length - suffix.length);
+  }
+  return null;
+};
+
+// Turn an alias object or Vite-style `{ find, replacement }` array into
+// [find, target] pairs. String keys are sorted so the most specific (longest
+// prefix) is tried first; RegExp keys follow in their declared order.
+const sortAliases = (alias) => {
+  const entries = Array.isArray(alias)
+    ? alias.map(({ find, replacement }) => [find, replacement])
+    : Object.entries(alias || {});
+  const prefixLength = (key) => key.replace("*", "").length;
+  return [
+    ...entries
+      .filter(([find]) => typeof find === "string")
+      .sort((a, b) => prefixLength(b[0]) - prefixLength(a[0])),
+    ...entries.filter(([find]) => find instanceof RegExp),
+  ];
+};
+
 const isPackageImport = (imp, aliases) => {
   // An import is a package if it's not relative/absolute and not a configured alias.
-  const isAlias = aliases.some(
-    ([alias]) => imp === alias || imp.startsWith(alias + "/")
-  );
+  const isAlias = aliases.some(([alias]) => matchAlias(imp, alias) !== null);
   return !imp.startsWith(".") && !path.isAbsolute(imp) && !isAlias;
 };
 
-exports.analyzeProject = async (config, spinner) => {
+/**
+ * Scan and analyze a project, keeping what was found in memory. `report()`
+ * computes the results `analyzeProject` returns, `update(paths)` brings the
+ * analysis up to date with files changed on disk, and `link()` rebuilds the
+ * project graph from what is in memory.
+ */
+const createProjectSession = async (config, spinner) => {
   debugLogs.length = 0;
+  // Files may have been created since a previous scan in this process
+  existsCache.clear();
   const pLimit = (await import("p-limit")).default;
   const limit = pLimit(20); // Limit concurrency to 20
-  const { version: vueVersion, compiler } = getCompiler(config.rootDir);
+  const vueVersion = getVueVersion(config.rootDir);
 
   // Load chalk for consistent logging
   const chalk = await loadChalk();
 
+  // Problems that don't stop the scan (unparsable files, failed bundle
+  // analysis), returned to the caller instead of being printed
+  const diagnostics = [];
+  // Progress callback for programmatic use
+  const progress = (event) => {
+    if (config.onProgress) config.onProgress(event);
+  };
+  // Milliseconds spent in each phase
+  const timings = {};
+  const startedAt = Date.now();
+  let phaseStart = startedAt;
+  const endPhase = (phase) => {
+    const now = Date.now();
+    timings[phase] = now - phaseStart;
+    phaseStart = now;
+  };
+
   // Initialize bundle analysis if requested
   let bundleAnalysis = null;
   if (config.bundle) {
@@ -159,36 +213,75 @@ exports.analyzeProject = async (config, spinner) => {
         );
       }
     } catch (error) {
-      console.warn(chalk.yellow(`⚠ Bundle analysis failed: ${error.message}`));
+      diagnostics.push({
+        severity: "warning",
+        message: `Bundle analysis failed: ${error.message}`,
+      });
       bundleAnalysis = null;
     }
+    bundleAnalyzer.warnings.forEach((message) =>
+      diagnostics.push({ severity: "warning", message })
+    );
   }
 
   // Merge ignore from config. .gitignore is handled by fast-glob directly.
+  const defaultIgnores = [
+    "**/node_modules/**",
+    "**/dist/**",
+    "**/build/**",
+    "**/.output/**",
+    "**/.nuxt/**",
+    "**/.vite/**",
+    "**/.git/**",
+  ];
   const ignorePatterns = [
-    ...new Set([
-      ...(config.ignore || []),
-      "**/node_modules/**",
-      "**/dist/**",
-      "**/build/**",
-      "**/.output/**",
-      "**/.nuxt/**",
-      "**/.vite/**",
-      "**/.git/**",
-    ]),
+    ...new Set([...(config.ignore || []), ...defaultIgnores]),
   ];
 
-  const aliases = Object.entries(config.alias || {}).sort(
-    (a, b) => b[0].length - a[0].length
+  const aliases = sortAliases(config.alias);
+  // In workspaces mode each package resolves imports with its own aliases
+  const workspacePackages = config.workspacePackages || [];
+  const packageAliases = new Map(
+    workspacePackages.map((pkg) => [pkg, sortAliases(pkg.alias)])
   );
-  const memoizedNormalize = memoize(normalizeImportPath);
+  const aliasesFor = (file) => {
+    const pkg = findWorkspacePackage(file, workspacePackages);
+    return pkg ? packageAliases.get(pkg) : aliases;
+  };
+  // The root and each workspace package, deepest first. Entries, public/
+  // and package.json are looked up per directory.
+  const projectDirs = [
+    ...workspacePackages.map((pkg) => pkg.dir),
+    config.rootDir,
+  ];
+  const projectDirOf = (file) =>
+    projectDirs.find((dir) => file.startsWith(dir + path.sep)) ||
+    config.rootDir;
+  // Workspace package names resolve to files, but still count as
+  // dependencies of the importing package
+  const workspaceNames = new Set(workspacePackages.map((pkg) => pkg.name));
+  const isDependencyImport = (source, isPackage) =>
+    isPackage(source) || workspaceNames.has(getPackageName(source));
+  const declaredPackages = memoize(getDeclaredPackages);
+  let memoizedNormalize = memoize(normalizeImportPath);
   const ignorer = getIgnorer(config.rootDir);
 
+  // Stylesheets are scanned too, unless `styles: false`
+  const scanExtensions =
+    Array.isArray(config.extensions) && config.styles !== false
+      ? [
+          ...new Set([
+            ...config.extensions,
+            ...STYLESHEET_EXTENSIONS.map((ext) => `.${ext}`),
+          ]),
+        ]
+      : config.extensions;
+
   const globPattern =
     config.extensions === "ALL" ||
     (Array.isArray(config.extensions) && config.extensions.length === 0)
       ? "**/*"
-      : `**/*.{${config.extensions
+      : `**/*.{${scanExtensions
           .map((ext) => ext.replace(/^\./, ""))
           .join(",")}}`;
 
@@ -198,9 +291,10 @@ exports.analyzeProject = async (config, spinner) => {
     absolute: true,
   });
 
-  const allFiles = allFilesRaw.filter(
+  let allFiles = allFilesRaw.filter(
     (file) => !ignorer.ignores(path.relative(config.rootDir, file))
   );
+  const cache = openCache({ config, vueVersion, files: allFiles });
 
   // Helper to get real, normalized, case-sensitive path
   function normalizeFilePath(file) {
@@ -211,20 +305,364 @@ exports.analyzeProject = async (config, spinner) => {
     }
   }
 
-  // Use normalized paths for allFilesSet
-  const allFilesSet = new Set(allFiles.map((f) => normalizeFilePath(f)));
-  const usedFiles = new Set(
-    (config.entry || [])
-      .map((f) => path.resolve(config.rootDir, f))
-      .map(normalizeFilePath)
+  // Normalized path -> path as scanned. allFilesSet holds the normalized
+  // paths.
+  const scannedFiles = new Map(
+    allFiles.map((file) => [normalizeFilePath(file), file])
   );
+  const allFilesSet = new Set(scannedFiles.keys());
+  const configEntries = projectDirs
+    .flatMap((dir) => (config.entry || []).map((f) => path.resolve(dir, f)))
+    .map(normalizeFilePath);
+
+  // Nuxt loads pages, layouts, plugins, ... by convention
+  const nuxtConfigFile =
+    config.nuxt === false ? null : detectNuxtConfig(config.rootDir);
+  const nuxtPreset = nuxtConfigFile
+    ? loadNuxtPreset(config.rootDir, nuxtConfigFile)
+    : null;
+  if (nuxtPreset) {
+    if (config.verbose) {
+      console.log(
+        chalk.gray(`[Nuxt] Using conventions from ${nuxtConfigFile}`)
+      );
+    }
+  }
+
+  // What the analysis of each file found, keyed by normalized path. A file
+  // that changes gets new findings; the project-wide maps below are rebuilt
+  // from them by link().
+  const fileFindings = new Map();
+  const createFindings = () => ({
+    // Dependencies, and the same minus edges that only exist as re-exports
+    dependencies: null,
+    imports: null,
+    moduleInfo: null,
+    templateUsage: null,
+    registrations: null,
+    packageImports: null,
+    // Asset references and resolved script imports, keyed by the file
+    // holding them (an external `<script src>` for instance)
+    assetRefs: {},
+    moduleEdges: {},
+    stylePackageImports: [],
+    unresolved: [],
+    diagnostics: [],
+    // Where each dependency comes from: {to, kind, specifier, line}
+    edgeReasons: [],
+    // Directories import resolution looked in. Adding or removing a file
+    // there may change what the imports resolve to.
+    lookupDirs: new Set(),
+  });
 
   // Dependency graph: file -> Set of dependencies (normalized absolute paths)
-  const dependencyGraph = {};
+  let dependencyGraph = {};
+  // Same as dependencyGraph, minus edges that only exist as re-exports
+  let importGraph = {};
+  // Imports, exports and re-exports per file
+  let moduleInfos = {};
+  // Template tags and locally imported components per SFC
+  let templateUsages = {};
+  // Global component registrations found in each script
+  let globalRegistrations = {};
+  // Static asset references per file, only kept in assets mode
+  let assetRefs = {};
+  // Package specifiers imported by each file, and by stylesheets
+  let packageImports = {};
+  let stylePackageImports = new Set();
+  // Relative and aliased imports that don't resolve to any file
+  let unresolvedImports = [];
+  // Resolved script imports per file, with their line and kind, for cycles
+  let moduleEdges = {};
+  // Where each edge of the dependency graph comes from (import, template,
+  // glob, ...), for `why`: file -> [{to, kind, specifier, line}]
+  let edgeReasons = {};
+  // Entry points, and files that are entries by convention
+  let entryFiles = [];
+  let implicitEntries = [];
+  // Static assets, only scanned in assets mode
+  let assetFiles = [];
+
+  const addFileEdge = (findings, to, reason) => {
+    if (!findings.dependencies) findings.dependencies = new Set();
+    if (!findings.imports) findings.imports = new Set();
+    findings.dependencies.add(to);
+    findings.imports.add(to);
+    findings.edgeReasons.push({ to, ...reason });
+  };
+
+  // Edges that come from the project as a whole rather than from one file.
+  // The same reason is only recorded once per edge.
+  const addEdge = (from, to, reason) => {
+    if (!dependencyGraph[from]) dependencyGraph[from] = new Set();
+    if (!importGraph[from]) importGraph[from] = new Set();
+    dependencyGraph[from].add(to);
+    importGraph[from].add(to);
+    if (!edgeReasons[from]) edgeReasons[from] = [];
+    const known = edgeReasons[from].some(
+      (r) =>
+        r.to === to &&
+        r.kind === reason.kind &&
+        r.specifier === reason.specifier
+    );
+    if (!known) edgeReasons[from].push({ to, ...reason });
+  };
+
+  // Record the names an edge link() adds consumes, for the exports analysis
+  const addImportedNames = (from, to, names, source) => {
+    if (!moduleInfos[from]) {
+      moduleInfos[from] = { exports: [], imports: [], reexports: [] };
+    }
+    moduleInfos[from].imports.push({ source, names, line: null, resolved: to });
+  };
+
+  // Add the findings of a file to the project-wide maps
+  const mergeFindings = (file, findings) => {
+    if (findings.dependencies) {
+      dependencyGraph[file] = new Set([
+        ...(dependencyGraph[file] || []),
+        ...findings.dependencies,
+      ]);
+      importGraph[file] = new Set([
+        ...(importGraph[file] || []),
+        ...findings.imports,
+      ]);
+    }
+    if (findings.edgeReasons.length) {
+      edgeReasons[file] = [
+        ...(edgeReasons[file] || []),
+        ...findings.edgeReasons,
+      ];
+    }
+    // Copied, as link() adds the imports behind project-wide edges
+    if (findings.moduleInfo) {
+      moduleInfos[file] = {
+        ...findings.moduleInfo,
+        imports: [...findings.moduleInfo.imports],
+      };
+    }
+    if (findings.templateUsage) templateUsages[file] = findings.templateUsage;
+    if (findings.registrations) {
+      globalRegistrations[file] = findings.registrations;
+    }
+    if (findings.packageImports) packageImports[file] = findings.packageImports;
+    for (const [refFile, refs] of Object.entries(findings.assetRefs)) {
+      assetRefs[refFile] = [...(assetRefs[refFile] || []), ...refs];
+    }
+    Object.assign(moduleEdges, findings.moduleEdges);
+    findings.stylePackageImports.forEach((spec) =>
+      stylePackageImports.add(spec)
+    );
+    unresolvedImports.push(...findings.unresolved);
+  };
+
+  // Remember where resolution looked for the candidate base paths of an
+  // import, see `lookupDirs`
+  const lookIn = (findings, bases) =>
+    bases.forEach((base) => {
+      findings.lookupDirs.add(base);
+      findings.lookupDirs.add(path.dirname(base));
+    });
+
+  // Resolve an import to a normalized absolute path, or null. Cached
+  // targets are checked to still exist; failures are only cached for this
+  // run.
+  const resolveImport = async (imp, file, findings) => {
+    if (findings) {
+      lookIn(
+        findings,
+        getImportCandidates(
+          stripQuery(imp),
+          file,
+          config.rootDir,
+          aliasesFor(file)
+        )
+      );
+    }
+    const key = `${path.dirname(file)}\0${stripQuery(imp)}`;
+    const cached = cache.getResolution(key);
+    if (cached === null || (cached && (await cachedExists(cached)))) {
+      return cached;
+    }
+    const normalized = await memoizedNormalize(
+      stripQuery(imp),
+      file,
+      config.rootDir,
+      aliasesFor(file),
+      config.extensions
+    );
+    const target = normalized ? normalizeFilePath(normalized) : null;
+    cache.setResolution(key, target);
+    return target;
+  };
+
+  // A bare import matched by an alias but resolving to no file is a package
+  // after all when the project declares or installs it, e.g. `vue` under a
+  // tsconfig `"*": ["types/*"]` catch-all
+  const isPackageSpecifier = async (source, file, findings) => {
+    if (isPackageImport(source, aliasesFor(file))) return true;
+    const name = getPackageName(source);
+    if (!name || (await resolveImport(source, file, findings))) return false;
+    const dirs = [...new Set([projectDirOf(file), config.rootDir])];
+    if (dirs.some((dir) => declaredPackages(dir).has(name))) return true;
+    for (const dir of dirs) {
+      if (await cachedExists(path.join(dir, "node_modules", name))) return true;
+    }
+    return false;
+  };
+
+  // Packages among the imports of a file, see `isPackageSpecifier`.
+  // `findings` records where resolution looked.
+  const getPackagePredicate = async (sources, file, findings) => {
+    const fileAliases = aliasesFor(file);
+    const packages = new Set();
+    for (const source of new Set(sources)) {
+      if (
+        !isPackageImport(source, fileAliases) &&
+        (await isPackageSpecifier(source, file, findings))
+      ) {
+        packages.add(source);
+      }
+    }
+    return (source) =>
+      isPackageImport(source, fileAliases) || packages.has(source);
+  };
+
+  // Files tried for an import, listed when none of them exists
+  const getCandidates = (imp, file) =>
+    getResolutionCandidates(
+      stripQuery(imp),
+      file,
+      config.rootDir,
+      aliasesFor(file),
+      config.extensions
+    );
+
+  const addUnresolved = (findings, file, line, specifier, candidates) => {
+    findings.unresolved.push({ file, line, specifier, candidates });
+  };
+
+  // Directories a project serves "/x.png" from: public/, and static/ on
+  // Nuxt 2
+  const publicDirsOf = (projectDir) => [
+    path.join(projectDir, "public"),
+    ...(nuxtPreset && projectDir === config.rootDir
+      ? nuxtPreset.publicDirs
+      : []),
+  ];
+
+  // Resolve an asset reference from a template, stylesheet or script.
+  // "/x.png" is served from a public directory (or the project root),
+  // "~@/x.png" is a webpack module request, and bare "x.png" may be relative
+  // or public.
+  const resolveAssetRef = async (ref, file) => {
+    const spec = stripWebpackTilde(ref);
+    const publicDirs = publicDirsOf(projectDirOf(file));
+    const candidates = spec.startsWith("/")
+      ? [
+          ...publicDirs.map((dir) => path.join(dir, spec)),
+          path.join(projectDirOf(file), spec),
+        ]
+      : [
+          ...getImportCandidates(spec, file, config.rootDir, aliasesFor(file)),
+          ...publicDirs.map((dir) => path.join(dir, spec)),
+        ];
+    for (const candidate of candidates) {
+      if (await cachedExists(candidate)) return normalizeFilePath(candidate);
+    }
+    return null;
+  };
+
+  // Files a stylesheet `@import` / `@use` / `<style src>` may refer to,
+  // following the preprocessor lookup rules
+  const getStyleCandidates = (ref, file, lang) =>
+    getImportCandidates(
+      stripWebpackTilde(ref),
+      file,
+      config.rootDir,
+      aliasesFor(file)
+    ).flatMap((base) => getStyleImportCandidates(base, lang));
+
+  // Resolve a stylesheet import. Package imports (`~bootstrap/...`) are
+  // skipped.
+  const resolveStyleImport = async (ref, file, lang, findings) => {
+    if (findings) {
+      lookIn(
+        findings,
+        getImportCandidates(
+          stripWebpackTilde(ref),
+          file,
+          config.rootDir,
+          aliasesFor(file)
+        )
+      );
+    }
+    for (const candidate of getStyleCandidates(ref, file, lang)) {
+      if (await cachedExists(candidate)) return normalizeFilePath(candidate);
+    }
+    return null;
+  };
 
+  // Read an external SFC block (`<script src>`, `<template src>`). The block
+  // file becomes a dependency of the SFC.
+  const readExternalBlock = async (findings, src, file, code) => {
+    const target = await resolveImport(src, file, findings);
+    if (!target) {
+      if (!isPackageImport(src, aliasesFor(file))) {
+        addUnresolved(
+          findings,
+          normalizeFilePath(file),
+          getLineOf(code, src),
+          src,
+          getCandidates(src, file)
+        );
+      }
+      return null;
+    }
+    addFileEdge(findings, target, {
+      kind: "static",
+      specifier: src,
+      line: getLineOf(code, src),
+    });
+    try {
+      return { target, content: await fs.promises.readFile(target, "utf-8") };
+    } catch {
+      return null;
+    }
+  };
+
+  // `imports` are the stylesheet's `@import` / `@use` references, `source`
+  // the text of the whole file, to report unresolved imports with their line
+  const addStyleEdges = async (findings, file, imports, lang, source) => {
+    for (const spec of imports) {
+      const target = await resolveStyleImport(spec, file, lang, findings);
+      if (target) {
+        if (target !== file) {
+          addFileEdge(findings, target, {
+            kind: "style",
+            specifier: spec,
+            line: getLineOf(source, spec),
+          });
+        }
+      } else if (isPackageImport(stripWebpackTilde(spec), aliasesFor(file))) {
+        findings.stylePackageImports.push(spec);
+      } else {
+        addUnresolved(
+          findings,
+          file,
+          getLineOf(source, spec),
+          spec,
+          getStyleCandidates(spec, file, lang)
+        );
+      }
+    }
+  };
+
+  endPhase("scan");
   // Read all files in parallel, updating spinner with progress
   let processed = 0;
   const total = allFiles.length;
+  progress({ phase: "scan", processed: 0, total });
   if (config.verbose) {
     console.log(chalk.gray(`Total files to analyze: ${total}`));
   }
@@ -241,132 +679,1202 @@ exports.analyzeProject = async (config, spinner) => {
         } else if (spinner && processed % 5 === 0) {
           spinner.text = `Analyzing: ${relPath} (${processed}/${total})`;
         }
-        return { file, code };
+        progress({ phase: "read", processed, total, file });
+        return [file, code];
       })
     )
   );
+  // Scanned path -> content
+  const contents = new Map(fileContents);
 
-  // Extract imports and template tags in parallel
-  await Promise.all(
-    fileContents.map(async ({ file, code }) => {
-      const allImports = new Set();
-      let contentToParse = code;
+  endPhase("read");
 
-      if (file.endsWith(".vue")) {
-        const { scriptContent, templateContent } = parseVueFile(code, {
-          version: vueVersion,
-          compiler,
-        });
-        contentToParse = scriptContent;
+  // What the analysis needs from a stylesheet, script or SFC, computed from
+  // its text alone so the result can be cached by content
+  const { getTemplateInfo, getScriptInfo, extractFile } = createExtractors({
+    vueVersion,
+    assets: config.assets,
+    components: config.components,
+    members: config.members,
+  });
+  // Parses on worker threads while set (during the initial parse)
+  let pool = null;
+  const extract = (kind, code, file) =>
+    cache.memo(kind, code, () =>
+      pool
+        ? pool.run({ kind, content: code, file })
+        : extractFile(kind, code, file)
+    );
 
-        const templateTags = getTemplateTags(templateContent);
-        const importedComponents = getImportedComponents(scriptContent);
-        const usedInTemplate = getUsedImportSources(
-          templateTags,
-          importedComponents
+  // Extract imports and template tags of one file, replacing what was found
+  // in it before
+  const analyzeFile = async ({ file, code }) => {
+    const findings = createFindings();
+    const allImports = new Set();
+    const fileNorm = normalizeFilePath(file);
+    const fileAliases = aliasesFor(file);
+    // Imports resolve relative to the file holding the script, which is
+    // not the SFC itself for `<script src>`
+    let scriptFile = file;
+    let externalScript = null;
+
+    if (isStylesheet(file)) {
+      const style = await extract("style", code, file);
+      if (config.assets) findings.assetRefs[fileNorm] = style.assetRefs;
+      await addStyleEdges(
+        findings,
+        fileNorm,
+        style.imports,
+        getStyleLang(file),
+        code
+      );
+      fileFindings.set(fileNorm, findings);
+      return;
+    }
+
+    let script;
+    if (file.endsWith(".vue")) {
+      const sfc = await extract("sfc", code, file);
+      let { template } = sfc;
+      script = sfc.script;
+
+      // External blocks are analyzed as if they were inline
+      if (sfc.scriptSrc) {
+        const block = await readExternalBlock(
+          findings,
+          sfc.scriptSrc,
+          file,
+          code
         );
-        usedInTemplate.forEach((imp) => {
-          if (!isPackageImport(imp, aliases)) {
-            allImports.add(imp);
+        if (block) {
+          script = cache.memo("sfc-script", block.content, () =>
+            getScriptInfo(block.content, block.target, true)
+          );
+          scriptFile = block.target;
+          externalScript = block.target;
+        }
+      }
+      let templateFile = fileNorm;
+      if (sfc.templateSrc) {
+        const block = await readExternalBlock(
+          findings,
+          sfc.templateSrc,
+          file,
+          code
+        );
+        if (block) {
+          template = cache.memo("template", block.content, () =>
+            getTemplateInfo(block.content)
+          );
+          templateFile = block.target;
+        }
+      }
+
+      for (const { imports, lang, src } of sfc.styles) {
+        if (src) {
+          const target = await resolveStyleImport(src, file, lang, findings);
+          if (target) {
+            addFileEdge(findings, target, {
+              kind: "style",
+              specifier: src,
+              line: getLineOf(code, src),
+            });
+          } else if (!isPackageImport(stripWebpackTilde(src), fileAliases)) {
+            addUnresolved(
+              findings,
+              fileNorm,
+              getLineOf(code, src),
+              src,
+              getStyleCandidates(src, file, lang)
+            );
           }
-        });
+        }
+        await addStyleEdges(findings, fileNorm, imports, lang, code);
       }
 
-      const imports = extractImports(contentToParse, file);
-      imports.forEach((imp) => {
-        if (!isPackageImport(imp, aliases)) {
+      if (config.assets) {
+        findings.assetRefs[fileNorm] = sfc.styles.flatMap(
+          (style) => style.assetRefs
+        );
+        findings.assetRefs[templateFile] = [
+          ...(findings.assetRefs[templateFile] || []),
+          ...template.assetRefs,
+        ];
+      }
+
+      const { importedComponents } = script;
+      findings.templateUsage = {
+        templateTags: template.tags,
+        templateIdentifiers: template.identifiers,
+        // Missing from templates cached by earlier versions
+        templatePropReads: new Set(template.propReads),
+        importedComponents,
+        hasTemplate: template.hasTemplate,
+        // Registrations are reported against the file holding the script
+        scriptFile: normalizeFilePath(scriptFile),
+        localComponents: script.localComponents,
+        emitted: template.emitted,
+        elements: template.elements,
+        members: script.members,
+      };
+      const usedInTemplate = getUsedImportSources(
+        template.tags,
+        importedComponents,
+        template.identifiers
+      );
+      usedInTemplate.forEach((imp) => {
+        if (!isPackageImport(imp, fileAliases)) {
           allImports.add(imp);
         }
       });
+    } else {
+      script = await extract("script", code, file);
+    }
 
-      if (config.verbose && allImports.size > 0) {
+    const { moduleInfo, registrations } = script;
+    if (moduleInfo.error && SCRIPT_FILE_REGEX.test(scriptFile)) {
+      findings.diagnostics.push({
+        severity: "warning",
+        file: normalizeFilePath(scriptFile),
+        message: `Failed to parse: ${moduleInfo.error}`,
+      });
+    }
+    const records = [...moduleInfo.imports, ...moduleInfo.reexports];
+    const isPackage = await getPackagePredicate(
+      records.map(({ source }) => source),
+      scriptFile,
+      findings
+    );
+    const localRecords = records.filter(({ source }) => !isPackage(source));
+    findings.packageImports = records
+      .map(({ source }) => source)
+      .filter((source) => isDependencyImport(source, isPackage));
+    if (config.assets) {
+      const scriptNorm = normalizeFilePath(scriptFile);
+      findings.assetRefs[scriptNorm] = [
+        ...(findings.assetRefs[scriptNorm] || []),
+        ...script.assetRefs,
+      ];
+    }
+
+    // Imports that only feed `app.component()` don't make a component used;
+    // template usage of the registered name does (see below)
+    const imports = moduleInfo.imports.filter(
+      ({ source }) => !registrations.registrationOnlySources.has(source)
+    );
+    findings.registrations = registrations;
+
+    imports.forEach(({ source }) => {
+      if (!isPackage(source)) {
+        allImports.add(source);
+      }
+    });
+
+    if (config.verbose && allImports.size > 0) {
+      console.log(
+        chalk.gray(
+          `[Verbose] Found imports in ${path.relative(config.rootDir, file)}:`
+        ),
+        allImports
+      );
+    }
+
+    if (!findings.dependencies) findings.dependencies = new Set();
+    if (!findings.imports) findings.imports = new Set();
+
+    for (const imp of allImports) {
+      const normPath = await resolveImport(imp, scriptFile, findings);
+      if (normPath) {
+        if (config.verbose) {
+          console.log(
+            chalk.gray(
+              `[DEBUG] Import '${imp}' in '${file}' resolved to '${normPath}'`
+            )
+          );
+        }
+        findings.dependencies.add(normPath);
+        findings.imports.add(normPath);
+        // Imports that only feed a registration count through the template
+        const kind = registrations.registrationOnlySources.has(imp)
+          ? "template"
+          : "static";
+        const importRecords = moduleInfo.imports.filter(
+          ({ source }) => source === imp
+        );
+        (importRecords.length ? importRecords : [{}]).forEach(
+          ({ line, dynamic }) =>
+            findings.edgeReasons.push({
+              to: normPath,
+              kind: dynamic ? "dynamic" : kind,
+              specifier: imp,
+              // Lines of an external script are lines of another file
+              line: (!externalScript && line) || null,
+            })
+        );
+      }
+    }
+
+    // Keep the resolved symbol-level information for barrels and exports
+    const withResolved = (records) =>
+      Promise.all(
+        records
+          .filter(({ source }) => !isPackage(source))
+          .map(async (record) => ({
+            ...record,
+            resolved: await resolveImport(record.source, scriptFile, findings),
+          }))
+      );
+    findings.moduleInfo = {
+      exports: moduleInfo.exports,
+      imports: await withResolved(imports),
+      reexports: await withResolved(moduleInfo.reexports),
+    };
+    // The SFC loads every export of its external script
+    if (externalScript) {
+      findings.moduleInfo.imports.push({
+        source: externalScript,
+        names: ["*"],
+        line: 1,
+        resolved: externalScript,
+      });
+    }
+
+    // `export ... from` statements are edges too
+    findings.moduleInfo.reexports.forEach(({ resolved, source, line }) => {
+      if (resolved) {
+        findings.dependencies.add(resolved);
+        findings.edgeReasons.push({
+          to: resolved,
+          kind: "reexport",
+          specifier: source,
+          line: (!externalScript && line) || null,
+        });
+      }
+    });
+
+    // An SFC with `<script src>` imports its script, which holds the
+    // imports
+    const scriptNorm = normalizeFilePath(scriptFile);
+    if (externalScript) {
+      findings.moduleEdges[fileNorm] = [{ target: externalScript, line: null }];
+    }
+    findings.moduleEdges[scriptNorm] = [];
+    for (const { source, line, dynamic, typeOnly } of localRecords) {
+      const target = await resolveImport(source, scriptFile, findings);
+      if (target) {
+        findings.moduleEdges[scriptNorm].push({
+          target,
+          line,
+          dynamic,
+          typeOnly,
+        });
+      } else {
+        addUnresolved(
+          findings,
+          scriptNorm,
+          line,
+          source,
+          getCandidates(source, scriptFile)
+        );
+      }
+    }
+    fileFindings.set(fileNorm, findings);
+  };
+  // Parse on worker threads when there is enough to parse to make up for
+  // starting them
+  const kindOf = (file) =>
+    isStylesheet(file) ? "style" : file.endsWith(".vue") ? "sfc" : "script";
+  const toParse = [...contents].filter(
+    ([file, code]) => !cache.has(kindOf(file), code)
+  ).length;
+  const threads = Math.min(
+    config.concurrency || getDefaultConcurrency(),
+    Math.ceil(toParse / FILES_PER_WORKER)
+  );
+  if (threads > 1) {
+    pool = createWorkerPool(path.join(__dirname, "parse-worker.js"), {
+      size: threads,
+      workerData: {
+        vueVersion,
+        assets: !!config.assets,
+        components: !!config.components,
+        members: !!config.members,
+      },
+    });
+  }
+  let analyzed = 0;
+  try {
+    await Promise.all(
+      [...contents].map(async ([file, code]) => {
+        await analyzeFile({ file, code });
+        analyzed++;
+        progress({ phase: "parse", processed: analyzed, total, file });
+      })
+    );
+  } finally {
+    if (pool) {
+      if (config.verbose) {
         console.log(
           chalk.gray(
-            `[Verbose] Found imports in ${path.relative(config.rootDir, file)}:`
-          ),
-          allImports
+            `[Parse] ${toParse} files parsed on ${pool.started()} worker threads`
+          )
         );
       }
+      await pool.close();
+      pool = null;
+    }
+  }
+  endPhase("parse");
+
+  // Project-wide registry of globally available components: name -> files
+  let globalComponents = new Map();
+  const registerGlobal = (name, target) => {
+    const key = toPascalCase(name);
+    if (!globalComponents.has(key)) globalComponents.set(key, new Set());
+    globalComponents.get(key).add(target);
+  };
+
+  // Props and listeners each component receives from the templates that
+  // render it. A component only gets an entry when every file importing it
+  // renders it through a tag we could resolve; otherwise some usages (router
+  // records, `:is`, render functions) are unknown.
+  const getParentUsages = async () => {
+    const usages = new Map();
+    for (const [file, usage] of Object.entries(templateUsages)) {
+      // `components: { "old-modal": OldModal }` renders the OldModal import
+      const registered = new Map(
+        usage.localComponents
+          .filter((c) => c.local)
+          .map((c) => [toPascalCase(c.name), c.local])
+      );
+      for (const element of usage.elements) {
+        const name = toPascalCase(element.tag);
+        const local = registered.get(name) || name;
+        const source =
+          usage.importedComponents.get(local) ||
+          usage.importedComponents.get(element.tag);
+        const targets = source
+          ? [await resolveImport(source, usage.scriptFile)].filter(Boolean)
+          : [...(globalComponents.get(name) || [])];
+        for (const target of targets) {
+          if (!usages.has(target)) {
+            usages.set(target, {
+              renderers: new Set(),
+              props: new Set(),
+              events: new Set(),
+            });
+          }
+          const parent = usages.get(target);
+          parent.renderers.add(file);
+          if (element.spreadsProps) parent.props = null;
+          if (element.spreadsEvents) parent.events = null;
+          if (parent.props) element.props.forEach((p) => parent.props.add(p));
+          if (parent.events)
+            element.events.forEach((e) => parent.events.add(e));
+        }
+      }
+    }
 
-      const fileNorm = normalizeFilePath(file);
-      if (!dependencyGraph[fileNorm]) dependencyGraph[fileNorm] = new Set();
+    for (const [target, parent] of usages) {
+      const importers = Object.keys(dependencyGraph).filter((file) =>
+        dependencyGraph[file].has(target)
+      );
+      if (!importers.every((file) => parent.renderers.has(file))) {
+        usages.delete(target);
+      }
+    }
+    return usages;
+  };
 
-      for (const imp of allImports) {
-        const normalized = await memoizedNormalize(
-          imp,
+  // A re-export only keeps its target alive when a name it provides is
+  // consumed. With `preciseBarrels: false` every re-export counts.
+  const getLiveReexports = (isCounted) => {
+    if (config.preciseBarrels === false) {
+      return Object.fromEntries(
+        Object.entries(moduleInfos).map(([file, { reexports }]) => [
           file,
-          config.rootDir,
-          aliases,
-          config.extensions
+          reexports.map((r) => r.resolved).filter(Boolean),
+        ])
+      );
+    }
+    const { liveReexports } = collectUsedNames(moduleInfos, isCounted);
+    return Object.fromEntries(
+      [...liveReexports].map(([file, targets]) => [file, [...targets]])
+    );
+  };
+  const withReexports = (live) => {
+    const graph = { ...importGraph };
+    for (const [file, targets] of Object.entries(live)) {
+      graph[file] = new Set([...(graph[file] || []), ...targets]);
+    }
+    return graph;
+  };
+
+  // Rebuild the project-wide maps from the findings of every file, then add
+  // the edges that come from the project as a whole: global components,
+  // require.context / import.meta.glob, Nuxt conventions, stylesheets the
+  // bundler injects and static assets. No scanned file is read or parsed
+  // again.
+  const link = async () => {
+    dependencyGraph = {};
+    importGraph = {};
+    moduleInfos = {};
+    templateUsages = {};
+    globalRegistrations = {};
+    assetRefs = {};
+    packageImports = {};
+    stylePackageImports = new Set();
+    unresolvedImports = [];
+    moduleEdges = {};
+    edgeReasons = {};
+    globalComponents = new Map();
+    fileFindings.forEach((findings, file) => mergeFindings(file, findings));
+
+    entryFiles = [...configEntries];
+    if (nuxtPreset) {
+      entryFiles.push(
+        ...[...allFilesSet].filter((file) => isNuxtEntry(file, nuxtPreset))
+      );
+    }
+    // The public API of a published workspace package is an entry point
+    for (const pkg of workspacePackages) {
+      if (pkg.manifest.private) continue;
+      for (const spec of getPackageEntrySpecifiers(pkg)) {
+        const target = await resolveImport(
+          spec,
+          path.join(pkg.dir, "package.json")
         );
-        if (normalized) {
-          const normPath = normalizeFilePath(normalized);
-          if (config.verbose) {
-            console.log(
-              chalk.gray(
-                `[DEBUG] Import '${imp}' in '${file}' resolved to '${normPath}'`
-              )
-            );
+        if (target) entryFiles.push(target);
+      }
+    }
+
+    for (const [file, registrations] of Object.entries(globalRegistrations)) {
+      for (const { name, source } of registrations.registrations) {
+        const target = isPackageImport(source, aliasesFor(file))
+          ? null
+          : await resolveImport(source, file);
+        if (target) registerGlobal(name, target);
+      }
+
+      const matched = [
+        ...registrations.contexts.flatMap((context) =>
+          getContextFiles(context, file, allFilesSet).map((target) => ({
+            target,
+            specifier: context.dir,
+          }))
+        ),
+        ...(
+          await Promise.all(
+            registrations.globs.map(async ({ patterns }) =>
+              (
+                await getGlobFiles(patterns, file, config.rootDir)
+              ).map((target) => ({
+                target: normalizeFilePath(target),
+                specifier: patterns.join(", "),
+              }))
+            )
+          )
+        ).flat(),
+      ];
+      matched.forEach(({ target, specifier }) => {
+        // SFCs loaded in a component registration loop are named after the
+        // file; anything else matched by require.context / import.meta.glob is
+        // a plain import
+        if (registrations.registersComponents && target.endsWith(".vue")) {
+          registerGlobal(path.basename(target).replace(/\.\w+$/, ""), target);
+        } else if (target !== file) {
+          addEdge(file, target, { kind: "glob", specifier, line: null });
+          // Loaded dynamically, so any export may be read
+          addImportedNames(file, target, ["*"], specifier);
+        }
+      });
+    }
+
+    // Components auto-imported by unplugin-vue-components
+    const dtsFiles = new Set(
+      [
+        ...[...allFilesSet].filter((f) => f.endsWith("components.d.ts")),
+        path.join(config.rootDir, "components.d.ts"),
+        path.join(config.rootDir, "src", "components.d.ts"),
+      ].filter((f) => fs.existsSync(f))
+    );
+    for (const dtsFile of dtsFiles) {
+      const declared = getDeclaredGlobalComponents(
+        fs.readFileSync(dtsFile, "utf-8")
+      );
+      for (const { name, source } of declared) {
+        if (isPackageImport(source, aliasesFor(dtsFile))) continue;
+        const target = await resolveImport(source, dtsFile);
+        if (target) registerGlobal(name, target);
+      }
+    }
+
+    if (nuxtPreset) {
+      // Components auto-imported from Nuxt's components dirs
+      getNuxtComponents(allFilesSet, nuxtPreset).forEach(({ name, file }) =>
+        registerGlobal(name, file)
+      );
+
+      // Auto-imported composables/utils are used by every file that mentions
+      // one of their exports. Auto-import name -> file -> export name.
+      const provided = new Map();
+      getNuxtAutoImportFiles(allFilesSet, nuxtPreset).forEach((file) => {
+        ((moduleInfos[file] && moduleInfos[file].exports) || []).forEach(
+          ({ name }) => {
+            const importName =
+              name === "default"
+                ? path
+                    .basename(file)
+                    .replace(/\.\w+$/, "")
+                    .replace(/[-_](\w)/g, (_, c) => c.toUpperCase())
+                : name;
+            if (!provided.has(importName)) provided.set(importName, new Map());
+            provided.get(importName).set(file, name);
+          }
+        );
+      });
+      if (provided.size) {
+        const escape = (name) => name.replace(/[$]/g, "\\$&");
+        const nameRegex = new RegExp(
+          `(?<![\\w$.])(${[...provided.keys()]
+            .map(escape)
+            .join("|")})(?![\\w$])`,
+          "g"
+        );
+        contents.forEach((code, file) => {
+          const fileNorm = normalizeFilePath(file);
+          const names = [...code.matchAll(nameRegex)].map(([, name]) => name);
+          for (const name of new Set(names)) {
+            provided.get(name).forEach((exportName, target) => {
+              if (target !== fileNorm) {
+                addEdge(fileNorm, target, {
+                  kind: "auto-import",
+                  specifier: name,
+                  line: null,
+                });
+                addImportedNames(fileNorm, target, [exportName], name);
+              }
+            });
+          }
+        });
+      }
+    }
+
+    // A globally registered component is used by every template that renders it
+    if (globalComponents.size) {
+      for (const [file, usage] of Object.entries(templateUsages)) {
+        const { templateTags, importedComponents } = usage;
+        for (const tag of templateTags) {
+          // Locally imported components shadow global ones
+          if (
+            importedComponents.has(tag) ||
+            importedComponents.has(toPascalCase(tag))
+          ) {
+            continue;
+          }
+          // Nuxt's <LazyFoo> renders the lazily loaded <Foo>
+          const name = toPascalCase(tag);
+          const targets =
+            globalComponents.get(name) ||
+            (name.startsWith("Lazy") && globalComponents.get(name.slice(4))) ||
+            [];
+          for (const target of targets) {
+            if (target !== file) {
+              addEdge(file, target, {
+                kind: "template",
+                specifier: `<${tag}>`,
+                line: null,
+              });
+            }
           }
-          dependencyGraph[fileNorm].add(normPath);
-          usedFiles.add(normPath);
         }
       }
-    })
-  );
+    }
 
-  if (config.verbose) {
-    for (const unused of [...allFilesSet].filter((f) => !usedFiles.has(f))) {
-      console.log(chalk.gray(`[DEBUG] Unused file candidate: '${unused}'`));
+    // Code that the bundler prepends to every stylesheet (`additionalData`)
+    // is imported on behalf of the bundler config
+    const preprocessorData =
+      config.bundlerConfig === false
+        ? []
+        : discoverPreprocessorData(config.rootDir, config.bundlerConfig);
+    for (const { file, data } of preprocessorData) {
+      const findings = createFindings();
+      await addStyleEdges(
+        findings,
+        normalizeFilePath(file),
+        extractStyleImports(data),
+        "scss",
+        fs.readFileSync(file, "utf-8")
+      );
+      mergeFindings(normalizeFilePath(file), findings);
     }
-  }
 
-  let unusedFiles = [...allFilesSet].filter((f) => !usedFiles.has(f));
+    // Static assets become graph nodes, linked from the files referencing them
+    if (config.assets) {
+      const scan = async (pattern) =>
+        (
+          await fg(pattern, {
+            cwd: config.rootDir,
+            ignore: ignorePatterns,
+            absolute: true,
+          })
+        )
+          .filter((f) => !ignorer.ignores(path.relative(config.rootDir, f)))
+          .map(normalizeFilePath);
 
-  // Convert Set values to arrays for JSON serialisation
-  const graphOut = Object.fromEntries(
-    Object.entries(dependencyGraph).map(([k, v]) => [k, [...v]])
-  );
+      assetFiles = await scan([`**/*.{${ASSET_EXTENSIONS.join(",")}}`]);
+      const assetSet = new Set(assetFiles);
 
-  // At the end, if debug is enabled, write debugLogs to a file
-  if (process.env.VUE_UNUSED_DEBUG) {
-    fs.writeFileSync(
-      path.join(config.rootDir, "vue-unused-debug.log"),
-      debugLogs.join("\n"),
-      "utf-8"
+      // Stylesheets and the HTML entry document reference assets as well.
+      // The browser loads index.html itself, so it counts as an entry.
+      const referrers = await scan([
+        `**/*.{${STYLESHEET_EXTENSIONS.join(",")}}`,
+        ...projectDirs.flatMap((dir) => {
+          const rel = path.relative(config.rootDir, dir);
+          return [
+            path.posix.join(rel, "index.html"),
+            path.posix.join(rel, "public/index.html"),
+          ];
+        }),
+      ]);
+      for (const file of referrers) {
+        if (assetRefs[file]) continue;
+        const content = await fs.promises.readFile(file, "utf-8");
+        if (file.endsWith(".html")) {
+          assetRefs[file] = extractTemplateAssetRefs(content);
+          entryFiles.push(file);
+        } else {
+          assetRefs[file] = extractStyleAssetRefs(content);
+        }
+      }
+
+      for (const [file, refs] of Object.entries(assetRefs)) {
+        for (const ref of refs) {
+          const target = await resolveAssetRef(ref, file);
+          if (target && assetSet.has(target)) {
+            addEdge(file, target, {
+              kind: "asset",
+              specifier: ref,
+              line: null,
+            });
+          }
+        }
+      }
+    }
+
+    implicitEntries = projectDirs.flatMap((dir) =>
+      getImplicitEntries(dir, allFilesSet)
     );
-  }
+    return {
+      dependencyGraph,
+      importGraph,
+      // The entries report() counts: implicit ones only in reachability mode
+      entries: config.reachability
+        ? [...entryFiles, ...implicitEntries]
+        : entryFiles,
+      getLiveReexports,
+    };
+  };
+
+  // Compute every report from the current analysis
+  const report = async () => {
+    await link();
+
+    // In reachability mode only files reachable from an entry point count
+    // as used, so files imported solely by other dead files are reported as
+    // well.
+    let usedFiles;
+    // Re-exports that keep their target used
+    let live = {};
+    if (config.reachability) {
+      // Reachable importers decide which barrel members are consumed, which in
+      // turn can make more files reachable, so repeat until nothing changes.
+      const entries = [...entryFiles, ...implicitEntries];
+      for (;;) {
+        usedFiles = findReachableFiles(withReexports(live), entries);
+        const next = getLiveReexports((file) => usedFiles.has(file));
+        const count = (edges) =>
+          Object.values(edges).reduce((sum, t) => sum + t.length, 0);
+        if (count(next) === count(live)) break;
+        live = next;
+      }
+    } else {
+      usedFiles = new Set([
+        ...entryFiles,
+        ...Object.values(importGraph).flatMap((deps) => [...deps]),
+      ]);
+      live = getLiveReexports();
+      Object.values(live).forEach((targets) =>
+        targets.forEach((target) => usedFiles.add(target))
+      );
+    }
+
+    if (config.verbose) {
+      for (const unused of [...allFilesSet].filter((f) => !usedFiles.has(f))) {
+        console.log(chalk.gray(`[DEBUG] Unused file candidate: '${unused}'`));
+      }
+    }
 
-  // Perform bundle-aware correlation if bundle analysis was done
-  let bundleCorrelation = null;
-  if (bundleAnalysis) {
-    const { BundleAnalyzer } = require("./bundle-analyzer");
-    const analyzer = new BundleAnalyzer(config);
-    Object.assign(analyzer, {
-      sourceFiles: new Set(bundleAnalysis.sourceFiles),
+    let unusedFiles = [...allFilesSet].filter((f) => !usedFiles.has(f));
+    endPhase("graph");
+    progress({
+      phase: "report",
+      processed: allFiles.length,
+      total: allFiles.length,
     });
-    bundleCorrelation = analyzer.correlateWithStaticAnalysis({
+
+    // npm packages each scanned file imports. Workspace packages resolve to
+    // their files, which the graph already links to.
+    const packagesOut = {};
+    for (const [file, specifiers] of Object.entries(packageImports)) {
+      if (!allFilesSet.has(file)) continue;
+      const names = [...new Set(specifiers.map(getPackageName))]
+        .filter((name) => name && !workspaceNames.has(name))
+        .sort();
+      if (names.length) packagesOut[file] = names;
+    }
+
+    // Convert Set values to arrays for JSON serialisation
+    const graphOut = Object.fromEntries(
+      Object.entries(dependencyGraph).map(([k, v]) => [k, [...v]])
+    );
+
+    // At the end, if debug is enabled, write debugLogs to a file
+    if (process.env.VUE_UNUSED_DEBUG) {
+      fs.writeFileSync(
+        path.join(config.rootDir, "vue-unused-debug.log"),
+        debugLogs.join("\n"),
+        "utf-8"
+      );
+    }
+
+    // Perform bundle-aware correlation if bundle analysis was done
+    let bundleCorrelation = null;
+    if (bundleAnalysis) {
+      const { BundleAnalyzer } = require("./bundle-analyzer");
+      const analyzer = new BundleAnalyzer(config);
+      Object.assign(analyzer, {
+        sourceFiles: new Set(bundleAnalysis.sourceFiles),
+      });
+      bundleCorrelation = analyzer.correlateWithStaticAnalysis({
+        allFiles,
+        usedFiles: [...usedFiles],
+        unusedFiles,
+      });
+
+      // If bundle analysis is enabled, use bundle-aware unused files
+      if (config.bundle) {
+        unusedFiles = bundleCorrelation.bundleUnusedFiles;
+      }
+    }
+
+    // Re-exports, in files that stay, of files reported unused. Deleting
+    // such a file leaves its `export ... from` line dangling.
+    const unusedSet = new Set(unusedFiles);
+    const unusedReexports = Object.entries(moduleInfos)
+      .filter(([file]) => !unusedSet.has(file))
+      .flatMap(([file, { reexports }]) =>
+        reexports
+          .filter(({ resolved }) => resolved && unusedSet.has(resolved))
+          .map(({ line, source, resolved }) => ({
+            file,
+            line: line || null,
+            specifier: source,
+            target: resolved,
+          }))
+      )
+      .sort((a, b) =>
+        a.file === b.file
+          ? (a.line || 0) - (b.line || 0)
+          : a.file < b.file
+          ? -1
+          : 1
+      );
+
+    const deadIslands = config.reachability
+      ? findDeadIslands(dependencyGraph, unusedFiles)
+      : null;
+
+    // Exports nobody imports, in files that are themselves still used
+    let unusedExports = null;
+    if (config.exports) {
+      const entrySet = new Set([...entryFiles, ...implicitEntries]);
+      unusedExports = findUnusedExports(moduleInfos, {
+        // Like file-level usage, only reachable importers count in reachability mode
+        isCounted: (file) => !config.reachability || !unusedSet.has(file),
+        shouldReport: (file) => !unusedSet.has(file) && !entrySet.has(file),
+      });
+    }
+
+    // Components an SFC imports or registers but never renders. Components
+    // without a template (render functions) are skipped.
+    let unusedComponents = null;
+    if (config.components) {
+      unusedComponents = Object.entries(templateUsages)
+        .filter(([file, usage]) => usage.hasTemplate && !unusedSet.has(file))
+        .flatMap(([, usage]) =>
+          usage.localComponents
+            .filter(
+              ({ name }) =>
+                !isRenderedComponent(
+                  name,
+                  usage.templateTags,
+                  usage.templateIdentifiers
+                )
+            )
+            .map(({ name, line }) => ({ file: usage.scriptFile, name, line }))
+        )
+        .sort((a, b) =>
+          a.file === b.file ? a.line - b.line : a.file < b.file ? -1 : 1
+        );
+    }
+
+    // Props, emits and Options API members nothing reads or emits
+    let unusedMembers = null;
+    if (config.members) {
+      const parentUsages = await getParentUsages();
+      unusedMembers = Object.entries(templateUsages)
+        .filter(([file, usage]) => usage.members && !unusedSet.has(file))
+        .flatMap(([file, usage]) =>
+          findUnusedMembers(
+            usage.members,
+            {
+              identifiers: usage.templateIdentifiers,
+              emitted: usage.emitted,
+              propReads: usage.templatePropReads,
+            },
+            parentUsages.get(file) || null
+          ).map((member) => ({ file: usage.scriptFile, ...member }))
+        )
+        .sort((a, b) =>
+          a.file === b.file ? a.line - b.line : a.file < b.file ? -1 : 1
+        );
+    }
+
+    // npm packages that are unused, undeclared or only used by tests
+    let dependencyIssues = null;
+    if (config.dependencies) {
+      const extraFiles = [
+        ...new Set(
+          (
+            await Promise.all(
+              projectDirs.map((dir) =>
+                fg(DEPENDENCY_SCAN_GLOBS, {
+                  cwd: dir,
+                  ignore: defaultIgnores,
+                  absolute: true,
+                  dot: true,
+                })
+              )
+            )
+          ).flat()
+        ),
+      ]
+        .filter((f) => !ignorer.ignores(path.relative(config.rootDir, f)))
+        .map(normalizeFilePath)
+        .filter((f) => !packageImports[f]);
+      for (const file of extraFiles) {
+        const code = await fs.promises.readFile(file, "utf-8");
+        const { imports, reexports } = cache.memo("module", code, () =>
+          extractModuleInfo(code, file)
+        );
+        const sources = [...imports, ...reexports].map(({ source }) => source);
+        const isPackage = await getPackagePredicate(sources, file);
+        packageImports[file] = sources.filter((source) =>
+          isDependencyImport(source, isPackage)
+        );
+      }
+
+      const entrySet = new Set([...entryFiles, ...implicitEntries]);
+      // Every workspace package is checked against its own package.json. The
+      // workspace root may declare what its packages use.
+      const issues = projectDirs.map((dir) => {
+        const owns = (file) => projectDirOf(file) === dir;
+        const isRoot = dir === config.rootDir && workspacePackages.length > 0;
+        const result = findDependencyIssues({
+          rootDir: dir,
+          packageImports: Object.fromEntries(
+            Object.entries(packageImports).filter(([file]) => owns(file))
+          ),
+          styleImports: stylePackageImports,
+          sharedImports: isRoot
+            ? Object.entries(packageImports)
+                .filter(([file]) => !owns(file))
+                .flatMap(([, specs]) => specs)
+            : [],
+          files: isRoot ? allFiles : allFiles.filter(owns),
+          isCounted: (file) => !unusedSet.has(file) || entrySet.has(file),
+          ignore: config.ignoreDependencies || [],
+          toolingDirs: isRoot ? workspacePackages.map((pkg) => pkg.dir) : [],
+        });
+        const pkg = workspacePackages.find((p) => p.dir === dir);
+        const tag = (items) =>
+          pkg ? items.map((item) => ({ ...item, package: pkg.name })) : items;
+        return (
+          result && {
+            unused: tag(result.unused),
+            missing: tag(result.missing),
+            devOnly: tag(result.devOnly),
+          }
+        );
+      });
+      dependencyIssues = issues.some(Boolean)
+        ? {
+            unused: issues.flatMap((r) => (r ? r.unused : [])),
+            missing: issues.flatMap((r) => (r ? r.missing : [])),
+            devOnly: issues.flatMap((r) => (r ? r.devOnly : [])),
+          }
+        : null;
+    }
+
+    // Groups of modules importing each other
+    const circularDependencies = config.cycles
+      ? findCycles(moduleEdges, {
+          includeDynamic: (config.cycleEdges || []).includes("dynamic"),
+          includeTypeOnly: (config.cycleEdges || []).includes("type"),
+        })
+      : null;
+
+    // Assets are reported separately from code, with the space they take up
+    const unusedAssets = config.assets
+      ? assetFiles
+          .filter((f) => !usedFiles.has(f))
+          .map((file) => ({ file, bytes: fs.statSync(file).size }))
+          .sort((a, b) => b.bytes - a.bytes)
+      : null;
+
+    const reportDiagnostics = [
+      ...diagnostics,
+      ...[...fileFindings.values()].flatMap((findings) => findings.diagnostics),
+    ];
+    const cacheError = cache.save();
+    if (cacheError) {
+      reportDiagnostics.push({
+        severity: "warning",
+        message: `Could not write the analysis cache: ${cacheError.message}`,
+      });
+    }
+    if (config.verbose && config.cache !== false) {
+      console.log(
+        chalk.gray(
+          `[Cache] ${cache.stats.hits} cached, ${cache.stats.misses} parsed`
+        )
+      );
+    }
+
+    // Why one file is used, or what still imports it
+    let why = null;
+    if (config.why) {
+      const file = normalizeFilePath(path.resolve(config.rootDir, config.why));
+      if (!allFilesSet.has(file) && !assetFiles.includes(file)) {
+        throw new Error(
+          `${path.relative(
+            config.rootDir,
+            file
+          )} is not one of the scanned files. Is it ignored, or outside the project?`
+        );
+      }
+      why = explainUsage(file, {
+        graph: withReexports(live),
+        dependencyGraph,
+        // Chains start at every entry point, but implicit ones only make
+        // themselves used in reachability mode: in default mode a file is
+        // used when anything imports it
+        entries: [...entryFiles, ...implicitEntries],
+        countedEntries: config.reachability
+          ? [...entryFiles, ...implicitEntries]
+          : entryFiles,
+        edgeReasons,
+        used: allFilesSet.has(file)
+          ? !unusedFiles.includes(file)
+          : usedFiles.has(file),
+        sourceMaps: (bundleAnalysis && bundleAnalysis.sourceMaps[file]) || [],
+      });
+    }
+
+    endPhase("report");
+    return {
       allFiles,
       usedFiles: [...usedFiles],
       unusedFiles,
-    });
+      unusedAssets,
+      deadIslands,
+      unusedExports,
+      unusedComponents,
+      unusedMembers,
+      dependencyIssues,
+      circularDependencies,
+      workspacePackages: workspacePackages.length
+        ? workspacePackages.map(({ name, dir }) => ({ name, dir }))
+        : null,
+      unusedReexports,
+      unresolvedImports: unresolvedImports.sort((a, b) =>
+        a.file === b.file
+          ? (a.line || 0) - (b.line || 0)
+          : a.file < b.file
+          ? -1
+          : 1
+      ),
+      dependencyGraph: graphOut,
+      packageImports: packagesOut,
+      why,
+      bundleAnalysis,
+      bundleCorrelation,
+      diagnostics: reportDiagnostics,
+      timings: { ...timings, total: Date.now() - startedAt },
+    };
+  };
 
-    // If bundle analysis is enabled, use bundle-aware unused files
-    if (config.bundle) {
-      unusedFiles = bundleCorrelation.bundleUnusedFiles;
+  // Whether a file belongs in the scan: not ignored, with a scanned extension
+  const isScanned = (file) => {
+    const rel = path.relative(config.rootDir, file);
+    if (rel.startsWith("..") || path.isAbsolute(rel) || ignorer.ignores(rel)) {
+      return false;
     }
-  }
+    if (
+      globPattern !== "**/*" &&
+      !scanExtensions.some((ext) => file.endsWith(`.${ext.replace(/^\./, "")}`))
+    ) {
+      return false;
+    }
+    return (
+      fg.sync(fg.escapePath(rel.split(path.sep).join("/")), {
+        cwd: config.rootDir,
+        ignore: ignorePatterns,
+      }).length > 0
+    );
+  };
+
+  /**
+   * Bring the analysis up to date with files added, changed or removed on
+   * disk. `paths` may include directories. Only those files, and files whose
+   * imports may now resolve differently, are read and analyzed again; call
+   * link() or report() afterwards. Returns the normalized paths of the
+   * files added, changed (with a different content) and removed.
+   */
+  const update = async (paths) => {
+    const candidates = new Set();
+    for (const target of paths) {
+      const stat = await fs.promises.stat(target).catch(() => null);
+      if (stat && stat.isDirectory()) {
+        (
+          await fg("**/*", {
+            cwd: target,
+            ignore: ignorePatterns,
+            absolute: true,
+          })
+        ).forEach((file) => candidates.add(path.resolve(file)));
+        continue;
+      }
+      candidates.add(path.resolve(target));
+      // A removed directory takes its files with it
+      if (!stat) {
+        const prefix = path.resolve(target) + path.sep;
+        allFilesSet.forEach((file) => {
+          if (file.startsWith(prefix)) candidates.add(file);
+        });
+      }
+    }
+
+    const added = new Set();
+    const changed = new Set();
+    const removed = new Set();
+    for (const file of candidates) {
+      const fileNorm = normalizeFilePath(file);
+      const stat = await fs.promises.stat(file).catch(() => null);
+      if (stat && stat.isFile() && isScanned(file)) {
+        const scanned = scannedFiles.get(fileNorm) || file;
+        const code = await fs.promises.readFile(scanned, "utf-8");
+        if (!allFilesSet.has(fileNorm)) {
+          added.add(fileNorm);
+          scannedFiles.set(fileNorm, scanned);
+          allFilesSet.add(fileNorm);
+        } else if (contents.get(scanned) !== code) {
+          changed.add(fileNorm);
+        }
+        contents.set(scanned, code);
+      } else if (allFilesSet.has(fileNorm)) {
+        removed.add(fileNorm);
+        contents.delete(scannedFiles.get(fileNorm));
+        scannedFiles.delete(fileNorm);
+        allFilesSet.delete(fileNorm);
+        fileFindings.delete(fileNorm);
+      }
+    }
+    allFiles = [...scannedFiles.values()];
+
+    const stale = new Set([...changed, ...added]);
+    if (added.size || removed.size) {
+      // Files that existed (or didn't) may now be found by resolution
+      for (const file of [...added, ...removed]) {
+        for (let dir = file; dir !== path.dirname(dir); ) {
+          existsCache.delete(dir);
+          dir = path.dirname(dir);
+        }
+      }
+      memoizedNormalize = memoize(normalizeImportPath);
+      cache.forgetResolutions();
+      const dirs = [...added, ...removed].map((file) => path.dirname(file));
+      fileFindings.forEach((findings, file) => {
+        if (dirs.some((dir) => findings.lookupDirs.has(dir))) stale.add(file);
+      });
+    }
+    await Promise.all(
+      [...stale].map((file) => {
+        const scanned = scannedFiles.get(file);
+        return analyzeFile({ file: scanned, code: contents.get(scanned) });
+      })
+    );
+
+    return { added: [...added], changed: [...changed], removed: [...removed] };
+  };
 
   return {
-    allFiles,
-    usedFiles: [...usedFiles],
-    unusedFiles,
-    dependencyGraph: graphOut,
-    bundleAnalysis,
-    bundleCorrelation,
+    report,
+    link,
+    update,
+    ignorePatterns,
+    /** Normalized paths of the scanned files */
+    getFiles: () => allFilesSet,
   };
 };
 
+exports.createProjectSession = createProjectSession;
+
+exports.analyzeProject = async (config, spinner) =>
+  (await createProjectSession(config, spinner)).report();
+
+// Files matched by `require.context(dir, recursive, pattern)` in `file`
+const getContextFiles = ({ dir, recursive, pattern }, file, files) => {
+  const base = path.resolve(path.dirname(file), dir);
+  return [...files].filter((candidate) => {
+    const rel = path.relative(base, candidate);
+    if (rel.startsWith("..") || path.isAbsolute(rel)) return false;
+    if (!recursive && rel.includes(path.sep)) return false;
+    return pattern.test("./" + rel.split(path.sep).join("/"));
+  });
+};
+
+// Files matched by `import.meta.glob(patterns)` in `file`. Patterns starting
+// with "/" are relative to the project root, others to the importing file.
+const getGlobFiles = async (patterns, file, rootDir) => {
+  const include = patterns.filter((p) => !p.startsWith("!"));
+  const ignore = patterns
+    .filter((p) => p.startsWith("!"))
+    .map((p) => p.slice(1));
+  const groups = await Promise.all(
+    include.map((pattern) => {
+      const cwd = pattern.startsWith("/") ? rootDir : path.dirname(file);
+      return fg(pattern.replace(/^\//, ""), {
+        cwd,
+        ignore: ignore.map((p) => p.replace(/^\//, "")),
+        absolute: true,
+      });
+    })
+  );
+  return groups.flat().map((f) => path.resolve(f));
+};
+
 const existsCache = new Map();
 async function cachedExists(filePath) {
   if (existsCache.has(filePath)) return existsCache.get(filePath);
@@ -378,6 +1886,61 @@ async function cachedExists(filePath) {
   return exists;
 }
 
+// Strip webpack's `~` module prefix (`~@/styles/x`, `~bootstrap/...`), but
+// keep `~/` which is an alias
+const stripWebpackTilde = (ref) =>
+  ref.startsWith("~/") ? ref : ref.replace(/^~/, "");
+
+// Expand an import into the candidate base paths it may point at (before any
+// extension or index resolution). Alias targets may list several fallbacks.
+const getImportCandidates = (imp, basePath, rootDir, aliases) => {
+  for (const [alias, target] of aliases) {
+    const rest = matchAlias(imp, alias);
+    if (rest === null) continue;
+    if (alias instanceof RegExp) {
+      return [path.resolve(rootDir, imp.replace(alias, target))];
+    }
+    const targets = Array.isArray(target) ? target : [target];
+    return targets.map((t) =>
+      t.includes("*")
+        ? path.resolve(rootDir, t.replace("*", rest))
+        : path.resolve(rootDir, t, rest)
+    );
+  }
+  return [path.resolve(path.dirname(basePath), imp)];
+};
+
+// `?raw`, `?url`, ... queries don't change which file an import loads
+const stripQuery = (imp) => imp.replace(/\?.*$/, "");
+
+// 1-based line of the first occurrence of `needle` in `text`, or null
+const getLineOf = (text, needle) => {
+  const index = text.indexOf(needle);
+  return index === -1 ? null : text.slice(0, index).split("\n").length;
+};
+
+// Every file normalizeImportPath tries for an import, in lookup order
+const getResolutionCandidates = (
+  imp,
+  basePath,
+  rootDir,
+  aliases,
+  extensions
+) => [
+  ...new Set(
+    getImportCandidates(imp, basePath, rootDir, aliases).flatMap((base) =>
+      extensions === "ALL" || extensions.length === 0
+        ? [base]
+        : [
+            ...(extensions.some((ext) => base.endsWith(ext)) ? [base] : []),
+            ...extensions.map((ext) => `${base}${ext}`),
+            ...extensions.map((ext) => path.join(base, `index${ext}`)),
+            base,
+          ]
+    )
+  ),
+];
+
 const normalizeImportPath = async (
   imp,
   basePath,
@@ -385,27 +1948,19 @@ const normalizeImportPath = async (
   aliases,
   extensions
 ) => {
-  let resolved = imp;
-  let aliasMatched = false;
-
-  // 1. Handle aliases.
-  for (const [alias, target] of aliases) {
-    if (imp === alias || imp.startsWith(alias + "/")) {
-      resolved = path.resolve(
-        rootDir,
-        target,
-        imp.slice(alias.length).replace(/^\//, "")
-      );
-      aliasMatched = true;
-      break;
-    }
-  }
-
-  // 2. Handle relative or absolute paths.
-  if (!aliasMatched) {
-    resolved = path.resolve(path.dirname(basePath), imp);
+  for (const candidate of getImportCandidates(
+    imp,
+    basePath,
+    rootDir,
+    aliases
+  )) {
+    const resolved = await resolveCandidate(imp, candidate, extensions);
+    if (resolved) return resolved;
   }
+  return null;
+};
 
+const resolveCandidate = async (imp, resolved, extensions) => {
   if (extensions === "ALL" || extensions.length === 0) {
     if (await cachedExists(resolved)) {
       return resolved;
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Static asset reference extraction.
+ * Finds the images, fonts and media files a project references so they can
+ * become edges in the dependency graph:
+ * - template / HTML attributes (`src`, `srcset`, `poster`, `href`, `xlink:href`)
+ *   and string literals in their bound forms (`:src="'./x.png'"`)
+ * - CSS `url()` in `<style>` blocks and stylesheets
+ * - `new URL("./x.png", import.meta.url)` in scripts
+ */
+
+const ASSET_EXTENSIONS = [
+  "png",
+  "jpg",
+  "jpeg",
+  "gif",
+  "svg",
+  "webp",
+  "avif",
+  "ico",
+  "bmp",
+  "woff",
+  "woff2",
+  "ttf",
+  "otf",
+  "eot",
+  "mp4",
+  "webm",
+  "ogg",
+  "mp3",
+  "wav",
+  "pdf",
+];
+
+const STYLESHEET_EXTENSIONS = ["css", "scss", "sass", "less", "styl"];
+
+const ASSET_PATH_REGEX = new RegExp(
+  `\\.(${ASSET_EXTENSIONS.join("|")})([?#].*)?$`,
+  "i"
+);
+
+// Attributes that reference a file, in both plain and bound (`:src`) forms
+const ATTRIBUTE_REGEX =
+  /(?:^|\s)(v-bind:|:)?(src|srcset|poster|href|xlink:href|data-src)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const STRING_LITERAL_REGEX = /(['"`])([^'"`\s]+?)\1/g;
+
+const CSS_URL_REGEX = /url\(\s*(['"]?)([^'")]+?)\1\s*\)/g;
+
+const IMPORT_META_URL_REGEX =
+  /new\s+URL\(\s*(['"`])([^'"`]+)\1\s*,\s*import\.meta\.url\s*\)/g;
+
+// Whether a reference points at a local file rather than a URL or data URI
+const isLocalReference = (ref) =>
+  !!ref && !/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(ref) && !ref.includes("{{");
+
+// Drop `?query` and `#fragment` suffixes (e.g. "icons.svg#home")
+const stripQuery = (ref) => ref.replace(/[?#].*$/, "");
+
+const isAssetPath = (ref) => ASSET_PATH_REGEX.test(ref);
+
+/**
+ * Asset references in a Vue template or HTML document
+ */
+function extractTemplateAssetRefs(templateContent) {
+  const refs = new Set();
+  let match;
+  ATTRIBUTE_REGEX.lastIndex = 0;
+  while ((match = ATTRIBUTE_REGEX.exec(templateContent))) {
+    const [, bound, name] = match;
+    const value = match[3] !== undefined ? match[3] : match[4];
+
+    let candidates;
+    if (bound) {
+      // Only string literals inside the bound expression are static references
+      candidates = [...value.matchAll(STRING_LITERAL_REGEX)].map((m) => m[2]);
+    } else if (name === "srcset") {
+      candidates = value.split(",").map((part) => part.trim().split(/\s+/)[0]);
+    } else {
+      candidates = [value.trim()];
+    }
+
+    candidates
+      .filter((ref) => isLocalReference(ref) && isAssetPath(ref))
+      .forEach((ref) => refs.add(stripQuery(ref)));
+  }
+  return [...refs];
+}
+
+/**
+ * Asset references in CSS `url()` calls
+ */
+function extractStyleAssetRefs(styleContent) {
+  const refs = new Set();
+  for (const [, , ref] of styleContent.matchAll(CSS_URL_REGEX)) {
+    const trimmed = ref.trim();
+    if (isLocalReference(trimmed) && isAssetPath(trimmed)) {
+      refs.add(stripQuery(trimmed));
+    }
+  }
+  return [...refs];
+}
+
+/**
+ * Asset references in `new URL("...", import.meta.url)` expressions
+ */
+function extractScriptAssetRefs(scriptContent) {
+  const refs = new Set();
+  for (const [, , ref] of scriptContent.matchAll(IMPORT_META_URL_REGEX)) {
+    if (isLocalReference(ref) && !ref.includes("${")) {
+      refs.add(stripQuery(ref));
+    }
+  }
+  return [...refs];
+}
+
+module.exports = {
+  ASSET_EXTENSIONS,
+  STYLESHEET_EXTENSIONS,
+  extractTemplateAssetRefs,
+  extractStyleAssetRefs,
+  extractScriptAssetRefs,
+};
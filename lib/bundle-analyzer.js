@@ -23,7 +23,11 @@ class BundleAnalyzer {
     this.sourceMapConsumer = null;
     this.bundleFiles = new Set();
     this.sourceFiles = new Set();
+    // Source file -> source maps listing it
+    this.sourceMaps = new Map();
     this.fileSizes = new Map();
+    // Problems met while reading bundles, reported by the caller
+    this.warnings = [];
   }
 
   /**
@@ -36,7 +40,7 @@ class BundleAnalyzer {
       this.sourceMapConsumer = sourceMap.SourceMapConsumer;
       return true;
     } catch (error) {
-      console.warn(
+      this.warnings.push(
         "source-map library not available, bundle analysis will be limited"
       );
       return false;
@@ -62,6 +66,9 @@ class BundleAnalyzer {
     return {
       bundleFiles: Array.from(this.bundleFiles),
       sourceFiles: Array.from(this.sourceFiles),
+      sourceMaps: Object.fromEntries(
+        [...this.sourceMaps].map(([file, maps]) => [file, [...maps]])
+      ),
       fileSizes: Object.fromEntries(this.fileSizes),
     };
   }
@@ -137,12 +144,18 @@ class BundleAnalyzer {
         );
         if (resolvedSource) {
           this.sourceFiles.add(resolvedSource);
+          if (!this.sourceMaps.has(resolvedSource)) {
+            this.sourceMaps.set(resolvedSource, new Set());
+          }
+          this.sourceMaps.get(resolvedSource).add(mapPath);
         }
       });
 
       // consumer.destroy(); // Not needed in newer versions
     } catch (error) {
-      console.warn(`Failed to analyze source map ${mapPath}:`, error.message);
+      this.warnings.push(
+        `Failed to analyze source map ${mapPath}: ${error.message}`
+      );
     }
   }
 
@@ -166,7 +179,9 @@ class BundleAnalyzer {
       // Extract module information and dependencies
       this.extractBundleModules(content, jsPath);
     } catch (error) {
-      console.warn(`Failed to analyze JS bundle ${jsPath}:`, error.message);
+      this.warnings.push(
+        `Failed to analyze JS bundle ${jsPath}: ${error.message}`
+      );
     }
   }
 
@@ -189,7 +204,9 @@ class BundleAnalyzer {
 
       // Could add CSS-specific analysis here
     } catch (error) {
-      console.warn(`Failed to analyze CSS bundle ${cssPath}:`, error.message);
+      this.warnings.push(
+        `Failed to analyze CSS bundle ${cssPath}: ${error.message}`
+      );
     }
   }
 
@@ -0,0 +1,618 @@
+/**
+ * @fileoverview Alias discovery for bundler configuration files.
+ *
+ * Reads `resolve.alias` from vite.config.*, vue.config.js and webpack.config.js
+ * without executing them. The config is parsed with Babel and the alias values
+ * are statically evaluated, which covers the usual patterns:
+ * - string literals, template literals and string concatenation
+ * - `path.resolve(__dirname, "src")` / `path.join(...)`
+ * - `fileURLToPath(new URL("./src", import.meta.url))`
+ * - small local helpers such as `function resolve(dir) { return path.join(__dirname, dir) }`
+ * - Vite's `{ find, replacement }` arrays, including RegExp `find`s
+ * - vue-cli's `configureWebpack` and `chainWebpack` (`config.resolve.alias.set(...)`)
+ *
+ * The same evaluator reads the code preprocessors prepend to every stylesheet
+ * (`additionalData`), and other framework configs (such as nuxt.config) into
+ * plain data.
+ */
+const fs = require("fs");
+const path = require("path");
+const babelParser = require("@babel/parser");
+
+const BUNDLER_CONFIG_FILES = [
+  "vite.config.ts",
+  "vite.config.js",
+  "vite.config.mts",
+  "vite.config.mjs",
+  "vite.config.cts",
+  "vite.config.cjs",
+  "vue.config.js",
+  "vue.config.cjs",
+  "webpack.config.js",
+  "webpack.config.cjs",
+  "webpack.config.ts",
+];
+
+// Sentinel for expressions that cannot be evaluated statically
+const UNKNOWN = Symbol("unknown");
+
+const PATH_FUNCTIONS = {
+  resolve: path.resolve,
+  join: path.join,
+  dirname: path.dirname,
+  normalize: path.normalize,
+};
+
+/**
+ * Minimal static evaluator for the expressions found in bundler configs.
+ */
+class ConfigEvaluator {
+  constructor(ast, configFile, rootDir) {
+    this.configFile = configFile;
+    this.configDir = path.dirname(configFile);
+    this.rootDir = rootDir;
+    this.bindings = new Map();
+    this.collectBindings(ast.program.body);
+  }
+
+  /**
+   * Record top-level variables, functions and imports by name
+   */
+  collectBindings(body) {
+    for (const statement of body) {
+      const node =
+        statement.type === "ExportNamedDeclaration"
+          ? statement.declaration
+          : statement;
+      if (!node) continue;
+
+      if (node.type === "VariableDeclaration") {
+        node.declarations.forEach((decl) => {
+          if (decl.id.type === "Identifier" && decl.init) {
+            this.bindings.set(decl.id.name, decl.init);
+          }
+        });
+      } else if (node.type === "FunctionDeclaration" && node.id) {
+        this.bindings.set(node.id.name, node);
+      } else if (node.type === "ImportDeclaration") {
+        // Default and namespace imports are recorded as "default"
+        node.specifiers.forEach((spec) => {
+          this.bindings.set(spec.local.name, {
+            type: "ImportBinding",
+            source: node.source.value,
+            imported: spec.imported ? spec.imported.name : "default",
+          });
+        });
+      }
+    }
+  }
+
+  /**
+   * Follow identifiers, TS-only wrappers and `defineConfig()` calls down to
+   * the node that actually holds the value.
+   */
+  unwrap(node) {
+    while (node) {
+      if (
+        node.type === "TSAsExpression" ||
+        node.type === "TSSatisfiesExpression" ||
+        node.type === "TSNonNullExpression" ||
+        node.type === "ParenthesizedExpression"
+      ) {
+        node = node.expression;
+      } else if (node.type === "Identifier") {
+        const bound = this.bindings.get(node.name);
+        if (!bound || bound.type === "ImportBinding") return node;
+        node = bound;
+      } else if (
+        node.type === "CallExpression" &&
+        node.callee.type === "Identifier" &&
+        /^define[A-Z]\w*Config$|^defineConfig$/.test(node.callee.name) &&
+        node.arguments.length
+      ) {
+        node = node.arguments[0];
+      } else if (
+        node.type === "ArrowFunctionExpression" ||
+        node.type === "FunctionExpression" ||
+        node.type === "FunctionDeclaration"
+      ) {
+        const returned = this.getReturnedNode(node);
+        if (!returned) return node;
+        node = returned;
+      } else {
+        return node;
+      }
+    }
+    return node;
+  }
+
+  getReturnedNode(fn) {
+    if (fn.body.type !== "BlockStatement") return fn.body;
+    const ret = [...fn.body.body]
+      .reverse()
+      .find((s) => s.type === "ReturnStatement" && s.argument);
+    return ret ? ret.argument : null;
+  }
+
+  /**
+   * Look up a property by name on an object literal
+   */
+  getProperty(node, name) {
+    const obj = this.unwrap(node);
+    if (!obj || obj.type !== "ObjectExpression") return null;
+    for (const prop of [...obj.properties].reverse()) {
+      if (prop.type !== "ObjectProperty" && prop.type !== "ObjectMethod") {
+        continue;
+      }
+      if (this.getKey(prop) === name) {
+        return prop.type === "ObjectMethod" ? prop : prop.value;
+      }
+    }
+    return null;
+  }
+
+  getKey(prop) {
+    if (prop.computed) {
+      const key = this.evaluate(prop.key);
+      return typeof key === "string" ? key : UNKNOWN;
+    }
+    if (prop.key.type === "Identifier") return prop.key.name;
+    if (prop.key.type === "StringLiteral") return prop.key.value;
+    return UNKNOWN;
+  }
+
+  /**
+   * Evaluate an object or array literal into plain data. Values that cannot
+   * be evaluated statically are left out.
+   */
+  toValue(node) {
+    const target = this.unwrap(node);
+    if (!target) return UNKNOWN;
+    switch (target.type) {
+      case "ObjectExpression": {
+        const out = {};
+        target.properties.forEach((prop) => {
+          if (prop.type !== "ObjectProperty") return;
+          const key = this.getKey(prop);
+          const value = key === UNKNOWN ? UNKNOWN : this.toValue(prop.value);
+          if (value !== UNKNOWN) out[key] = value;
+        });
+        return out;
+      }
+      case "ArrayExpression":
+        return target.elements
+          .map((el) => this.toValue(el))
+          .filter((value) => value !== UNKNOWN);
+      case "BooleanLiteral":
+      case "NumericLiteral":
+        return target.value;
+      case "NullLiteral":
+        return null;
+      default:
+        return this.evaluate(target);
+    }
+  }
+
+  /**
+   * Statically evaluate an expression to a string or RegExp, or UNKNOWN
+   */
+  evaluate(node, scope = new Map()) {
+    if (!node) return UNKNOWN;
+    switch (node.type) {
+      case "StringLiteral":
+        return node.value;
+      case "RegExpLiteral":
+        return new RegExp(node.pattern, node.flags);
+      case "TemplateLiteral": {
+        let out = "";
+        for (let i = 0; i < node.quasis.length; i++) {
+          out += node.quasis[i].value.cooked;
+          if (i < node.expressions.length) {
+            const value = this.evaluate(node.expressions[i], scope);
+            if (typeof value !== "string") return UNKNOWN;
+            out += value;
+          }
+        }
+        return out;
+      }
+      case "BinaryExpression": {
+        if (node.operator !== "+") return UNKNOWN;
+        const left = this.evaluate(node.left, scope);
+        const right = this.evaluate(node.right, scope);
+        return typeof left === "string" && typeof right === "string"
+          ? left + right
+          : UNKNOWN;
+      }
+      case "Identifier": {
+        if (node.name === "__dirname") return this.configDir;
+        if (scope.has(node.name)) return scope.get(node.name);
+        const bound = this.bindings.get(node.name);
+        if (!bound || bound.type === "ImportBinding") return UNKNOWN;
+        return this.evaluate(bound);
+      }
+      case "MemberExpression":
+        return this.evaluateMember(node, scope);
+      case "NewExpression":
+        return this.evaluateUrl(node, scope);
+      case "CallExpression":
+        return this.evaluateCall(node, scope);
+      case "TSAsExpression":
+      case "TSSatisfiesExpression":
+      case "TSNonNullExpression":
+      case "ParenthesizedExpression":
+        return this.evaluate(node.expression, scope);
+      default:
+        return UNKNOWN;
+    }
+  }
+
+  /**
+   * Whether `node` refers to Node's path module (`path`, `import path from
+   * "node:path"`, `const path = require("path")`)
+   */
+  isPathModule(node) {
+    if (node.type !== "Identifier") return false;
+    const bound = this.bindings.get(node.name);
+    if (!bound) return node.name === "path";
+    if (bound.type === "ImportBinding") {
+      return (
+        bound.source.replace(/^node:/, "") === "path" &&
+        bound.imported === "default"
+      );
+    }
+    return (
+      bound.type === "CallExpression" &&
+      bound.callee.type === "Identifier" &&
+      bound.callee.name === "require" &&
+      bound.arguments[0] &&
+      bound.arguments[0].type === "StringLiteral" &&
+      bound.arguments[0].value.replace(/^node:/, "") === "path"
+    );
+  }
+
+  evaluateMember(node, scope) {
+    // import.meta.url and import.meta.dirname
+    if (
+      node.object.type === "MetaProperty" &&
+      node.object.meta.name === "import"
+    ) {
+      if (node.property.name === "url") return `file://${this.configFile}`;
+      if (node.property.name === "dirname") return this.configDir;
+      return UNKNOWN;
+    }
+    // new URL(...).pathname
+    if (!node.computed && node.property.name === "pathname") {
+      const url = this.evaluate(node.object, scope);
+      return typeof url === "string" ? url.replace(/^file:\/\//, "") : UNKNOWN;
+    }
+    return UNKNOWN;
+  }
+
+  evaluateUrl(node, scope) {
+    if (node.callee.type !== "Identifier" || node.callee.name !== "URL") {
+      return UNKNOWN;
+    }
+    const [spec, base] = node.arguments.map((arg) => this.evaluate(arg, scope));
+    if (typeof spec !== "string" || typeof base !== "string") return UNKNOWN;
+    const baseDir = path.dirname(base.replace(/^file:\/\//, ""));
+    return `file://${path.resolve(baseDir, spec)}`;
+  }
+
+  evaluateCall(node, scope) {
+    const { callee } = node;
+    const args = () => node.arguments.map((arg) => this.evaluate(arg, scope));
+
+    // path.resolve(...) / path.join(...)
+    if (
+      callee.type === "MemberExpression" &&
+      !callee.computed &&
+      PATH_FUNCTIONS[callee.property.name] &&
+      this.isPathModule(callee.object)
+    ) {
+      const values = args();
+      if (values.some((v) => typeof v !== "string")) return UNKNOWN;
+      return PATH_FUNCTIONS[callee.property.name](...values);
+    }
+
+    if (
+      callee.type === "MemberExpression" &&
+      callee.object.type === "Identifier" &&
+      callee.object.name === "process" &&
+      callee.property.name === "cwd"
+    ) {
+      return this.rootDir;
+    }
+
+    if (callee.type !== "Identifier") return UNKNOWN;
+
+    const bound = this.bindings.get(callee.name);
+
+    // Named imports from "path" / "node:path" and "url" / "node:url"
+    if (bound && bound.type === "ImportBinding") {
+      const source = bound.source.replace(/^node:/, "");
+      if (source === "path" && PATH_FUNCTIONS[bound.imported]) {
+        // import { resolve } from "path"
+        const values = args();
+        if (values.some((v) => typeof v !== "string")) return UNKNOWN;
+        return PATH_FUNCTIONS[bound.imported](...values);
+      }
+      if (source === "url" && bound.imported === "fileURLToPath") {
+        const [url] = args();
+        return typeof url === "string"
+          ? url.replace(/^file:\/\//, "")
+          : UNKNOWN;
+      }
+      return UNKNOWN;
+    }
+
+    // Local helper functions, e.g. `const resolve = (dir) => path.join(__dirname, dir)`
+    if (
+      bound &&
+      (bound.type === "FunctionDeclaration" ||
+        bound.type === "ArrowFunctionExpression" ||
+        bound.type === "FunctionExpression")
+    ) {
+      const returned = this.getReturnedNode(bound);
+      if (!returned) return UNKNOWN;
+      const values = args();
+      const inner = new Map(scope);
+      bound.params.forEach((param, i) => {
+        if (param.type === "Identifier") inner.set(param.name, values[i]);
+      });
+      return this.evaluate(returned, inner);
+    }
+
+    return UNKNOWN;
+  }
+}
+
+/**
+ * Turn an evaluated alias target into an absolute filesystem path, or null
+ * when it points at a package rather than a location in the project.
+ */
+const toAliasTarget = (target, configDir, rootDir) => {
+  if (typeof target !== "string") return null;
+  if (path.isAbsolute(target)) {
+    if (target === rootDir || target.startsWith(rootDir + path.sep)) {
+      return target;
+    }
+    // Vite allows root-relative targets such as "/src"
+    const fromRoot = path.join(rootDir, target);
+    return fs.existsSync(target) && !fs.existsSync(fromRoot)
+      ? target
+      : fromRoot;
+  }
+  if (target.startsWith(".")) return path.resolve(configDir, target);
+  return null;
+};
+
+/**
+ * Collect aliases from an evaluated `resolve.alias` node (object or Vite array)
+ */
+const collectAliasNode = (evaluator, node, aliases) => {
+  const aliasNode = evaluator.unwrap(node);
+  if (!aliasNode) return;
+
+  const add = (find, replacement) => {
+    if (typeof find === "string") {
+      // webpack uses a trailing `$` to mark an exact match
+      const key = find.replace(/\$$/, "");
+      const target = toAliasTarget(
+        replacement,
+        evaluator.configDir,
+        evaluator.rootDir
+      );
+      if (key && target) aliases.push({ find: key, replacement: target });
+    } else if (find instanceof RegExp && typeof replacement === "string") {
+      aliases.push({ find, replacement });
+    }
+  };
+
+  if (aliasNode.type === "ObjectExpression") {
+    aliasNode.properties.forEach((prop) => {
+      if (prop.type !== "ObjectProperty") return;
+      const key = evaluator.getKey(prop);
+      if (key === UNKNOWN) return;
+      add(key, evaluator.evaluate(prop.value));
+    });
+  } else if (aliasNode.type === "ArrayExpression") {
+    aliasNode.elements.forEach((element) => {
+      if (!element || element.type !== "ObjectExpression") return;
+      add(
+        evaluator.evaluate(evaluator.getProperty(element, "find")),
+        evaluator.evaluate(evaluator.getProperty(element, "replacement"))
+      );
+    });
+  }
+};
+
+/**
+ * Find `resolve.alias` in a (possibly function-wrapped) webpack or Vite config
+ */
+const collectConfigObject = (evaluator, node, aliases) => {
+  const config = evaluator.unwrap(node);
+  if (!config) return;
+
+  if (config.type === "ArrayExpression") {
+    config.elements.forEach((el) =>
+      collectConfigObject(evaluator, el, aliases)
+    );
+    return;
+  }
+
+  const resolve = evaluator.getProperty(config, "resolve");
+  if (resolve) {
+    const alias = evaluator.getProperty(resolve, "alias");
+    if (alias) collectAliasNode(evaluator, alias, aliases);
+  }
+
+  // vue.config.js wraps the webpack config in `configureWebpack`
+  const configureWebpack = evaluator.getProperty(config, "configureWebpack");
+  if (configureWebpack) {
+    const target =
+      configureWebpack.type === "ObjectMethod"
+        ? evaluator.getReturnedNode(configureWebpack)
+        : configureWebpack;
+    if (target) collectConfigObject(evaluator, target, aliases);
+  }
+};
+
+/**
+ * Find `config.resolve.alias.set("@", ...)` chains used by vue-cli's chainWebpack
+ */
+const collectChainedAliases = (evaluator, ast, aliases) => {
+  const visit = (node) => {
+    if (!node || typeof node.type !== "string") return;
+
+    if (
+      node.type === "CallExpression" &&
+      node.callee.type === "MemberExpression" &&
+      !node.callee.computed &&
+      node.callee.property.name === "set" &&
+      node.arguments.length === 2
+    ) {
+      let object = node.callee.object;
+      while (
+        object.type === "CallExpression" &&
+        object.callee.type === "MemberExpression" &&
+        object.callee.property.name === "set"
+      ) {
+        object = object.callee.object;
+      }
+      if (
+        object.type === "MemberExpression" &&
+        !object.computed &&
+        object.property.name === "alias"
+      ) {
+        const find = evaluator.evaluate(node.arguments[0]);
+        const target = toAliasTarget(
+          evaluator.evaluate(node.arguments[1]),
+          evaluator.configDir,
+          evaluator.rootDir
+        );
+        if (typeof find === "string" && target) {
+          aliases.push({ find: find.replace(/\$$/, ""), replacement: target });
+        }
+      }
+    }
+
+    for (const key of Object.keys(node)) {
+      if (key === "loc" || key === "start" || key === "end") continue;
+      const child = node[key];
+      if (Array.isArray(child)) child.forEach(visit);
+      else if (child && typeof child === "object") visit(child);
+    }
+  };
+  visit(ast.program);
+};
+
+const parseConfigFile = (configFile) => {
+  try {
+    return babelParser.parse(fs.readFileSync(configFile, "utf-8"), {
+      sourceType: "unambiguous",
+      plugins: ["typescript"],
+    });
+  } catch (error) {
+    if (process.env.VUE_UNUSED_VERBOSE) {
+      console.error(`Failed to parse ${configFile}:`, error.message);
+    }
+    return null;
+  }
+};
+
+// The expressions a config file exports (`export default` / `module.exports =`)
+const getExportedConfigNodes = (ast) =>
+  ast.program.body.flatMap((statement) => {
+    if (statement.type === "ExportDefaultDeclaration") {
+      return [statement.declaration];
+    }
+    if (
+      statement.type === "ExpressionStatement" &&
+      statement.expression.type === "AssignmentExpression" &&
+      statement.expression.left.type === "MemberExpression" &&
+      statement.expression.left.object.name === "module" &&
+      statement.expression.left.property.name === "exports"
+    ) {
+      return [statement.expression.right];
+    }
+    return [];
+  });
+
+/**
+ * Statically read the aliases declared in a single bundler config file
+ */
+const readBundlerAliases = (configFile, rootDir) => {
+  const aliases = [];
+  const ast = parseConfigFile(configFile);
+  if (!ast) return aliases;
+
+  const evaluator = new ConfigEvaluator(ast, configFile, rootDir);
+  getExportedConfigNodes(ast).forEach((node) =>
+    collectConfigObject(evaluator, node, aliases)
+  );
+  collectChainedAliases(evaluator, ast, aliases);
+
+  return aliases;
+};
+
+/**
+ * Statically evaluate the object a config file exports (e.g. nuxt.config.ts)
+ * into plain data. Parts that cannot be evaluated are left out, and an
+ * unreadable file yields an empty object.
+ */
+function readStaticConfig(configFile, rootDir) {
+  const ast = parseConfigFile(configFile);
+  if (!ast) return {};
+  const evaluator = new ConfigEvaluator(ast, configFile, rootDir);
+  const [node] = getExportedConfigNodes(ast);
+  const value = node ? evaluator.toValue(node) : UNKNOWN;
+  return value && typeof value === "object" && !Array.isArray(value)
+    ? value
+    : {};
+}
+
+// Bundler configs in `rootDir`, or the single file given as `configPath`
+const findBundlerConfigs = (rootDir, configPath) =>
+  (configPath
+    ? [path.resolve(rootDir, configPath)]
+    : BUNDLER_CONFIG_FILES.map((name) => path.join(rootDir, name))
+  ).filter((file) => fs.existsSync(file));
+
+/**
+ * Discover aliases from every bundler config found in `rootDir`, or from the
+ * single file given as `configPath`. Returns Vite-style `{ find, replacement }`
+ * entries with absolute replacement paths.
+ */
+function discoverBundlerAliases(rootDir, configPath) {
+  return findBundlerConfigs(rootDir, configPath).flatMap((file) =>
+    readBundlerAliases(file, rootDir)
+  );
+}
+
+// Preprocessor options whose code is prepended to every stylesheet
+const PREPROCESSOR_DATA_KEYS = ["additionalData", "prependData", "data"];
+
+/**
+ * Code that bundler configs prepend to every stylesheet, such as Vite's
+ * `css.preprocessorOptions.scss.additionalData` or vue-cli's
+ * `css.loaderOptions.sass.prependData`. Returns `{ file, data }` entries,
+ * `file` being the config the code was found in.
+ */
+function discoverPreprocessorData(rootDir, configPath) {
+  return findBundlerConfigs(rootDir, configPath).flatMap((file) => {
+    const css = readStaticConfig(file, rootDir).css || {};
+    const options = { ...css.preprocessorOptions, ...css.loaderOptions };
+    return Object.values(options).flatMap((langOptions) =>
+      PREPROCESSOR_DATA_KEYS.map((key) => langOptions && langOptions[key])
+        .filter((data) => typeof data === "string")
+        .map((data) => ({ file, data }))
+    );
+  });
+}
+
+module.exports = {
+  BUNDLER_CONFIG_FILES,
+  discoverBundlerAliases,
+  discoverPreprocessorData,
+  readStaticConfig,
+};
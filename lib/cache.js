@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Persistent analysis cache.
+ * Keeps what the analyzer extracts from file contents (imports, exports,
+ * template usage, component registrations, ...) in
+ * `node_modules/.cache/vue-unused` (in the OS temp dir for a project without
+ * `node_modules`), keyed by a hash of the content, so a
+ * repeated run only parses the files that changed. Import resolutions are
+ * kept too, for as long as the set of scanned files stays the same. Imports
+ * that didn't resolve are looked up again on the next run, as their target
+ * may be a file that isn't scanned (an asset, a `<template src>`) and was
+ * created since. The whole
+ * cache is dropped when the tool version, the Vue version or a config option
+ * that changes what is extracted or how imports resolve is different.
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { version } = require("../package.json");
+
+const CACHE_FILE = "analysis.json";
+
+// Config options the cached data depends on. Report options (`exports`,
+// `cycles`, ...) only change what is done with the data.
+const CONFIG_KEYS = [
+  "rootDir",
+  "alias",
+  "extensions",
+  "assets",
+  "components",
+  "members",
+];
+
+const hash = (text) => crypto.createHash("sha1").update(text).digest("hex");
+
+// JSON has no Sets, Maps or RegExps, which extracted data is full of, so
+// they are tagged on the way out and rebuilt on the way in
+function replacer(key, value) {
+  if (value instanceof Set) return { $type: "Set", values: [...value] };
+  if (value instanceof Map) return { $type: "Map", entries: [...value] };
+  if (value instanceof RegExp) {
+    return { $type: "RegExp", source: value.source, flags: value.flags };
+  }
+  return value;
+}
+
+function reviver(key, value) {
+  if (!value || typeof value.$type !== "string") return value;
+  if (value.$type === "Set") return new Set(value.values);
+  if (value.$type === "Map") return new Map(value.entries);
+  if (value.$type === "RegExp") return new RegExp(value.source, value.flags);
+  return value;
+}
+
+/**
+ * Default cache directory of a project. A project without `node_modules`
+ * gets one in the OS temp dir instead, so that none is created in it.
+ */
+function getCacheDir(rootDir) {
+  if (fs.existsSync(path.join(rootDir, "node_modules"))) {
+    return path.join(rootDir, "node_modules", ".cache", "vue-unused");
+  }
+  return path.join(os.tmpdir(), "vue-unused", hash(path.resolve(rootDir)));
+}
+
+// Cache used with `cache: false`: everything is computed
+const disabledCache = () => ({
+  memo: (kind, content, compute) => compute(),
+  has: () => false,
+  getResolution: () => undefined,
+  setResolution: () => {},
+  forgetResolutions: () => {},
+  save: () => null,
+  stats: { hits: 0, misses: 0 },
+});
+
+/**
+ * Open the cache of a project.
+ *
+ * @param {Object} options
+ * @param {Object} options.config Complete config. Nothing is cached when
+ *   `config.cache` is false.
+ * @param {number} options.vueVersion Major Vue version, which changes how
+ *   SFCs are parsed.
+ * @param {string[]} options.files Every scanned file. Cached resolutions are
+ *   only reused when this list hasn't changed.
+ * @returns {{memo: Function, has: Function, getResolution: Function,
+ *   setResolution: Function, forgetResolutions: Function,
+ *   save: () => (Error|null),
+ *   stats: {hits: number, misses: number}}}
+ *   `memo(kind, content, compute)` returns the cached result of `compute()`
+ *   for this content, or computes and stores it; `compute` may return a
+ *   promise. `has(kind, content)` tells whether it is cached. `save()`
+ *   writes the entries used in this run and returns the error if the cache
+ *   couldn't be written.
+ */
+function openCache({ config, vueVersion, files }) {
+  if (config.cache === false) return disabledCache();
+
+  const cacheFile = path.join(getCacheDir(config.rootDir), CACHE_FILE);
+  const configHash = hash(
+    JSON.stringify(
+      {
+        version,
+        vueVersion,
+        config: CONFIG_KEYS.map((key) => config[key]),
+        // Each workspace package resolves imports with its own aliases
+        packages: (config.workspacePackages || []).map((pkg) => [
+          pkg.dir,
+          pkg.alias,
+        ]),
+      },
+      replacer
+    )
+  );
+  const fileSetHash = hash([...files].sort().join("\n"));
+
+  let stored = null;
+  try {
+    stored = JSON.parse(fs.readFileSync(cacheFile, "utf-8"), reviver);
+  } catch {
+    // Missing or unreadable: start empty
+  }
+  const valid = stored && stored.configHash === configHash;
+  const previousEntries = (valid && stored.entries) || {};
+  let previousResolutions =
+    (valid && stored.fileSetHash === fileSetHash && stored.resolutions) || {};
+
+  // Only what this run uses is written back, so entries of deleted or
+  // changed files don't pile up
+  const entries = new Map();
+  const resolutions = new Map();
+  const stats = { hits: 0, misses: 0 };
+
+  const memo = (kind, content, compute) => {
+    const key = `${kind}:${hash(content)}`;
+    if (entries.has(key)) return entries.get(key);
+    let value;
+    if (Object.prototype.hasOwnProperty.call(previousEntries, key)) {
+      value = previousEntries[key];
+      stats.hits++;
+    } else {
+      value = compute();
+      stats.misses++;
+      // Computed elsewhere (on a worker thread): stored once done, and
+      // shared with identical contents asked for meanwhile
+      if (value instanceof Promise) {
+        value = value.then(
+          (result) => {
+            entries.set(key, result);
+            return result;
+          },
+          (error) => {
+            entries.delete(key);
+            throw error;
+          }
+        );
+      }
+    }
+    entries.set(key, value);
+    return value;
+  };
+
+  const has = (kind, content) => {
+    const key = `${kind}:${hash(content)}`;
+    return (
+      entries.has(key) ||
+      Object.prototype.hasOwnProperty.call(previousEntries, key)
+    );
+  };
+
+  const getResolution = (key) => {
+    if (resolutions.has(key)) return resolutions.get(key);
+    if (
+      !Object.prototype.hasOwnProperty.call(previousResolutions, key) ||
+      previousResolutions[key] === null
+    ) {
+      return undefined;
+    }
+    resolutions.set(key, previousResolutions[key]);
+    return previousResolutions[key];
+  };
+
+  const setResolution = (key, value) => {
+    resolutions.set(key, value);
+  };
+
+  // Drop every resolution, once files were added or removed
+  const forgetResolutions = () => {
+    resolutions.clear();
+    previousResolutions = {};
+  };
+
+  const save = () => {
+    try {
+      fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+      const data = JSON.stringify(
+        {
+          configHash,
+          fileSetHash,
+          entries: Object.fromEntries(entries),
+          resolutions: Object.fromEntries(
+            [...resolutions].filter(([, target]) => target !== null)
+          ),
+        },
+        replacer
+      );
+      // Write then rename, so an interrupted run never leaves half a file
+      const tmpFile = `${cacheFile}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpFile, data);
+      fs.renameSync(tmpFile, cacheFile);
+      return null;
+    } catch (error) {
+      return error;
+    }
+  };
+
+  return {
+    memo,
+    has,
+    getResolution,
+    setResolution,
+    forgetResolutions,
+    save,
+    stats,
+  };
+}
+
+module.exports = {
+  getCacheDir,
+  openCache,
+};
@@ -2,11 +2,21 @@
  * @fileoverview This file handles the configuration loading for the tool.
  * It finds and merges the user's configuration file (`vue-unused.config.js`)
  * with default settings. It also includes logic to automatically find the project root
- * when no configuration file is present.
+ * when no configuration file is present. Path aliases declared in the project's
+ * tsconfig.json / jsconfig.json, bundler configs and Nuxt's conventions are
+ * discovered and merged into `alias`. In workspaces mode the root moves up to
+ * the workspace root and every workspace package gets its own aliases.
  */
 const fs = require("fs");
 const path = require("path");
 const { pathToFileURL } = require("url");
+const { discoverBundlerAliases } = require("./bundler-config");
+const { detectNuxtConfig, loadNuxtPreset } = require("./nuxt");
+const {
+  findWorkspaceRoot,
+  getWorkspacePackages,
+  getPackageAliases,
+} = require("./workspaces");
 
 const findProjectRoot = (startDir) => {
   let dir = startDir;
@@ -35,6 +45,249 @@ const defaultConfig = {
   output: "cli",
 };
 
+// Strip comments and trailing commas so tsconfig-style JSONC can be parsed.
+// Works character by character so `/*` inside strings (e.g. "src/*") is kept.
+const parseJsonc = (text) => {
+  let out = "";
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      out += ch;
+      if (ch === "\\") {
+        out += text[++i] || "";
+      } else if (ch === '"') {
+        inString = false;
+      }
+    } else if (ch === '"') {
+      inString = true;
+      out += ch;
+    } else if (ch === "/" && text[i + 1] === "/") {
+      while (i < text.length && text[i] !== "\n") i++;
+      out += "\n";
+    } else if (ch === "/" && text[i + 1] === "*") {
+      const end = text.indexOf("*/", i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else if (ch === "}" || ch === "]") {
+      // Drop a trailing comma before the closing bracket
+      out = out.replace(/,\s*$/, "") + ch;
+    } else {
+      out += ch;
+    }
+  }
+  return JSON.parse(out);
+};
+
+// Resolve an `extends` value of a tsconfig, either a relative file or a package.
+const resolveTsconfigExtends = (ext, fromDir) => {
+  if (ext.startsWith(".") || path.isAbsolute(ext)) {
+    const file = path.resolve(fromDir, ext);
+    if (fs.existsSync(file) && fs.statSync(file).isFile()) return file;
+    if (fs.existsSync(file + ".json")) return file + ".json";
+    return null;
+  }
+  for (const candidate of [ext, `${ext}/tsconfig.json`, `${ext}.json`]) {
+    try {
+      return require.resolve(candidate, { paths: [fromDir] });
+    } catch {
+      // Try the next candidate
+    }
+  }
+  return null;
+};
+
+// Read a tsconfig and its `extends` chain. Returns the effective `paths`
+// together with the absolute directory they are relative to.
+const readTsconfig = (file, seen = new Set()) => {
+  if (!file || seen.has(file) || !fs.existsSync(file)) return {};
+  seen.add(file);
+
+  let json;
+  try {
+    json = parseJsonc(fs.readFileSync(file, "utf-8"));
+  } catch (error) {
+    if (process.env.VUE_UNUSED_VERBOSE) {
+      console.error(`Failed to parse ${file}:`, error.message);
+    }
+    return {};
+  }
+
+  const dir = path.dirname(file);
+  const parents = [].concat(json.extends || []);
+  const result = {};
+  // Later entries in an `extends` array override earlier ones
+  for (const ext of parents) {
+    Object.assign(result, readTsconfig(resolveTsconfigExtends(ext, dir), seen));
+  }
+
+  const options = json.compilerOptions || {};
+  if (options.baseUrl !== undefined) {
+    result.baseUrl = path.resolve(dir, options.baseUrl);
+  }
+  if (options.paths) {
+    result.paths = options.paths;
+    result.pathsDir = dir;
+  }
+
+  // Project references (e.g. create-vue's tsconfig.app.json) often hold the paths
+  if (!result.paths && Array.isArray(json.references)) {
+    for (const ref of json.references) {
+      if (!ref || !ref.path) continue;
+      let refFile = path.resolve(dir, ref.path);
+      if (fs.existsSync(refFile) && fs.statSync(refFile).isDirectory()) {
+        refFile = path.join(refFile, "tsconfig.json");
+      }
+      const referenced = readTsconfig(refFile, seen);
+      if (referenced.paths) {
+        Object.assign(result, referenced);
+        break;
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Build an alias map from `compilerOptions.paths` in the project's
+ * tsconfig.json or jsconfig.json. Targets are absolute, and patterns with
+ * several targets keep all of them as fallbacks, in order.
+ */
+const loadTsconfigAliases = (rootDir, tsconfigPath) => {
+  const file = tsconfigPath
+    ? path.resolve(rootDir, tsconfigPath)
+    : ["tsconfig.json", "jsconfig.json"]
+        .map((name) => path.join(rootDir, name))
+        .find((candidate) => fs.existsSync(candidate));
+
+  const { baseUrl, paths, pathsDir } = readTsconfig(file);
+  if (!paths) return {};
+
+  const base = baseUrl || pathsDir;
+  return Object.fromEntries(
+    Object.entries(paths)
+      .filter(([, targets]) => Array.isArray(targets) && targets.length)
+      .map(([key, targets]) => [
+        key,
+        targets.map((target) => path.resolve(base, target)),
+      ])
+  );
+};
+
+// Normalise an alias object or Vite-style array into `{ find, replacement }` entries
+const toAliasEntries = (alias) =>
+  Array.isArray(alias)
+    ? alias
+    : Object.entries(alias || {}).map(([find, replacement]) => ({
+        find,
+        replacement,
+      }));
+
+// Merge discovered aliases underneath the ones configured explicitly. When the
+// same key is declared twice, the config file wins over Nuxt's conventions,
+// then the bundler config, then tsconfig/jsconfig.
+const withDiscoveredAliases = (config) => {
+  const nuxtConfigFile =
+    config.nuxt === false ? null : detectNuxtConfig(config.rootDir);
+  // In Nuxt projects the default `@ -> src` alias would shadow Nuxt's own `@`
+  const explicitAlias =
+    nuxtConfigFile && config.alias === defaultConfig.alias ? {} : config.alias;
+
+  const sources = [toAliasEntries(explicitAlias)];
+  if (nuxtConfigFile) {
+    sources.push(
+      toAliasEntries(loadNuxtPreset(config.rootDir, nuxtConfigFile).aliases)
+    );
+  }
+  if (config.bundlerConfig !== false) {
+    sources.push(discoverBundlerAliases(config.rootDir, config.bundlerConfig));
+  }
+  if (config.tsconfig !== false) {
+    sources.push(
+      toAliasEntries(loadTsconfigAliases(config.rootDir, config.tsconfig))
+    );
+  }
+
+  const seen = new Set();
+  const alias = sources.flat().filter(({ find }) => {
+    const key = String(find);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  return { ...config, alias };
+};
+
+// Make relative alias targets absolute, so they keep pointing at the same
+// place when the aliases are used from another directory
+const absoluteAliases = (entries, dir) => {
+  const resolve = (target) =>
+    typeof target === "string" ? path.resolve(dir, target) : target;
+  return entries.map(({ find, replacement }) => ({
+    find,
+    replacement: Array.isArray(replacement)
+      ? replacement.map(resolve)
+      : resolve(replacement),
+  }));
+};
+
+// Analyze the whole workspace as one project. Every package gets the aliases
+// discovered in its own directory; the default `@ -> src` applies per
+// package, while explicit aliases stay relative to the workspace root.
+// Package names resolve to their source everywhere.
+const withWorkspaces = (config) => {
+  const rootDir = findWorkspaceRoot(config.rootDir) || config.rootDir;
+  const packages = getWorkspacePackages(rootDir);
+  const packageNameAliases = packages.flatMap(getPackageAliases);
+  const explicitAlias =
+    config.alias === defaultConfig.alias
+      ? config.alias
+      : absoluteAliases(toAliasEntries(config.alias), rootDir);
+  const rootConfig = withDiscoveredAliases({ ...config, rootDir });
+  return {
+    ...rootConfig,
+    alias: [...rootConfig.alias, ...packageNameAliases],
+    workspacePackages: packages.map((pkg) => ({
+      ...pkg,
+      alias: [
+        ...absoluteAliases(
+          withDiscoveredAliases({
+            ...config,
+            rootDir: pkg.dir,
+            alias: explicitAlias,
+          }).alias,
+          pkg.dir
+        ),
+        ...packageNameAliases,
+      ],
+    })),
+  };
+};
+
+// Workspaces mode is read here rather than in the CLI because it changes the
+// project root
+const usesWorkspaces = (config) =>
+  process.argv.includes("--workspaces") || !!config.workspaces;
+
+// Discover aliases (and workspace packages) for a merged config
+const finalizeConfig = (config) =>
+  config.workspaces ? withWorkspaces(config) : withDiscoveredAliases(config);
+
+/**
+ * Turn partial options into a complete config, the way the CLI does for a
+ * config file: defaults are applied, `rootDir` is resolved against the
+ * current directory (or found from it when missing) and aliases are
+ * discovered. Nothing is read from the command line.
+ */
+exports.resolveConfig = (options = {}) =>
+  finalizeConfig({
+    ...defaultConfig,
+    ...options,
+    rootDir: options.rootDir
+      ? path.resolve(options.rootDir)
+      : findProjectRoot(process.cwd()),
+  });
+
 exports.loadConfig = async () => {
   let configPath = getConfigPathFromArgs();
 
@@ -61,18 +314,23 @@ exports.loadConfig = async () => {
     const userConfigModule = await import(configUrl);
     const userConfig = userConfigModule.default || userConfigModule;
     // The user's config `rootDir` is resolved relative to the config file itself
-    return {
+    const config = {
       ...defaultConfig,
       ...userConfig,
       rootDir: userConfig.rootDir
         ? path.resolve(rootDir, userConfig.rootDir)
         : rootDir,
     };
+    return finalizeConfig({ ...config, workspaces: usesWorkspaces(config) });
   }
 
   // No config file found anywhere, so find the project root automatically
   const rootDir = findProjectRoot(process.cwd());
-  return { ...defaultConfig, rootDir };
+  return finalizeConfig({
+    ...defaultConfig,
+    rootDir,
+    workspaces: usesWorkspaces(defaultConfig),
+  });
 };
 
 const getConfigPathFromArgs = () => {
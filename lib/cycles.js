@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Circular dependency detection.
+ * Finds the strongly connected components of the module import graph: every
+ * group of files that import each other, directly or through other files.
+ * Each group is reported with one concrete cycle through it, so the chain of
+ * imports (and their lines) that closes the loop can be followed and broken.
+ */
+
+/**
+ * Strongly connected components of `graph` (file -> iterable of dependencies),
+ * using an iterative version of Tarjan's algorithm so long import chains
+ * don't overflow the call stack.
+ */
+function findStronglyConnectedComponents(graph) {
+  let nextIndex = 0;
+  const indices = new Map();
+  const lowlinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+
+  const open = (node) => {
+    indices.set(node, nextIndex);
+    lowlinks.set(node, nextIndex);
+    nextIndex++;
+    stack.push(node);
+    onStack.add(node);
+    return { node, deps: [...(graph[node] || [])], i: 0 };
+  };
+
+  for (const root of Object.keys(graph)) {
+    if (indices.has(root)) continue;
+    const frames = [open(root)];
+    while (frames.length) {
+      const frame = frames[frames.length - 1];
+      if (frame.i < frame.deps.length) {
+        const dep = frame.deps[frame.i++];
+        if (!indices.has(dep)) {
+          frames.push(open(dep));
+        } else if (onStack.has(dep)) {
+          lowlinks.set(
+            frame.node,
+            Math.min(lowlinks.get(frame.node), indices.get(dep))
+          );
+        }
+        continue;
+      }
+
+      frames.pop();
+      if (frames.length) {
+        const parent = frames[frames.length - 1].node;
+        lowlinks.set(
+          parent,
+          Math.min(lowlinks.get(parent), lowlinks.get(frame.node))
+        );
+      }
+      if (lowlinks.get(frame.node) === indices.get(frame.node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.node);
+        components.push(component);
+      }
+    }
+  }
+
+  return components;
+}
+
+// Shortest cycle from `start` back to itself, staying inside `members`.
+// Breadth-first, so the reported chain is as short as possible.
+const findShortestCycle = (graph, start, members) => {
+  const previous = new Map();
+  const queue = [start];
+  while (queue.length) {
+    const node = queue.shift();
+    for (const dep of graph[node].keys()) {
+      if (!members.has(dep)) continue;
+      if (dep === start) {
+        const chain = [node];
+        while (chain[0] !== start) chain.unshift(previous.get(chain[0]));
+        return chain;
+      }
+      if (!previous.has(dep)) {
+        previous.set(dep, node);
+        queue.push(dep);
+      }
+    }
+  }
+  return [start];
+};
+
+/**
+ * Find import cycles.
+ *
+ * @param {Object<string, Array<{target: string, line: number, dynamic?: boolean,
+ *   typeOnly?: boolean}>>} edges Resolved module imports, keyed by importer.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDynamic=false] Count `import()` edges. They
+ *   are evaluated lazily, so they don't cause initialization order errors.
+ * @param {boolean} [options.includeTypeOnly=false] Count `import type` edges,
+ *   which are erased at compile time.
+ * @returns {Array<{files: string[], chain: Array<{file: string, line: number,
+ *   target: string}>}>} One entry per group of files importing each other,
+ *   largest first. `chain` is a shortest cycle through the group's first file.
+ */
+function findCycles(
+  edges,
+  { includeDynamic = false, includeTypeOnly = false } = {}
+) {
+  // file -> Map(target -> line of the first import of it)
+  const graph = {};
+  for (const [file, fileEdges] of Object.entries(edges)) {
+    graph[file] = new Map();
+    fileEdges
+      .filter(
+        ({ dynamic, typeOnly }) =>
+          (includeDynamic || !dynamic) && (includeTypeOnly || !typeOnly)
+      )
+      .sort((a, b) => (a.line || 0) - (b.line || 0))
+      .forEach(({ target, line }) => {
+        if (!graph[file].has(target)) graph[file].set(target, line);
+      });
+  }
+  const adjacency = Object.fromEntries(
+    Object.entries(graph).map(([file, targets]) => [file, [...targets.keys()]])
+  );
+
+  return findStronglyConnectedComponents(adjacency)
+    .filter(
+      (component) =>
+        component.length > 1 ||
+        (graph[component[0]] && graph[component[0]].has(component[0]))
+    )
+    .map((component) => {
+      const files = component.sort();
+      const chain = findShortestCycle(graph, files[0], new Set(files));
+      return {
+        files,
+        chain: chain.map((file, i) => {
+          const target = chain[(i + 1) % chain.length];
+          return { file, line: graph[file].get(target), target };
+        }),
+      };
+    })
+    .sort((a, b) =>
+      b.files.length !== a.files.length
+        ? b.files.length - a.files.length
+        : a.files[0] < b.files[0]
+        ? -1
+        : 1
+    );
+}
+
+module.exports = {
+  findStronglyConnectedComponents,
+  findCycles,
+};
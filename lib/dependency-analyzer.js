@@ -0,0 +1,300 @@
+/**
+ * @fileoverview npm dependency analysis.
+ * Compares the packages a project imports with the ones its package.json
+ * declares, and reports:
+ * - declared packages nothing uses
+ * - imported packages that are not declared (often only working because a
+ *   dependency of a dependency was hoisted into node_modules)
+ * - `dependencies` only imported by test files, which belong in
+ *   `devDependencies`
+ *
+ * Tooling that is never imported (CLIs, ESLint plugins, preprocessors) counts
+ * as used when package.json scripts or root config files refer to it.
+ */
+const fs = require("fs");
+const path = require("path");
+const { builtinModules } = require("module");
+
+const DEPENDENCY_FIELDS = [
+  "dependencies",
+  "devDependencies",
+  "peerDependencies",
+  "optionalDependencies",
+];
+
+const TEST_FILE_REGEX =
+  /(^|\/)(__tests__|__mocks__|tests?|e2e|cypress|playwright)\/|\.(test|spec|cy|stories)\.[cm]?[jt]sx?$/;
+
+const SCRIPT_EXTENSIONS = "{js,jsx,ts,tsx,mjs,cjs,mts,cts}";
+
+// Tests and root config files. The regular scan usually ignores them, but
+// the packages they import still count.
+const DEPENDENCY_SCAN_GLOBS = [
+  `**/*.{test,spec,cy,stories}.${SCRIPT_EXTENSIONS}`,
+  `**/{__tests__,__mocks__,test,tests,e2e,cypress,playwright}/**/*.${SCRIPT_EXTENSIONS}`,
+  `*.config.${SCRIPT_EXTENSIONS}`,
+  `.*rc.${SCRIPT_EXTENSIONS}`,
+];
+
+// Root files that configure tools by package name (".eslintrc.js",
+// "vite.config.ts", "babel.config.json", ".prettierrc", ...)
+const CONFIG_FILE_REGEX = /^(\.[\w-]+rc(\.\w+)?|[\w.-]+\.config\.\w+)$/;
+
+// Packages used by the build without being imported, keyed by name, with
+// the file extensions that make them necessary
+const IMPLICIT_DEPENDENCIES = {
+  typescript: [".ts", ".tsx", ".mts", ".cts"],
+  "vue-tsc": [".ts", ".tsx"],
+  sass: [".scss", ".sass"],
+  "sass-embedded": [".scss", ".sass"],
+  "node-sass": [".scss", ".sass"],
+  less: [".less"],
+  stylus: [".styl"],
+  "vue-template-compiler": [".vue"],
+  "@vue/compiler-sfc": [".vue"],
+};
+
+/**
+ * The package an import specifier belongs to, or null for Node built-ins and
+ * virtual modules: "lodash/debounce" -> "lodash", "@scope/pkg/sub" ->
+ * "@scope/pkg".
+ */
+function getPackageName(specifier) {
+  if (!specifier || /^(node:|virtual:|#|~|\/|\.)/.test(specifier)) return null;
+  const parts = specifier.split("/");
+  const name = specifier.startsWith("@")
+    ? parts.length > 1
+      ? `${parts[0]}/${parts[1]}`
+      : null
+    : parts[0];
+  if (!name || builtinModules.includes(name)) return null;
+  return /^(@[\w.-]+\/)?[\w.-]+$/.test(name) ? name : null;
+}
+
+/**
+ * Whether a file is a test, story or end-to-end spec
+ */
+const isTestFile = (file, rootDir) =>
+  TEST_FILE_REGEX.test(path.relative(rootDir, file).split(path.sep).join("/"));
+
+// The nearest node_modules/<name>/package.json, looking up from rootDir
+const findInstalledPackage = (name, rootDir) => {
+  let dir = rootDir;
+  for (;;) {
+    const candidate = path.join(dir, "node_modules", name, "package.json");
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+};
+
+// Executable names a package installs (`@vue/cli-service` -> vue-cli-service)
+const getBinNames = (name, rootDir) => {
+  const manifest = findInstalledPackage(name, rootDir);
+  const names = [name.split("/").pop()];
+  if (!manifest) return names;
+  try {
+    const { bin } = JSON.parse(fs.readFileSync(manifest, "utf-8"));
+    if (typeof bin === "string") return names;
+    return [...names, ...Object.keys(bin || {})];
+  } catch {
+    return names;
+  }
+};
+
+// How config files refer to ESLint / Prettier / Stylelint plugins and
+// configs: "eslint-plugin-vue" -> "vue", "@vue/eslint-config-prettier" ->
+// "@vue/prettier"
+const getShorthand = (name) => {
+  const match = name.match(
+    /^(?:(@[^/]+)\/)?(?:eslint|stylelint|prettier)-(?:plugin|config)(?:-(.+))?$/
+  );
+  if (!match) return null;
+  const [, scope, rest] = match;
+  return scope ? (rest ? `${scope}/${rest}` : scope) : rest;
+};
+
+const readManifest = (dir) => {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, "package.json"), "utf-8"));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Names of the packages the package.json in `dir` declares, in any
+ * dependency field.
+ */
+const getDeclaredPackages = (dir) =>
+  new Set(
+    DEPENDENCY_FIELDS.flatMap((field) =>
+      Object.keys((readManifest(dir) || {})[field] || {})
+    )
+  );
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Compare package usage with package.json.
+ *
+ * @param {Object} options
+ * @param {string} options.rootDir Project root holding package.json.
+ * @param {Object<string, Iterable<string>>} options.packageImports
+ *   Import specifiers of packages, keyed by importing file.
+ * @param {Iterable<string>} [options.styleImports] Package specifiers used
+ *   from stylesheets (`@use "~bootstrap/scss/grid"`). They only count as usage.
+ * @param {Iterable<string>} [options.sharedImports] Package specifiers
+ *   imported by the other packages of a workspace, which a workspace root may
+ *   declare for them. They only count as usage.
+ * @param {string[]} [options.toolingDirs] Other directories whose
+ *   package.json scripts and root config files may run the root's tooling.
+ * @param {string[]} options.files Every scanned file.
+ * @param {(file: string) => boolean} [options.isCounted] Whether imports made
+ *   by a file count (test files and root config files always do).
+ * @param {string[]} [options.ignore] Package names never reported.
+ * @returns {{unused: Array<{name: string, field: string}>,
+ *   missing: Array<{name: string, files: string[], hoisted: boolean}>,
+ *   devOnly: Array<{name: string, files: string[]}>}|null}
+ *   null when there is no package.json.
+ */
+function findDependencyIssues({
+  rootDir,
+  packageImports,
+  styleImports = [],
+  sharedImports = [],
+  files,
+  isCounted = () => true,
+  ignore = [],
+  toolingDirs = [],
+}) {
+  const manifest = readManifest(rootDir);
+  if (!manifest) return null;
+
+  // name -> field it is declared in
+  const declared = new Map();
+  DEPENDENCY_FIELDS.forEach((field) =>
+    Object.keys(manifest[field] || {}).forEach((name) => {
+      if (!declared.has(name)) declared.set(name, field);
+    })
+  );
+  const ignored = new Set([manifest.name, ...ignore]);
+
+  // name -> importing files, split into app code, tests and root configs
+  const used = new Map();
+  for (const [file, specifiers] of Object.entries(packageImports)) {
+    const kind = isTestFile(file, rootDir)
+      ? "test"
+      : path.dirname(file) === rootDir &&
+        CONFIG_FILE_REGEX.test(path.basename(file))
+      ? "config"
+      : "app";
+    if (kind === "app" && !isCounted(file)) continue;
+    for (const specifier of specifiers) {
+      const name = getPackageName(specifier);
+      if (!name || ignored.has(name)) continue;
+      if (!used.has(name)) {
+        used.set(name, { app: new Set(), test: new Set(), config: new Set() });
+      }
+      used.get(name)[kind].add(file);
+    }
+  }
+  const styleUsed = new Set(
+    [
+      ...[...styleImports].map((spec) => spec.replace(/^~/, "")),
+      ...sharedImports,
+    ].map(getPackageName)
+  );
+
+  // Text that refers to tooling by name: package.json scripts and tool
+  // settings, and root config files
+  const scripts = [];
+  const configTexts = [];
+  [manifest, ...toolingDirs.map(readManifest)].forEach((pkg) => {
+    if (!pkg) return;
+    const { scripts: pkgScripts = {}, ...settings } = pkg;
+    DEPENDENCY_FIELDS.forEach((field) => delete settings[field]);
+    scripts.push(...Object.values(pkgScripts));
+    configTexts.push(JSON.stringify(settings));
+  });
+  [rootDir, ...toolingDirs].forEach((dir) =>
+    fs
+      .readdirSync(dir)
+      .filter((name) => CONFIG_FILE_REGEX.test(name))
+      .forEach((name) => {
+        try {
+          configTexts.push(fs.readFileSync(path.join(dir, name), "utf-8"));
+        } catch {
+          // Directories named like config files
+        }
+      })
+  );
+  const configText = configTexts.join("\n");
+  const scriptWords = new Set(scripts.join(" ").split(/[\s&|;()"'=]+/));
+  const extensions = new Set(files.map((file) => path.extname(file)));
+
+  const isUsedByTooling = (name) => {
+    if (name.startsWith("@types/")) return true;
+    if (
+      (IMPLICIT_DEPENDENCIES[name] || []).some((ext) => extensions.has(ext))
+    ) {
+      return true;
+    }
+    if (getBinNames(name, rootDir).some((bin) => scriptWords.has(bin))) {
+      return true;
+    }
+    const shorthand = getShorthand(name);
+    return [name, shorthand]
+      .filter(Boolean)
+      .some((ref) =>
+        new RegExp(`["'\`](plugin:)?${escapeRegExp(ref)}(["'\`/]|$)`, "m").test(
+          configText
+        )
+      );
+  };
+
+  const unused = [...declared]
+    .filter(
+      ([name, field]) =>
+        field !== "peerDependencies" &&
+        !ignored.has(name) &&
+        !used.has(name) &&
+        !styleUsed.has(name) &&
+        !isUsedByTooling(name)
+    )
+    .map(([name, field]) => ({ name, field }));
+
+  const missing = [...used]
+    .filter(([name]) => !declared.has(name))
+    .map(([name, { app, test, config }]) => ({
+      name,
+      files: [...app, ...test, ...config].sort(),
+      // Installed anyway, as some other package's dependency
+      hoisted: !!findInstalledPackage(name, rootDir),
+    }));
+
+  const devOnly = [...used]
+    .filter(
+      ([name, { app, config }]) =>
+        declared.get(name) === "dependencies" &&
+        app.size === 0 &&
+        config.size === 0
+    )
+    .map(([name, { test }]) => ({ name, files: [...test].sort() }));
+
+  const byName = (a, b) => (a.name < b.name ? -1 : 1);
+  return {
+    unused: unused.sort(byName),
+    missing: missing.sort(byName),
+    devOnly: devOnly.sort(byName),
+  };
+}
+
+module.exports = {
+  DEPENDENCY_SCAN_GLOBS,
+  getPackageName,
+  getDeclaredPackages,
+  isTestFile,
+  findDependencyIssues,
+};
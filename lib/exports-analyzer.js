@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Symbol-level usage analysis.
+ * Given the imports, exports and re-exports of every module, works out which
+ * exported names are actually imported somewhere. Usage flows through
+ * re-exports (`export { a } from`, `export * from`, `export * as ns from`), so
+ * a name consumed through a barrel file counts as a use of the original export.
+ * The same walk tells which re-export edges of a barrel are actually consumed.
+ */
+
+/**
+ * Compute the set of used export names per module.
+ *
+ * @param {Object<string, {imports: Array, exports: Array, reexports: Array}>} modules
+ *   Module info keyed by absolute file path; `imports` and `reexports` carry a
+ *   `resolved` path (or null for unresolved/package imports).
+ * @param {(file: string) => boolean} isCounted Whether imports made by a file count.
+ * @returns {{used: Map<string, Set<string>>, liveReexports: Map<string, Set<string>>}}
+ *   `used`: file -> used names ("*" means all). `liveReexports`: barrel file ->
+ *   re-exported files that some consumed name (or a side-effect import) reaches.
+ */
+function collectUsedNames(modules, isCounted = () => true) {
+  const used = new Map();
+  const liveReexports = new Map();
+  const evaluated = new Set();
+  const queue = [];
+
+  const markLive = (file, target) => {
+    if (!liveReexports.has(file)) liveReexports.set(file, new Set());
+    liveReexports.get(file).add(target);
+  };
+
+  // Whether `file` exports `name`, either itself or through `export *`
+  const provides = (file, name, seen = new Set()) => {
+    if (!modules[file] || seen.has(file)) return false;
+    seen.add(file);
+    const { exports, reexports } = modules[file];
+    return (
+      exports.some((e) => e.name === name) ||
+      reexports.some(
+        (r) =>
+          r.exported === "*" && r.resolved && provides(r.resolved, name, seen)
+      )
+    );
+  };
+
+  // A side-effect import (`import "./lib"`) loads every re-exported module
+  const evaluate = (file) => {
+    if (!modules[file] || evaluated.has(file)) return;
+    evaluated.add(file);
+    modules[file].reexports.forEach(({ resolved }) => {
+      if (!resolved) return;
+      markLive(file, resolved);
+      evaluate(resolved);
+    });
+  };
+
+  const mark = (file, name) => {
+    if (!modules[file]) return;
+    if (!used.has(file)) used.set(file, new Set());
+    const names = used.get(file);
+    if (names.has(name) || names.has("*")) return;
+    names.add(name);
+    queue.push([file, name]);
+  };
+
+  for (const [file, info] of Object.entries(modules)) {
+    if (!isCounted(file)) continue;
+    info.imports.forEach(({ resolved, names }) => {
+      if (!resolved) return;
+      if (!names.length) evaluate(resolved);
+      names.forEach((name) => mark(resolved, name));
+    });
+  }
+
+  // Forward each used name of a module through its re-exports
+  while (queue.length) {
+    const [file, name] = queue.shift();
+    const { exports, reexports } = modules[file];
+    const ownNames = new Set(exports.map((e) => e.name));
+
+    reexports.forEach(({ resolved, imported, exported }) => {
+      if (!resolved) return;
+      if (exported === "*") {
+        // `export * from` forwards every name the module doesn't declare itself,
+        // except the default export
+        if (name === "*") {
+          markLive(file, resolved);
+          mark(resolved, "*");
+        } else if (
+          name !== "default" &&
+          !ownNames.has(name) &&
+          provides(resolved, name)
+        ) {
+          markLive(file, resolved);
+          mark(resolved, name);
+        }
+      } else if (name === "*" || name === exported) {
+        markLive(file, resolved);
+        mark(resolved, imported);
+      }
+    });
+  }
+
+  return { used, liveReexports };
+}
+
+/**
+ * List every export that no counted module imports.
+ *
+ * @param {Object} modules See `collectUsedNames`.
+ * @param {Object} [options]
+ * @param {(file: string) => boolean} [options.isCounted] Whether imports made by a file count.
+ * @param {(file: string) => boolean} [options.shouldReport] Whether to report a file's exports.
+ * @returns {Array<{file: string, name: string, line: number}>}
+ */
+function findUnusedExports(
+  modules,
+  { isCounted = () => true, shouldReport = () => true } = {}
+) {
+  const { used } = collectUsedNames(modules, isCounted);
+  const unused = [];
+
+  for (const [file, { exports }] of Object.entries(modules)) {
+    if (!shouldReport(file)) continue;
+    const names = used.get(file) || new Set();
+    if (names.has("*")) continue;
+
+    exports.forEach(({ name, line }) => {
+      // The default export of an SFC is the component itself
+      if (name === "default" && file.endsWith(".vue")) return;
+      if (!names.has(name)) unused.push({ file, name, line });
+    });
+  }
+
+  return unused.sort((a, b) =>
+    a.file === b.file ? a.line - b.line : a.file < b.file ? -1 : 1
+  );
+}
+
+module.exports = {
+  collectUsedNames,
+  findUnusedExports,
+};
@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Extraction of what the analysis needs from a single file.
+ * Everything here works from a file's text alone, without looking at the
+ * rest of the project, so results can be cached by content and computed on
+ * worker threads (see parse-worker.js).
+ */
+const traverse = require("@babel/traverse").default;
+const {
+  parseScript,
+  parseVueFile,
+  getTemplateUsage,
+  getImportedComponents,
+  getLocalComponents,
+  getGlobalComponentRegistrations,
+} = require("./vue-parser");
+const { getComponentMembers } = require("./member-analyzer");
+const {
+  extractTemplateAssetRefs,
+  extractStyleAssetRefs,
+  extractScriptAssetRefs,
+} = require("./asset-analyzer");
+const { extractStyleImports } = require("./style-analyzer");
+
+function getVueVersion(rootDir) {
+  try {
+    // Use require.resolve for robust lookup of vue package from the target project
+    const vuePkgPath = require.resolve("vue/package.json", {
+      paths: [rootDir],
+    });
+    const vuePkg = require(vuePkgPath);
+    return vuePkg.version.startsWith("2") ? 2 : 3;
+  } catch {
+    // Fallback to Vue 2 for legacy projects if detection fails
+    return 2;
+  }
+}
+
+// The SFC compiler matching a major Vue version
+const loadCompiler = (vueVersion) =>
+  vueVersion === 2
+    ? require("vue-template-compiler")
+    : require("@vue/compiler-sfc");
+
+// Names bound by a declaration pattern, e.g. `const { a, b: [c] } = ...`
+const getPatternNames = (pattern) => {
+  switch (pattern.type) {
+    case "Identifier":
+      return [pattern.name];
+    case "ObjectPattern":
+      return pattern.properties.flatMap((prop) =>
+        getPatternNames(prop.type === "RestElement" ? prop : prop.value)
+      );
+    case "ArrayPattern":
+      return pattern.elements.filter(Boolean).flatMap(getPatternNames);
+    case "RestElement":
+      return getPatternNames(pattern.argument);
+    case "AssignmentPattern":
+      return getPatternNames(pattern.left);
+    default:
+      return [];
+  }
+};
+
+const getExportedName = (node) =>
+  node.type === "StringLiteral" ? node.value : node.name;
+
+// Names read from a namespace import. Returns ["*"] when the namespace object
+// itself escapes (passed around, indexed dynamically, ...).
+const getNamespaceMembers = (binding) => {
+  const names = new Set();
+  for (const ref of binding ? binding.referencePaths : []) {
+    const parent = ref.parent;
+    if (
+      parent.type === "MemberExpression" &&
+      parent.object === ref.node &&
+      !parent.computed
+    ) {
+      names.add(parent.property.name);
+    } else {
+      return ["*"];
+    }
+  }
+  return [...names];
+};
+
+/**
+ * Parse a script and collect its imports, exports and re-exports.
+ * - imports: `{ source, names, line }`, where `names` lists the imported
+ *   bindings ("default", a named export, or "*" for everything)
+ * - exports: `{ name, line }` for every name the module exports
+ * - reexports: `{ source, imported, exported, line }` for `export ... from`;
+ *   `export * from` is recorded with both names set to "*"
+ * Import and re-export records are flagged `typeOnly` for `import type` /
+ * `export type ... from`, and `dynamic` for `import()`. `error` holds the
+ * parser's message when the code could not be parsed. `parsed` is what
+ * parseScript() returned for the code, parsed here when not given.
+ */
+const extractModuleInfo = (code, filePath, parsed = parseScript(code)) => {
+  const imports = [];
+  const exports = [];
+  const reexports = [];
+  const { ast, error } = parsed;
+  if (ast) {
+    traverse(ast, {
+      ImportDeclaration(path) {
+        const { node } = path;
+        const names = node.specifiers.flatMap((specifier) => {
+          if (specifier.type === "ImportDefaultSpecifier") return ["default"];
+          if (specifier.type === "ImportNamespaceSpecifier") {
+            return getNamespaceMembers(
+              path.scope.getBinding(specifier.local.name)
+            );
+          }
+          return [getExportedName(specifier.imported)];
+        });
+        imports.push({
+          source: node.source.value,
+          names,
+          line: node.loc.start.line,
+          typeOnly:
+            node.importKind === "type" ||
+            (node.specifiers.length > 0 &&
+              node.specifiers.every((s) => s.importKind === "type")),
+        });
+      },
+      ExportNamedDeclaration({ node }) {
+        const line = node.loc.start.line;
+        if (node.source) {
+          node.specifiers.forEach((specifier) => {
+            const exported = getExportedName(specifier.exported);
+            const imported =
+              specifier.type === "ExportNamespaceSpecifier"
+                ? "*"
+                : specifier.type === "ExportDefaultSpecifier"
+                ? "default"
+                : getExportedName(specifier.local);
+            reexports.push({
+              source: node.source.value,
+              imported,
+              exported,
+              line,
+              typeOnly:
+                node.exportKind === "type" || specifier.exportKind === "type",
+            });
+            exports.push({ name: exported, line });
+          });
+          return;
+        }
+        const { declaration } = node;
+        if (declaration) {
+          const names =
+            declaration.type === "VariableDeclaration"
+              ? declaration.declarations.flatMap((d) => getPatternNames(d.id))
+              : declaration.id
+              ? [getExportedName(declaration.id)]
+              : [];
+          names.forEach((name) => exports.push({ name, line }));
+        }
+        node.specifiers.forEach((specifier) => {
+          exports.push({ name: getExportedName(specifier.exported), line });
+        });
+      },
+      ExportDefaultDeclaration({ node }) {
+        exports.push({ name: "default", line: node.loc.start.line });
+      },
+      ExportAllDeclaration({ node }) {
+        reexports.push({
+          source: node.source.value,
+          imported: "*",
+          exported: "*",
+          line: node.loc.start.line,
+          typeOnly: node.exportKind === "type",
+        });
+      },
+      CallExpression({ node }) {
+        // import('...') or require('...')
+        if (
+          node.callee.type === "Import" &&
+          node.arguments.length &&
+          node.arguments[0].type === "StringLiteral"
+        ) {
+          imports.push({
+            source: node.arguments[0].value,
+            names: ["*"],
+            line: node.loc.start.line,
+            dynamic: true,
+          });
+        }
+        // require('...')
+        if (
+          node.callee.type === "Identifier" &&
+          node.callee.name === "require" &&
+          node.arguments.length &&
+          node.arguments[0].type === "StringLiteral"
+        ) {
+          imports.push({
+            source: node.arguments[0].value,
+            names: ["*"],
+            line: node.loc.start.line,
+          });
+        }
+      },
+    });
+  } else if (process.env.VUE_UNUSED_VERBOSE) {
+    console.error(`Failed to parse ${filePath}:`, error);
+  }
+  return { imports, exports, reexports, error };
+};
+
+/**
+ * Extraction functions for one project.
+ *
+ * @param {Object} options
+ * @param {number} options.vueVersion Major Vue version, which decides how
+ *   SFCs are parsed.
+ * @param {boolean} [options.assets] Collect asset references.
+ * @param {boolean} [options.components] Collect locally registered components.
+ * @param {boolean} [options.members] Collect props, emits and Options API
+ *   members.
+ * @returns {{getStyleInfo: Function, getTemplateInfo: Function,
+ *   getScriptInfo: Function, getSfcInfo: Function,
+ *   extractFile: (kind: "style"|"sfc"|"script", content: string,
+ *   file: string) => Object}}
+ *   `extractFile` extracts a whole stylesheet, SFC or script.
+ */
+function createExtractors({ vueVersion, assets, components, members }) {
+  const compiler = loadCompiler(vueVersion);
+
+  const getStyleInfo = (content) => ({
+    imports: extractStyleImports(content),
+    assetRefs: assets ? extractStyleAssetRefs(content) : [],
+  });
+  const getTemplateInfo = (content) => ({
+    ...getTemplateUsage(content),
+    hasTemplate: !!content.trim(),
+    assetRefs: assets ? extractTemplateAssetRefs(content) : [],
+  });
+  // Every pass below walks the same AST
+  const getScriptInfo = (content, file, inSfc) => {
+    const parsed = parseScript(content);
+    const { ast } = parsed;
+    return {
+      moduleInfo: extractModuleInfo(content, file, parsed),
+      registrations: getGlobalComponentRegistrations(content, ast),
+      assetRefs: assets ? extractScriptAssetRefs(content) : [],
+      ...(inSfc && {
+        importedComponents: getImportedComponents(content, ast),
+        localComponents:
+          components || members ? getLocalComponents(content, ast) : [],
+        members: members ? getComponentMembers(content, ast) : null,
+      }),
+    };
+  };
+  const getSfcInfo = (code, file) => {
+    const parsed = parseVueFile(code, { version: vueVersion, compiler });
+    return {
+      scriptSrc: parsed.scriptSrc,
+      templateSrc: parsed.templateSrc,
+      styles: parsed.styles.map(({ content, lang, src }) => ({
+        lang,
+        src,
+        ...getStyleInfo(content),
+      })),
+      template: getTemplateInfo(parsed.templateContent),
+      script: getScriptInfo(parsed.scriptContent, file, true),
+    };
+  };
+
+  const extractFile = (kind, content, file) => {
+    if (kind === "style") return getStyleInfo(content);
+    if (kind === "sfc") return getSfcInfo(content, file);
+    return getScriptInfo(content, file, false);
+  };
+
+  return {
+    getStyleInfo,
+    getTemplateInfo,
+    getScriptInfo,
+    getSfcInfo,
+    extractFile,
+  };
+}
+
+module.exports = {
+  getVueVersion,
+  extractModuleInfo,
+  createExtractors,
+};
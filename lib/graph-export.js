@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Dependency graph export to Graphviz DOT and Mermaid.
+ * Builds a drawable view of the dependency graph: optionally focused on some
+ * files and the files around them, with directories collapsed into single
+ * nodes, and with the npm packages files import. Unused files and the edges
+ * of import cycles are styled apart, so a diagram shows what to clean up.
+ */
+const path = require("path");
+const { findStronglyConnectedComponents } = require("./cycles");
+
+const PACKAGE_PREFIX = "package:";
+
+const COLORS = {
+  used: { fill: "#dbeafe", stroke: "#3b82f6", text: "#1e3a8a" },
+  unused: { fill: "#fee2e2", stroke: "#ef4444", text: "#991b1b" },
+  package: { fill: "#f3f4f6", stroke: "#9ca3af", text: "#374151" },
+  edge: "#9ca3af",
+  cycle: "#f59e0b",
+};
+
+/**
+ * Build the view of the graph to draw.
+ *
+ * @param {Object} results Results of `analyzeProject`, with absolute paths.
+ * @param {Object} options
+ * @param {string} options.rootDir Project root; nodes are named relative to
+ *   it.
+ * @param {string} [options.focus] Absolute path of a file or directory. Only
+ *   its files, the files they import and the files importing them are kept.
+ * @param {number} [options.depth] How many imports away from the focus files
+ *   are kept, in each direction. Default: no limit.
+ * @param {number} [options.collapse] Draw one node per directory, cut to
+ *   this many levels (`1` -> `src/`, `2` -> `src/components/`).
+ * @param {boolean} [options.hidePackages] Leave out npm packages.
+ * @returns {{nodes: Array<{id: string, label: string,
+ *   kind: "file"|"directory"|"package", unused: number, files: number}>,
+ *   edges: Array<{from: string, to: string, cycle: boolean}>}}
+ *   `unused` and `files` count the files a node stands for.
+ * @throws {Error} When no scanned file is inside `focus`.
+ */
+function buildGraphView(
+  results,
+  { rootDir, focus, depth = Infinity, collapse, hidePackages = false }
+) {
+  const rel = (file) => path.relative(rootDir, file).split(path.sep).join("/");
+  const graph = results.dependencyGraph || {};
+  const unused = new Set([
+    ...results.unusedFiles,
+    ...(results.unusedAssets || []).map(({ file }) => file),
+  ]);
+
+  // File-level adjacency in both directions, package imports included
+  const forward = new Map();
+  const backward = new Map();
+  const link = (from, to) => {
+    if (!forward.has(from)) forward.set(from, new Set());
+    if (!backward.has(to)) backward.set(to, new Set());
+    forward.get(from).add(to);
+    backward.get(to).add(from);
+  };
+  const files = new Set([...results.allFiles, ...Object.keys(graph)]);
+  Object.entries(graph).forEach(([from, targets]) =>
+    targets.forEach((to) => {
+      files.add(to);
+      link(from, to);
+    })
+  );
+  if (!hidePackages) {
+    Object.entries(results.packageImports || {}).forEach(([from, names]) =>
+      names.forEach((name) => link(from, `${PACKAGE_PREFIX}${name}`))
+    );
+  }
+
+  // Files to draw
+  let kept = new Set([...files, ...backward.keys()]);
+  if (focus) {
+    const seeds = [...files].filter(
+      (file) => file === focus || file.startsWith(focus + path.sep)
+    );
+    if (!seeds.length) {
+      throw new Error(`No scanned file is inside ${rel(focus) || "."}.`);
+    }
+    kept = new Set(seeds);
+    // Walked separately, so importers of a dependency aren't pulled in
+    [forward, backward].forEach((adjacency) => {
+      let frontier = seeds;
+      const seen = new Set(seeds);
+      for (let level = 0; level < depth && frontier.length; level++) {
+        frontier = frontier
+          .flatMap((file) => [...(adjacency.get(file) || [])])
+          .filter((file) => !seen.has(file) && seen.add(file));
+        frontier.forEach((file) => kept.add(file));
+      }
+    });
+  }
+
+  // Node each file is drawn as
+  const nodeOf = (file) => {
+    if (file.startsWith(PACKAGE_PREFIX)) return file;
+    if (!collapse) return rel(file);
+    const dirs = rel(file).split("/").slice(0, -1).slice(0, collapse);
+    return dirs.length ? `${dirs.join("/")}/` : "./";
+  };
+
+  const nodes = new Map();
+  kept.forEach((file) => {
+    const id = nodeOf(file);
+    if (!nodes.has(id)) {
+      const isPackage = id.startsWith(PACKAGE_PREFIX);
+      nodes.set(id, {
+        id,
+        label: isPackage ? id.slice(PACKAGE_PREFIX.length) : id,
+        kind: isPackage ? "package" : collapse ? "directory" : "file",
+        unused: 0,
+        files: 0,
+      });
+    }
+    const node = nodes.get(id);
+    if (node.kind !== "package") {
+      node.files++;
+      if (unused.has(file)) node.unused++;
+    }
+  });
+
+  const edgeMap = new Map();
+  kept.forEach((from) =>
+    (forward.get(from) || []).forEach((to) => {
+      if (!kept.has(to)) return;
+      const [fromId, toId] = [nodeOf(from), nodeOf(to)];
+      // Imports inside a collapsed directory
+      if (fromId === toId && from !== to) return;
+      edgeMap.set(`${fromId}\0${toId}`, { from: fromId, to: toId });
+    })
+  );
+  const edges = [...edgeMap.values()];
+
+  // Edges inside a group of nodes importing each other
+  const adjacency = {};
+  edges.forEach(({ from, to }) => {
+    (adjacency[from] = adjacency[from] || []).push(to);
+  });
+  const component = new Map();
+  findStronglyConnectedComponents(adjacency).forEach((members, index) =>
+    members.forEach((id) => component.set(id, index))
+  );
+  edges.forEach((edge) => {
+    edge.cycle =
+      edge.from === edge.to ||
+      component.get(edge.from) === component.get(edge.to);
+  });
+
+  const byId = (a, b) => (a.id < b.id ? -1 : 1);
+  return {
+    nodes: [...nodes.values()].sort(byId),
+    edges: edges.sort((a, b) =>
+      a.from === b.from ? (a.to < b.to ? -1 : 1) : a.from < b.from ? -1 : 1
+    ),
+  };
+}
+
+// Text a node is labelled with: collapsed directories tell how many of
+// their files are unused
+const getLabel = (node) =>
+  node.kind === "directory" && node.unused
+    ? `${node.label} (${node.unused}/${node.files} unused)`
+    : node.label;
+
+// A directory is drawn unused only when all of its files are
+const isUnused = (node) => node.files > 0 && node.unused === node.files;
+
+/**
+ * Graphviz DOT source of a graph view
+ */
+function toDot({ nodes, edges }) {
+  const quote = (text) => `"${text.replace(/["\\]/g, "\\$&")}"`;
+  const attributes = (attrs) =>
+    `[${Object.entries(attrs)
+      .map(([key, value]) => `${key}=${quote(String(value))}`)
+      .join(", ")}]`;
+  const style = (colors) => ({
+    fillcolor: colors.fill,
+    color: colors.stroke,
+    fontcolor: colors.text,
+  });
+
+  const lines = [
+    "digraph dependencies {",
+    "  rankdir=LR;",
+    `  node ${attributes({
+      shape: "box",
+      style: "rounded,filled",
+      fontname: "Helvetica",
+      fontsize: 11,
+      ...style(COLORS.used),
+    })};`,
+    `  edge ${attributes({ color: COLORS.edge, arrowsize: 0.7 })};`,
+  ];
+  nodes.forEach((node) => {
+    const label = getLabel(node);
+    const attrs = label === node.id ? {} : { label };
+    if (node.kind === "package") {
+      Object.assign(attrs, { shape: "ellipse" }, style(COLORS.package));
+    } else if (isUnused(node)) {
+      Object.assign(
+        attrs,
+        { style: "rounded,filled,dashed" },
+        style(COLORS.unused)
+      );
+    } else if (node.unused) {
+      attrs.color = COLORS.unused.stroke;
+    }
+    if (node.kind === "directory") attrs.shape = "folder";
+    lines.push(
+      `  ${quote(node.id)}${
+        Object.keys(attrs).length ? ` ${attributes(attrs)}` : ""
+      };`
+    );
+  });
+  edges.forEach(({ from, to, cycle }) =>
+    lines.push(
+      `  ${quote(from)} -> ${quote(to)}${
+        cycle ? ` ${attributes({ color: COLORS.cycle, penwidth: 2 })}` : ""
+      };`
+    )
+  );
+  lines.push("}");
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Mermaid flowchart source of a graph view
+ */
+function toMermaid({ nodes, edges }) {
+  const ids = new Map(nodes.map((node, index) => [node.id, `n${index}`]));
+  const escape = (text) => text.replace(/"/g, "#quot;");
+  const classDef = (name, colors) =>
+    `  classDef ${name} fill:${colors.fill},stroke:${colors.stroke},color:${colors.text}`;
+
+  const lines = ["flowchart LR"];
+  nodes.forEach((node) => {
+    const label = `"${escape(getLabel(node))}"`;
+    const shape = node.kind === "package" ? `([${label}])` : `[${label}]`;
+    const className =
+      node.kind === "package"
+        ? ":::package"
+        : isUnused(node)
+        ? ":::unused"
+        : "";
+    lines.push(`  ${ids.get(node.id)}${shape}${className}`);
+  });
+  edges.forEach(({ from, to }) =>
+    lines.push(`  ${ids.get(from)} --> ${ids.get(to)}`)
+  );
+  lines.push(
+    classDef("unused", COLORS.unused),
+    classDef("package", COLORS.package)
+  );
+  const cycleEdges = edges
+    .map((edge, index) => (edge.cycle ? index : -1))
+    .filter((index) => index !== -1);
+  if (cycleEdges.length) {
+    lines.push(
+      `  linkStyle ${cycleEdges.join(",")} stroke:${
+        COLORS.cycle
+      },stroke-width:2px`
+    );
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  buildGraphView,
+  toDot,
+  toMermaid,
+};
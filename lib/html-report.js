@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Self-contained HTML report.
+ * Writes the results of a scan into a single HTML file that works offline:
+ * a searchable file tree with each file's status, a force-directed graph of
+ * the dependency graph with unused files highlighted, the importers and
+ * imports of the selected file, and the size figures of bundle analysis.
+ * The page's script and styles live in `report/` and are inlined, along with
+ * the data, so the file has no external references.
+ */
+const fs = require("fs");
+const path = require("path");
+const { version } = require("../package.json");
+
+const readAsset = (name) =>
+  fs.readFileSync(path.join(__dirname, "report", name), "utf-8");
+
+// JSON safe to embed in a <script> element
+const toScriptJson = (value) => JSON.stringify(value).replace(/</g, "\\u003c");
+
+const escapeHtml = (text) =>
+  text.replace(
+    /[&<>"]/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[char])
+  );
+
+/**
+ * The data the page renders. Files are listed once, relative to `rootDir`,
+ * and referred to by index everywhere else.
+ */
+function getReportData(results, rootDir) {
+  const rel = (file) => path.relative(rootDir, file).split(path.sep).join("/");
+  const graph = results.dependencyGraph || {};
+  const files = [
+    ...new Set([
+      ...results.allFiles,
+      ...Object.keys(graph),
+      ...Object.values(graph).flat(),
+    ]),
+  ].sort();
+  const indexOf = new Map(files.map((file, index) => [file, index]));
+  const unused = new Set([
+    ...results.unusedFiles,
+    ...(results.unusedAssets || []).map(({ file }) => file),
+  ]);
+  const sizeImpact =
+    results.bundleCorrelation && results.bundleCorrelation.sizeImpact;
+
+  return {
+    project: path.basename(rootDir),
+    version,
+    generatedAt: new Date().toISOString(),
+    files: files.map(rel),
+    unused: files
+      .map((file, index) => (unused.has(file) ? index : -1))
+      .filter((index) => index !== -1),
+    edges: Object.entries(graph).flatMap(([from, targets]) =>
+      targets
+        .filter((to) => to !== from)
+        .map((to) => [indexOf.get(from), indexOf.get(to)])
+    ),
+    sizes: sizeImpact
+      ? Object.fromEntries(
+          Object.entries(sizeImpact.fileSizes || {})
+            .filter(([file]) => indexOf.has(file))
+            .map(([file, bytes]) => [indexOf.get(file), bytes])
+        )
+      : null,
+    totalBytes: sizeImpact ? sizeImpact.totalBytes : null,
+  };
+}
+
+/**
+ * Build the HTML report of a scan.
+ *
+ * @param {Object} results Results of `analyzeProject`, with absolute paths.
+ * @param {Object} options
+ * @param {string} options.rootDir Project root; files are shown relative to
+ *   it.
+ * @returns {string} The HTML document.
+ */
+function buildHtmlReport(results, { rootDir }) {
+  const data = getReportData(results, rootDir);
+  const title = `vue-unused report: ${data.project}`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+${readAsset("report.css")}
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <div id="summary"></div>
+</header>
+<main>
+  <aside id="sidebar">
+    <input id="search" type="search" placeholder="Search files" autocomplete="off">
+    <label><input id="unused-only" type="checkbox"> Unused only</label>
+    <div id="tree"></div>
+  </aside>
+  <section id="graph">
+    <canvas id="canvas"></canvas>
+    <div id="legend">
+      <span class="dot used"></span> used
+      <span class="dot unused"></span> unused
+      <span class="hint">Scroll to zoom, drag to pan, click a node to select it</span>
+    </div>
+  </section>
+  <aside id="details"><p class="empty">Select a file to see what it imports and what imports it.</p></aside>
+</main>
+<script type="application/json" id="report-data">${toScriptJson(data)}</script>
+<script>
+${readAsset("report.js")}
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  buildHtmlReport,
+};
@@ -0,0 +1,290 @@
+/**
+ * Type declarations for the vue-unused programmatic API.
+ */
+
+/** An alias target: a path relative to `rootDir`, or fallbacks tried in order. */
+export type AliasTarget = string | string[];
+
+/** Vite-style alias entry. */
+export interface AliasEntry {
+  find: string | RegExp;
+  replacement: AliasTarget;
+}
+
+/** Options accepted by `analyze()`. Every key is optional. */
+export interface AnalyzeOptions {
+  /** Project root. Default: found from the current directory (.git / package.json). */
+  rootDir?: string;
+  /** Path aliases, merged with the ones discovered in tsconfig and bundler configs. */
+  alias?: Record<string, AliasTarget> | AliasEntry[];
+  /** tsconfig / jsconfig to read `paths` from, or `false` to skip. */
+  tsconfig?: string | false;
+  /** Bundler config to read aliases from, or `false` to skip. */
+  bundlerConfig?: string | false;
+  /** Extensions to scan. Default: `[".vue", ".js", ".ts", ".json"]`. */
+  extensions?: string[] | "ALL";
+  /** Glob patterns to ignore, in addition to .gitignore. */
+  ignore?: string[];
+  /** Files always considered used, relative to `rootDir`. */
+  entry?: string[];
+  /** Only count files reachable from an entry point as used. */
+  reachability?: boolean;
+  /** Treat re-exports as used only when one of their names is imported. Default: `true`. */
+  preciseBarrels?: boolean;
+  /** Report exported names that are never imported. */
+  exports?: boolean;
+  /** Report components imported or registered but never rendered. */
+  components?: boolean;
+  /** Report props, emits and Options API members that are never used. */
+  members?: boolean;
+  /** Scan stylesheets and follow their imports. Default: `true`. */
+  styles?: boolean;
+  /** Report images, fonts and media files that are never referenced. */
+  assets?: boolean;
+  /** Report unused, missing and test-only npm dependencies. */
+  dependencies?: boolean;
+  /** Package names never reported by the dependency check. */
+  ignoreDependencies?: string[];
+  /** Report groups of modules that import each other. */
+  cycles?: boolean;
+  /** Edge kinds that also count for cycles. */
+  cycleEdges?: Array<"dynamic" | "type">;
+  /** Apply Nuxt conventions when a nuxt.config.* exists. Default: `true`. */
+  nuxt?: boolean;
+  /** Analyze every package of an npm / yarn / pnpm workspace as one project. */
+  workspaces?: boolean;
+  /**
+   * Reuse what earlier runs extracted from unchanged files, kept in
+   * `node_modules/.cache/vue-unused`, or in the OS temp dir when the project
+   * has no `node_modules`. Default: `true`.
+   */
+  cache?: boolean;
+  /** Worker threads used to parse files. `1` parses on the main thread. Default: one per CPU core. */
+  concurrency?: number;
+  /**
+   * Explain why this file (relative to `rootDir`) is used; see
+   * `AnalysisResult.why`.
+   */
+  why?: string;
+  /** Correlate with the build output in `bundleDir`. */
+  bundle?: boolean;
+  /** Build output directory. Default: auto-detected. */
+  bundleDir?: string;
+  /** Log every step to the console. */
+  verbose?: boolean;
+  /** Return absolute paths instead of paths relative to `rootDir`. */
+  absolutePaths?: boolean;
+  /** Called as the scan progresses. */
+  onProgress?: (event: ProgressEvent) => void;
+}
+
+export type Phase = "scan" | "read" | "parse" | "report";
+
+export interface ProgressEvent {
+  phase: Phase;
+  /** Files done in this phase. */
+  processed: number;
+  /** Files in the scan. */
+  total: number;
+  /** The file just handled, for `read` and `parse`. */
+  file?: string;
+}
+
+export interface Diagnostic {
+  severity: "warning" | "error";
+  message: string;
+  file?: string;
+}
+
+/** Milliseconds spent in each phase of the scan. */
+export interface Timings {
+  scan: number;
+  read: number;
+  parse: number;
+  graph: number;
+  report: number;
+  total: number;
+}
+
+export interface FileLocation {
+  file: string;
+  line: number;
+}
+
+export interface UnusedExport extends FileLocation {
+  name: string;
+}
+
+export interface UnusedComponent extends FileLocation {
+  name: string;
+}
+
+export interface UnusedMember extends FileLocation {
+  kind: "prop" | "emit" | "data" | "computed" | "method" | "watch";
+  name: string;
+  reason: string;
+}
+
+export interface UnusedAsset {
+  file: string;
+  bytes: number;
+}
+
+export interface DependencyIssues {
+  unused: Array<{ name: string; field: string; package?: string }>;
+  missing: Array<{
+    name: string;
+    files: string[];
+    /** Installed only as another package's dependency. */
+    hoisted: boolean;
+    package?: string;
+  }>;
+  devOnly: Array<{ name: string; files: string[]; package?: string }>;
+}
+
+export interface CircularDependency {
+  /** Every file of the group, sorted. */
+  files: string[];
+  /** A shortest cycle through the group's first file. */
+  chain: Array<{ file: string; line: number | null; target: string }>;
+}
+
+export interface UnresolvedImport {
+  file: string;
+  line: number | null;
+  specifier: string;
+  /** Paths tried, in lookup order. */
+  candidates: string[];
+}
+
+export type EdgeKind =
+  | "static"
+  | "dynamic"
+  | "reexport"
+  | "template"
+  | "glob"
+  | "style"
+  | "asset"
+  | "auto-import"
+  | "bundle";
+
+export interface ImportHop {
+  /** The importing file, or a bundle source map for `bundle` hops. */
+  from: string;
+  to: string;
+  /** The imports behind the edge; `line` is a line of `from`. */
+  via: Array<{ kind: EdgeKind; specifier: string | null; line: number | null }>;
+}
+
+export interface UsageExplanation {
+  file: string;
+  used: boolean;
+  /** The file is an entry point the scan counts as used by itself. */
+  entry: boolean;
+  /** Shortest import chains from an entry point, then bundle source maps. */
+  chains: ImportHop[][];
+  /** Files importing it, listed when no chain reaches it. */
+  importers: Array<{
+    file: string;
+    /** Whether an entry point reaches the importer. */
+    reachable: boolean;
+    via: ImportHop["via"];
+  }>;
+}
+
+export interface UnusedReexport {
+  /** The file holding the `export ... from`, which is used. */
+  file: string;
+  line: number | null;
+  specifier: string;
+  /** The re-exported file, which is unused. */
+  target: string;
+}
+
+export interface BundleAnalysis {
+  /** Built files read from the bundle directory. */
+  bundleFiles: string[];
+  /** Source files listed in the bundle's source maps. */
+  sourceFiles: string[];
+  /** Source files mapped to the source maps listing them. */
+  sourceMaps: Record<string, string[]>;
+  /** Built files mapped to their size in bytes. */
+  fileSizes: Record<string, number>;
+}
+
+export interface BundleCorrelation {
+  /** Scanned files found in the bundle. */
+  bundleUsedFiles: string[];
+  /** Scanned files neither in the bundle nor used statically. */
+  bundleUnusedFiles: string[];
+  potentiallyUnusedFiles: string[];
+  /** Source size of `bundleUnusedFiles`. */
+  sizeImpact: {
+    totalBytes: number;
+    totalKB: number;
+    totalMB: number;
+    fileSizes: Record<string, number>;
+  };
+}
+
+export interface WorkspacePackage {
+  name: string;
+  dir: string;
+}
+
+export interface AnalysisResult {
+  rootDir: string;
+  /** Every scanned file. */
+  allFiles: string[];
+  usedFiles: string[];
+  unusedFiles: string[];
+  /** `null` unless `assets` is set; largest first. */
+  unusedAssets: UnusedAsset[] | null;
+  /** Unused files importing each other, `null` unless `reachability` is set. */
+  deadIslands: string[][] | null;
+  unusedExports: UnusedExport[] | null;
+  unusedComponents: UnusedComponent[] | null;
+  unusedMembers: UnusedMember[] | null;
+  dependencyIssues: DependencyIssues | null;
+  circularDependencies: CircularDependency[] | null;
+  workspacePackages: WorkspacePackage[] | null;
+  /**
+   * Re-exports in used files of files reported unused; the line has to go
+   * before the file can be deleted.
+   */
+  unusedReexports: UnusedReexport[];
+  unresolvedImports: UnresolvedImport[];
+  /** Every file mapped to the files it depends on. */
+  dependencyGraph: Record<string, string[]>;
+  /** Files importing npm packages, mapped to the package names. */
+  packageImports: Record<string, string[]>;
+  /** `null` unless `why` is set. */
+  why: UsageExplanation | null;
+  /** `null` unless `bundle` is set and the bundle could be read. */
+  bundleAnalysis: BundleAnalysis | null;
+  /** `null` without `bundleAnalysis`. */
+  bundleCorrelation: BundleCorrelation | null;
+  diagnostics: Diagnostic[];
+  timings: Timings;
+}
+
+/**
+ * Analyze a project. Nothing is printed or deleted, and nothing but the
+ * analysis cache is written.
+ */
+export function analyze(options?: AnalyzeOptions): Promise<AnalysisResult>;
+
+/** Apply defaults and discover aliases, as `analyze()` does. */
+export function resolveConfig(
+  options?: AnalyzeOptions
+): AnalyzeOptions & { rootDir: string; alias: AliasEntry[] };
+
+/**
+ * Lower-level entry point used by the CLI. Expects a complete config (see
+ * `resolveConfig`) and an optional ora spinner; paths are absolute.
+ * @deprecated Use `analyze()`.
+ */
+export function analyzeProject(
+  config: AnalyzeOptions & { rootDir: string },
+  spinner?: { text: string } | null
+): Promise<Omit<AnalysisResult, "rootDir">>;
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Programmatic API.
+ * `analyze()` runs the same analysis as the CLI from partial options and
+ * returns the results as data: nothing is printed or deleted, and nothing
+ * but the analysis cache is written. Paths in the results are relative to `rootDir` (with `/`
+ * separators) unless `absolutePaths` is set. See index.d.ts for the types.
+ */
+const path = require("path");
+const { analyzeProject } = require("./analyzer");
+const { resolveConfig } = require("./config");
+
+/**
+ * Find unused files (and whatever else the options turn on) in a project.
+ *
+ * @param {import("./index").AnalyzeOptions} [options]
+ * @returns {Promise<import("./index").AnalysisResult>}
+ */
+async function analyze(options = {}) {
+  const { onProgress, absolutePaths = false, ...rest } = options;
+  // CLI-only behaviour is never triggered from the API
+  const config = resolveConfig({
+    ...rest,
+    delete: false,
+    output: "cli",
+    verbose: !!rest.verbose,
+  });
+  const results = await analyzeProject({ ...config, onProgress }, null);
+  return {
+    rootDir: config.rootDir,
+    ...(absolutePaths ? results : relativizeResults(results, config.rootDir)),
+  };
+}
+
+// Rewrite every path in the results relative to `rootDir`
+function relativizeResults(results, rootDir) {
+  const rel = (file) => path.relative(rootDir, file).split(path.sep).join("/");
+  const files = (list) => list.map(rel);
+  const withFile = (list) =>
+    list && list.map((item) => ({ ...item, file: rel(item.file) }));
+  // Objects keyed by file
+  const byFile = (object, mapValue = (value) => value) =>
+    Object.fromEntries(
+      Object.entries(object).map(([file, value]) => [
+        rel(file),
+        mapValue(value),
+      ])
+    );
+  const { dependencyIssues, bundleAnalysis, bundleCorrelation } = results;
+
+  return {
+    ...results,
+    allFiles: files(results.allFiles),
+    usedFiles: files(results.usedFiles),
+    unusedFiles: files(results.unusedFiles),
+    unusedAssets: withFile(results.unusedAssets),
+    deadIslands: results.deadIslands && results.deadIslands.map(files),
+    unusedExports: withFile(results.unusedExports),
+    unusedComponents: withFile(results.unusedComponents),
+    unusedMembers: withFile(results.unusedMembers),
+    dependencyIssues: dependencyIssues && {
+      unused: dependencyIssues.unused,
+      missing: dependencyIssues.missing.map((item) => ({
+        ...item,
+        files: files(item.files),
+      })),
+      devOnly: dependencyIssues.devOnly.map((item) => ({
+        ...item,
+        files: files(item.files),
+      })),
+    },
+    circularDependencies:
+      results.circularDependencies &&
+      results.circularDependencies.map(({ files: members, chain }) => ({
+        files: files(members),
+        chain: chain.map((link) => ({
+          ...link,
+          file: rel(link.file),
+          target: rel(link.target),
+        })),
+      })),
+    workspacePackages:
+      results.workspacePackages &&
+      results.workspacePackages.map((pkg) => ({ ...pkg, dir: rel(pkg.dir) })),
+    unusedReexports: results.unusedReexports.map((item) => ({
+      ...item,
+      file: rel(item.file),
+      target: rel(item.target),
+    })),
+    unresolvedImports: results.unresolvedImports.map((item) => ({
+      ...item,
+      file: rel(item.file),
+      candidates: files(item.candidates),
+    })),
+    dependencyGraph: Object.fromEntries(
+      Object.entries(results.dependencyGraph).map(([file, deps]) => [
+        rel(file),
+        files(deps),
+      ])
+    ),
+    packageImports: Object.fromEntries(
+      Object.entries(results.packageImports).map(([file, names]) => [
+        rel(file),
+        names,
+      ])
+    ),
+    why: results.why && {
+      ...results.why,
+      file: rel(results.why.file),
+      chains: results.why.chains.map((chain) =>
+        chain.map((hop) => ({ ...hop, from: rel(hop.from), to: rel(hop.to) }))
+      ),
+      importers: results.why.importers.map((item) => ({
+        ...item,
+        file: rel(item.file),
+      })),
+    },
+    bundleAnalysis: bundleAnalysis && {
+      bundleFiles: files(bundleAnalysis.bundleFiles),
+      sourceFiles: files(bundleAnalysis.sourceFiles),
+      sourceMaps: byFile(bundleAnalysis.sourceMaps, files),
+      fileSizes: byFile(bundleAnalysis.fileSizes),
+    },
+    bundleCorrelation: bundleCorrelation && {
+      bundleUsedFiles: files(bundleCorrelation.bundleUsedFiles),
+      bundleUnusedFiles: files(bundleCorrelation.bundleUnusedFiles),
+      potentiallyUnusedFiles: files(bundleCorrelation.potentiallyUnusedFiles),
+      sizeImpact: {
+        ...bundleCorrelation.sizeImpact,
+        fileSizes: byFile(bundleCorrelation.sizeImpact.fileSizes),
+      },
+    },
+    diagnostics: results.diagnostics.map((item) =>
+      item.file ? { ...item, file: rel(item.file) } : item
+    ),
+  };
+}
+
+module.exports = {
+  analyze,
+  resolveConfig,
+  // Lower-level entry point used by the CLI: expects a complete config
+  analyzeProject,
+};
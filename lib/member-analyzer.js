@@ -0,0 +1,433 @@
+/**
+ * @fileoverview Member-level analysis of Vue components.
+ * Reads the props, emits and Options API members (`data`, `computed`,
+ * `methods`, `watch`) a component declares, and what its script reads
+ * (`this.x`, `props.x`) and emits (`emit("x")`, `this.$emit("x")`). Checked
+ * against the component's template and the props and listeners its parents
+ * pass, this tells which members are dead.
+ */
+const traverse = require("@babel/traverse").default;
+const {
+  parseScript,
+  camelize,
+  getPropertyName,
+  isComponentOptions,
+} = require("./vue-parser");
+
+// Names declared by a `props` / `emits` option or macro argument:
+// `["a", "b"]` or `{ a: String, b: { type: Number } }`
+const getDeclaredNames = (node) => {
+  if (!node) return [];
+  if (node.type === "ArrayExpression") {
+    return node.elements
+      .filter((el) => el && el.type === "StringLiteral")
+      .map((el) => ({ name: el.value, line: el.loc.start.line }));
+  }
+  if (node.type === "ObjectExpression") {
+    return node.properties
+      .filter((prop) => prop.type !== "SpreadElement")
+      .map((prop) => ({
+        name: getPropertyName(prop),
+        line: prop.loc.start.line,
+      }))
+      .filter(({ name }) => name);
+  }
+  return [];
+};
+
+// The object a `data` option returns: `data() { return {...} }` or
+// `data: () => ({...})`
+const getDataObject = (prop) => {
+  const fn = prop.type === "ObjectMethod" ? prop : prop.value;
+  if (!fn) return null;
+  if (fn.type === "ObjectExpression") return fn;
+  if (!fn.body) return null;
+  if (fn.body.type === "ObjectExpression") return fn.body;
+  if (fn.body.type !== "BlockStatement") return null;
+  const ret = fn.body.body.find((s) => s.type === "ReturnStatement");
+  return ret && ret.argument && ret.argument.type === "ObjectExpression"
+    ? ret.argument
+    : null;
+};
+
+/**
+ * Collect what a component script declares and uses.
+ *
+ * @param {string} scriptContent
+ * @returns {{members: Array<{kind: string, name: string, line: number}>,
+ *   watched: Array<{name: string, line: number}>, reads: Set<string>,
+ *   emitted: Set<string>, readsAll: boolean, emitsAll: boolean,
+ *   incomplete: boolean}}
+ *   `readsAll` / `emitsAll` mean usage could not be tracked (`this` or
+ *   `props` passed around, dynamic event names); `incomplete` means some
+ *   members come from elsewhere (mixins, `extends`, spread helpers).
+ */
+function getComponentMembers(scriptContent, ast) {
+  const info = {
+    members: [],
+    watched: [],
+    reads: new Set(),
+    emitted: new Set(),
+    readsAll: false,
+    emitsAll: false,
+    incomplete: false,
+  };
+  if (!scriptContent.trim()) return info;
+  if (ast === undefined) ({ ast } = parseScript(scriptContent));
+  if (!ast) return info;
+
+  const declare = (kind, entries) =>
+    entries.forEach(({ name, line }) =>
+      info.members.push({ kind, name, line })
+    );
+
+  // Interfaces and type aliases, for `defineProps<Props>()`
+  const typeDeclarations = new Map();
+  ast.program.body.forEach((statement) => {
+    const node =
+      statement.type === "ExportNamedDeclaration"
+        ? statement.declaration
+        : statement;
+    if (!node) return;
+    if (node.type === "TSInterfaceDeclaration") {
+      typeDeclarations.set(node.id.name, node.body.body);
+    } else if (
+      node.type === "TSTypeAliasDeclaration" &&
+      node.typeAnnotation.type === "TSTypeLiteral"
+    ) {
+      typeDeclarations.set(node.id.name, node.typeAnnotation.members);
+    }
+  });
+
+  // Members of a type literal, interface reference or intersection
+  const getTypeMembers = (type) => {
+    if (!type) return [];
+    switch (type.type) {
+      case "TSTypeLiteral":
+        return type.members;
+      case "TSTypeReference":
+        return type.typeName.type === "Identifier"
+          ? typeDeclarations.get(type.typeName.name) || []
+          : [];
+      case "TSIntersectionType":
+        return type.types.flatMap(getTypeMembers);
+      default:
+        return [];
+    }
+  };
+
+  const getTypeArgument = (call) =>
+    call.typeParameters && call.typeParameters.params[0];
+
+  // `defineProps<{ a: string }>()`
+  const getTypedProps = (call) =>
+    getTypeMembers(getTypeArgument(call))
+      .filter((m) => m.type === "TSPropertySignature")
+      .map((m) => ({ name: getPropertyName(m), line: m.loc.start.line }))
+      .filter(({ name }) => name);
+
+  // `defineEmits<{ (e: "a"): void }>()` and `defineEmits<{ a: [] }>()`
+  const getTypedEmits = (call) =>
+    getTypeMembers(getTypeArgument(call)).flatMap((m) => {
+      if (m.type === "TSPropertySignature") {
+        const name = getPropertyName(m);
+        return name ? [{ name, line: m.loc.start.line }] : [];
+      }
+      if (m.type !== "TSCallSignatureDeclaration") return [];
+      const [event] = m.parameters || m.params || [];
+      const type =
+        event && event.typeAnnotation && event.typeAnnotation.typeAnnotation;
+      const literals =
+        type && type.type === "TSUnionType" ? type.types : [type];
+      return literals
+        .filter(
+          (t) =>
+            t &&
+            t.type === "TSLiteralType" &&
+            t.literal.type === "StringLiteral"
+        )
+        .map((t) => ({ name: t.literal.value, line: m.loc.start.line }));
+    });
+
+  // Record reads through a props object (`props.a`). Passing the whole
+  // object anywhere else (`toRefs(props)`) makes every prop count as read.
+  const trackPropsBinding = (binding) => {
+    if (!binding) return;
+    binding.referencePaths.forEach((ref) => {
+      const { parent } = ref;
+      if (
+        parent.type === "MemberExpression" &&
+        parent.object === ref.node &&
+        !parent.computed
+      ) {
+        info.reads.add(parent.property.name);
+      } else {
+        info.readsAll = true;
+      }
+    });
+  };
+
+  // Where the result of `defineProps()` goes: a variable, destructuring
+  // (`const { a } = defineProps()`) or nowhere
+  const trackPropsResult = (callPath) => {
+    let target = callPath;
+    if (target.parentPath.isCallExpression()) target = target.parentPath; // withDefaults
+    if (!target.parentPath.isVariableDeclarator()) return;
+    const id = target.parentPath.get("id");
+    if (id.isIdentifier()) {
+      trackPropsBinding(id.scope.getBinding(id.node.name));
+    } else if (id.isObjectPattern()) {
+      id.node.properties.forEach((prop) => {
+        if (prop.type === "RestElement") {
+          info.readsAll = true;
+          return;
+        }
+        const binding =
+          prop.value.type === "Identifier" &&
+          id.scope.getBinding(prop.value.name);
+        if (binding && binding.referenced) {
+          info.reads.add(getPropertyName(prop));
+        }
+      });
+    }
+  };
+
+  const addEmitted = (arg) => {
+    if (arg && arg.type === "StringLiteral") info.emitted.add(arg.value);
+    else info.emitsAll = true;
+  };
+
+  // `emit` from `defineEmits()` or `setup(props, { emit })`
+  const trackEmitBinding = (binding) => {
+    if (!binding) return;
+    binding.referencePaths.forEach((ref) => {
+      const { parent } = ref;
+      if (parent.type === "CallExpression" && parent.callee === ref.node) {
+        addEmitted(parent.arguments[0]);
+      } else {
+        info.emitsAll = true;
+      }
+    });
+  };
+
+  const readOptions = (objectPath) => {
+    objectPath.get("properties").forEach((propPath) => {
+      const prop = propPath.node;
+      if (prop.type === "SpreadElement") {
+        info.incomplete = true;
+        return;
+      }
+      const key = getPropertyName(prop);
+      const value = prop.type === "ObjectProperty" ? prop.value : null;
+      switch (key) {
+        case "props":
+          declare("prop", getDeclaredNames(value));
+          break;
+        case "emits":
+          declare("emit", getDeclaredNames(value));
+          break;
+        case "data":
+          declare("data", getDeclaredNames(getDataObject(prop)));
+          break;
+        case "computed":
+        case "methods":
+          if (value && value.type === "ObjectExpression") {
+            if (value.properties.some((p) => p.type === "SpreadElement")) {
+              info.incomplete = true; // ...mapGetters([...])
+            }
+            declare(
+              key === "methods" ? "method" : key,
+              getDeclaredNames(value)
+            );
+          }
+          break;
+        case "watch":
+          getDeclaredNames(value).forEach(({ name, line }) => {
+            // Watching a member reads it
+            const root = name.split(".")[0];
+            info.reads.add(root);
+            info.watched.push({ name: root, line });
+          });
+          // `watch: { a: "onA" }` names a method as the handler
+          (value && value.type === "ObjectExpression" ? value.properties : [])
+            .map((p) => p.value)
+            .filter((v) => v && v.type === "StringLiteral")
+            .forEach((v) => info.reads.add(v.value));
+          break;
+        case "expose":
+          getDeclaredNames(value).forEach(({ name }) => info.reads.add(name));
+          break;
+        case "mixins":
+        case "extends":
+          info.incomplete = true;
+          break;
+        case "setup": {
+          const fnPath =
+            prop.type === "ObjectMethod" ? propPath : propPath.get("value");
+          if (!fnPath.isFunction()) break;
+          const [propsParam, contextParam] = fnPath.node.params;
+          if (propsParam && propsParam.type === "Identifier") {
+            trackPropsBinding(fnPath.scope.getBinding(propsParam.name));
+          }
+          if (contextParam && contextParam.type === "ObjectPattern") {
+            const emitProp = contextParam.properties.find(
+              (p) =>
+                p.type === "ObjectProperty" && getPropertyName(p) === "emit"
+            );
+            if (emitProp && emitProp.value.type === "Identifier") {
+              trackEmitBinding(fnPath.scope.getBinding(emitProp.value.name));
+            }
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    });
+  };
+
+  traverse(ast, {
+    ObjectExpression(path) {
+      if (isComponentOptions(path)) readOptions(path);
+    },
+    CallExpression(path) {
+      const { callee, arguments: args } = path.node;
+      if (callee.type === "Identifier") {
+        if (callee.name === "defineProps") {
+          declare("prop", [
+            ...getDeclaredNames(args[0]),
+            ...getTypedProps(path.node),
+          ]);
+          trackPropsResult(path);
+        } else if (callee.name === "defineEmits") {
+          declare("emit", [
+            ...getDeclaredNames(args[0]),
+            ...getTypedEmits(path.node),
+          ]);
+          if (path.parentPath.isVariableDeclarator()) {
+            const id = path.parentPath.node.id;
+            if (id.type === "Identifier") {
+              trackEmitBinding(path.scope.getBinding(id.name));
+            }
+          }
+        } else if (callee.name === "defineExpose") {
+          getDeclaredNames(args[0]).forEach(({ name }) => info.reads.add(name));
+        }
+        return;
+      }
+      // this.$emit("x"), and context.emit("x") in `setup(props, context)`.
+      // Any `.emit` might be an unrelated event bus, so only literal names
+      // count there.
+      if (callee.type !== "MemberExpression" || callee.computed) return;
+      if (callee.property.name === "$emit") {
+        addEmitted(args[0]);
+      } else if (
+        callee.property.name === "emit" &&
+        args[0] &&
+        args[0].type === "StringLiteral"
+      ) {
+        info.emitted.add(args[0].value);
+      }
+    },
+    ThisExpression(path) {
+      const { parent } = path;
+      if (parent.type === "MemberExpression" && parent.object === path.node) {
+        if (!parent.computed) info.reads.add(parent.property.name);
+        else if (parent.property.type === "StringLiteral") {
+          info.reads.add(parent.property.value);
+        } else info.readsAll = true;
+      } else if (
+        parent.type === "VariableDeclarator" &&
+        parent.id.type === "ObjectPattern"
+      ) {
+        // const { a, b } = this
+        parent.id.properties.forEach((prop) => {
+          const name = prop.type === "ObjectProperty" && getPropertyName(prop);
+          if (name) info.reads.add(name);
+          else info.readsAll = true;
+        });
+      } else {
+        info.readsAll = true;
+      }
+    },
+  });
+
+  return info;
+}
+
+/**
+ * Members of a component that are never read or never emitted.
+ *
+ * @param {ReturnType<typeof getComponentMembers>} info
+ * @param {{identifiers: Set<string>, emitted: Set<string>,
+ *   propReads: Set<string>}} templateUsage
+ * @param {{props: Set<string>|null, events: Set<string>|null}|null} parentUsage
+ *   Props and listeners passed by the parents rendering the component, or
+ *   null when not all of its usages are known. `props` / `events` are null
+ *   when a parent spreads an object (`v-bind="attrs"`).
+ * @returns {Array<{kind: string, name: string, line: number, reason: string}>}
+ */
+function findUnusedMembers(info, templateUsage, parentUsage) {
+  const emitted = new Set(
+    [...info.emitted, ...templateUsage.emitted].map(camelize)
+  );
+  const isRead = (name) =>
+    info.reads.has(name) || templateUsage.identifiers.has(name);
+  // `props.title` / `$props.title` in the template
+  const isReadAsProp = (name) =>
+    templateUsage.propReads.has("*") || templateUsage.propReads.has(name);
+  const declared = new Set(info.members.map((m) => m.name));
+  const unused = [];
+
+  for (const { kind, name, line } of info.members) {
+    const camel = camelize(name);
+    let reason = null;
+    if (kind === "emit") {
+      if (!info.emitsAll && !emitted.has(camel)) reason = "never emitted";
+      else if (
+        parentUsage &&
+        parentUsage.events &&
+        !parentUsage.events.has(camel)
+      ) {
+        reason = "never listened to by a parent";
+      }
+    } else if (
+      !info.readsAll &&
+      !info.incomplete &&
+      !isRead(name) &&
+      !isRead(camel) &&
+      !(kind === "prop" && (isReadAsProp(name) || isReadAsProp(camel)))
+    ) {
+      reason = "never read";
+    } else if (
+      kind === "prop" &&
+      parentUsage &&
+      parentUsage.props &&
+      !parentUsage.props.has(camel)
+    ) {
+      reason = "never passed by a parent";
+    }
+    if (reason) unused.push({ kind, name, line, reason });
+  }
+
+  // Watchers left behind after the member they watched was removed
+  if (!info.incomplete) {
+    info.watched
+      .filter(({ name }) => !name.startsWith("$") && !declared.has(name))
+      .forEach(({ name, line }) =>
+        unused.push({
+          kind: "watch",
+          name,
+          line,
+          reason: "watches an undeclared member",
+        })
+      );
+  }
+
+  return unused.sort((a, b) => a.line - b.line);
+}
+
+module.exports = {
+  getComponentMembers,
+  findUnusedMembers,
+};
@@ -0,0 +1,273 @@
+/**
+ * @fileoverview Nuxt 2/3 project preset.
+ * Nuxt loads most of a project by convention rather than through imports:
+ * pages, layouts, middleware, plugins and server routes are entry points, and
+ * components and composables are auto-imported based on where they live. This
+ * module detects a Nuxt project from its `nuxt.config.*` and describes those
+ * conventions so the analyzer can seed entries and resolve auto-imported names.
+ */
+const fs = require("fs");
+const path = require("path");
+const { readStaticConfig } = require("./bundler-config");
+const { toPascalCase } = require("./vue-parser");
+
+const NUXT_CONFIG_FILES = [
+  "nuxt.config.ts",
+  "nuxt.config.js",
+  "nuxt.config.mjs",
+  "nuxt.config.mts",
+];
+
+const SCRIPT_EXTENSIONS = [".ts", ".js", ".mjs", ".mts"];
+
+const COMPONENT_EXTENSIONS = [".vue", ".js", ".ts", ".jsx", ".tsx"];
+
+/**
+ * Return the path of the project's nuxt.config file, or null if it is not a
+ * Nuxt project.
+ */
+function detectNuxtConfig(rootDir) {
+  return (
+    NUXT_CONFIG_FILES.map((name) => path.join(rootDir, name)).find((file) =>
+      fs.existsSync(file)
+    ) || null
+  );
+}
+
+/**
+ * Major Nuxt version of a project: the installed `nuxt` package, else the
+ * version range in package.json. Defaults to 3 when neither is found.
+ */
+function getNuxtVersion(rootDir) {
+  try {
+    const pkgPath = require.resolve("nuxt/package.json", { paths: [rootDir] });
+    return parseInt(require(pkgPath).version, 10);
+  } catch {
+    // Not installed: read the declared range
+  }
+  try {
+    const pkg = JSON.parse(
+      fs.readFileSync(path.join(rootDir, "package.json"), "utf-8")
+    );
+    const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+    const range = ["nuxt", "nuxt-edge"].map((name) => deps[name]).find(Boolean);
+    const major = range && range.match(/\d+/);
+    if (major) return parseInt(major[0], 10);
+  } catch {
+    // Missing or invalid package.json
+  }
+  return 3;
+}
+
+/**
+ * Read the Nuxt conventions for a project:
+ * - `version`: major Nuxt version
+ * - `srcDir`: where pages, components, ... live (Nuxt 4 defaults to `app/`)
+ * - `entryDirs` / `entryFiles`: everything Nuxt loads on its own
+ * - `componentDirs`: auto-imported component directories (`{ path, prefix, pathPrefix }`)
+ * - `autoImportDirs`: directories whose exports are auto-imported (composables, utils)
+ * - `aliases`: `~`, `@`, `~~`, `@@` and the `alias` option of nuxt.config
+ * - `publicDirs`: where `/…` URLs are served from besides `public/`
+ *   (`static/` on Nuxt 2)
+ */
+function loadNuxtPreset(rootDir, configFile) {
+  const nuxtConfig = readStaticConfig(configFile, rootDir);
+  const version = getNuxtVersion(rootDir);
+
+  const appDir = path.join(rootDir, "app");
+  const usesAppDir = ["pages", "components", "app.vue"].some((name) =>
+    fs.existsSync(path.join(appDir, name))
+  );
+  const srcDir =
+    typeof nuxtConfig.srcDir === "string"
+      ? path.resolve(rootDir, nuxtConfig.srcDir)
+      : usesAppDir
+      ? appDir
+      : rootDir;
+
+  // Resolve Nuxt path aliases in config values (`~/components`, `~~/shared`)
+  const resolveNuxtPath = (value, base = srcDir) => {
+    if (/^(~~|@@)(\/|$)/.test(value)) {
+      return path.join(rootDir, value.slice(2));
+    }
+    if (/^[~@](\/|$)/.test(value)) return path.join(srcDir, value.slice(1));
+    return path.resolve(base, value);
+  };
+
+  const dirOption = (name, fallback) =>
+    nuxtConfig.dir && typeof nuxtConfig.dir[name] === "string"
+      ? nuxtConfig.dir[name]
+      : fallback;
+
+  const entryDirs = [
+    path.join(srcDir, dirOption("pages", "pages")),
+    path.join(srcDir, dirOption("layouts", "layouts")),
+    path.join(srcDir, dirOption("middleware", "middleware")),
+    path.join(srcDir, dirOption("plugins", "plugins")),
+    path.join(srcDir, dirOption("store", "store")),
+    path.join(rootDir, "server"),
+    path.join(rootDir, "modules"),
+  ];
+
+  const entryFiles = [
+    path.join(srcDir, "app.vue"),
+    path.join(srcDir, "error.vue"),
+    ...SCRIPT_EXTENSIONS.flatMap((ext) => [
+      path.join(rootDir, `nuxt.config${ext}`),
+      path.join(srcDir, `app.config${ext}`),
+      path.join(srcDir, "app", `router.options${ext}`),
+    ]),
+    // Global stylesheets from the `css` option
+    ...(nuxtConfig.css || [])
+      .filter((file) => typeof file === "string")
+      .map((file) => resolveNuxtPath(file)),
+  ];
+
+  return {
+    version,
+    srcDir,
+    entryDirs,
+    entryFiles,
+    componentDirs: getComponentDirs(
+      nuxtConfig.components,
+      resolveNuxtPath,
+      version
+    ),
+    autoImportDirs: [
+      path.join(srcDir, "composables"),
+      path.join(srcDir, "utils"),
+      ...((nuxtConfig.imports && nuxtConfig.imports.dirs) || [])
+        .filter((dir) => typeof dir === "string")
+        .map((dir) => resolveNuxtPath(dir.replace(/\/\*\*?$/, ""))),
+    ],
+    aliases: {
+      "~~": rootDir,
+      "@@": rootDir,
+      "~": srcDir,
+      "@": srcDir,
+      ...Object.fromEntries(
+        Object.entries(nuxtConfig.alias || {})
+          .filter(([, target]) => typeof target === "string")
+          .map(([key, target]) => [key, resolveNuxtPath(target, rootDir)])
+      ),
+    },
+    publicDirs:
+      version === 2 ? [path.join(srcDir, dirOption("static", "static"))] : [],
+  };
+}
+
+// Normalise the `components` option: `true`, `false`, a list of dirs, or
+// `{ dirs: [...] }`. Each dir is a path or `{ path, prefix, pathPrefix }`.
+// Nuxt 2 only auto-imports components when the option is set.
+function getComponentDirs(option, resolveNuxtPath, version) {
+  if (option === false || (option === undefined && version === 2)) return [];
+  const dirs =
+    option === undefined || option === true
+      ? ["~/components"]
+      : Array.isArray(option)
+      ? option
+      : option.dirs || ["~/components"];
+
+  return dirs
+    .map((dir) => (typeof dir === "string" ? { path: dir } : dir))
+    .filter((dir) => dir && typeof dir.path === "string")
+    .map((dir) => ({
+      path: resolveNuxtPath(dir.path),
+      prefix: typeof dir.prefix === "string" ? dir.prefix : "",
+      pathPrefix: dir.pathPrefix !== false,
+    }));
+}
+
+// Split a name into words: "BaseButton" / "base-button" -> ["base", "button"]
+const splitWords = (name) =>
+  name
+    .split(/[-_]|(?<=[a-z0-9])(?=[A-Z])/)
+    .filter(Boolean)
+    .map((word) => word.toLowerCase());
+
+/**
+ * The name Nuxt gives a component file inside an auto-import directory:
+ * `components/base/Button.vue` -> `BaseButton`. Path segments the file name
+ * already starts with are not repeated (`components/base/BaseButton.vue` ->
+ * `BaseButton`), `index` files take their folder's name and `.client` /
+ * `.server` suffixes are dropped.
+ */
+function getNuxtComponentName(file, dir) {
+  const rel = path
+    .relative(dir.path, file)
+    .replace(/\.\w+$/, "")
+    .replace(/\.(client|server)$/, "");
+  const segments = rel.split(path.sep);
+  let fileName = segments.pop();
+  if (fileName === "index" && segments.length) fileName = segments.pop();
+
+  const prefixParts = [
+    ...(dir.prefix ? [dir.prefix] : []),
+    ...(dir.pathPrefix ? segments : []),
+  ];
+  const fileWords = splitWords(fileName).join("/");
+
+  // Drop trailing prefix segments that the file name already starts with
+  let keep = prefixParts.length;
+  for (let i = prefixParts.length - 1; i >= 0; i--) {
+    const suffix = prefixParts.slice(i).flatMap(splitWords).join("/");
+    if (fileWords === suffix || fileWords.startsWith(suffix + "/")) keep = i;
+  }
+
+  return toPascalCase(
+    [...prefixParts.slice(0, keep), fileName].flatMap(splitWords).join("-")
+  );
+}
+
+/**
+ * Whether `file` is one of the preset's entry points
+ */
+function isNuxtEntry(file, preset) {
+  return (
+    preset.entryFiles.includes(file) ||
+    preset.entryDirs.some((dir) => file.startsWith(dir + path.sep))
+  );
+}
+
+/**
+ * Component files in the preset's auto-import directories, with their names
+ */
+function getNuxtComponents(files, preset) {
+  const components = [];
+  for (const file of files) {
+    if (!COMPONENT_EXTENSIONS.includes(path.extname(file))) continue;
+    const dir = preset.componentDirs.find((d) =>
+      file.startsWith(d.path + path.sep)
+    );
+    if (dir) components.push({ name: getNuxtComponentName(file, dir), file });
+  }
+  return components;
+}
+
+/**
+ * Files whose exports Nuxt auto-imports: top-level files of each auto-import
+ * directory plus `index` files one level down.
+ */
+function getNuxtAutoImportFiles(files, preset) {
+  return [...files].filter((file) =>
+    preset.autoImportDirs.some((dir) => {
+      if (!file.startsWith(dir + path.sep)) return false;
+      const segments = path.relative(dir, file).split(path.sep);
+      return (
+        segments.length === 1 ||
+        (segments.length === 2 && /^index\.\w+$/.test(segments[1]))
+      );
+    })
+  );
+}
+
+module.exports = {
+  NUXT_CONFIG_FILES,
+  detectNuxtConfig,
+  getNuxtVersion,
+  loadNuxtPreset,
+  getNuxtComponentName,
+  isNuxtEntry,
+  getNuxtComponents,
+  getNuxtAutoImportFiles,
+};
@@ -6,6 +6,12 @@
 const fs = require("fs");
 const path = require("path");
 
+// Human-readable file size: KB below 1 MB, MB above
+const formatBytes = (bytes) =>
+  bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(2)} MB`
+    : `${(bytes / 1024).toFixed(2)} KB`;
+
 exports.outputResults = async (results, config) => {
   const chalk = (await import("chalk")).default;
   console.log(chalk.green("\n✅ Scan Complete!\n"));
@@ -61,12 +67,50 @@ exports.outputResults = async (results, config) => {
 
   console.log();
 
+  // In workspaces mode unused files are grouped by package
+  const packageOf = (file) =>
+    (results.workspacePackages || []).find((pkg) =>
+      file.startsWith(pkg.dir + "/")
+    );
+  let currentPackage;
+
+  // Files re-exported by files that stay are not deleted, nor the unused
+  // files they import: the `export ... from` line would be left dangling
+  const keptFiles = new Set();
+  if (config.delete) {
+    const unused = new Set(results.unusedFiles);
+    const stack = results.unusedReexports.map(({ target }) => target);
+    while (stack.length) {
+      const file = stack.pop();
+      if (keptFiles.has(file) || !unused.has(file)) continue;
+      keptFiles.add(file);
+      stack.push(...(results.dependencyGraph[file] || []));
+    }
+  }
+
   let deletedFiles = [];
   if (results.unusedFiles.length) {
     console.log(chalk.red("🔍 Unused Files:\n"));
-    results.unusedFiles.forEach((f) => {
-      console.log(chalk.yellow(f.replace(config.rootDir + "/", "")));
-      if (config.delete) {
+    const unusedFiles = results.workspacePackages
+      ? [...results.unusedFiles].sort((a, b) => {
+          const dirA = (packageOf(a) || { dir: "" }).dir;
+          const dirB = (packageOf(b) || { dir: "" }).dir;
+          return dirA === dirB ? (a < b ? -1 : 1) : dirA < dirB ? -1 : 1;
+        })
+      : results.unusedFiles;
+    unusedFiles.forEach((f) => {
+      if (results.workspacePackages) {
+        const pkg = packageOf(f);
+        const name = pkg ? pkg.name : "(workspace root)";
+        if (name !== currentPackage) {
+          currentPackage = name;
+          console.log(chalk.cyan(`${name}:`));
+        }
+        console.log(chalk.yellow(`  ${f.replace(config.rootDir + "/", "")}`));
+      } else {
+        console.log(chalk.yellow(f.replace(config.rootDir + "/", "")));
+      }
+      if (config.delete && !keptFiles.has(f)) {
         try {
           fs.unlinkSync(f);
           deletedFiles.push(f);
@@ -78,6 +122,204 @@ exports.outputResults = async (results, config) => {
   } else {
     console.log(chalk.green("🎉 No unused files found!"));
   }
+  if (keptFiles.size) {
+    const rel = (f) => f.replace(config.rootDir + "/", "");
+    console.log(
+      chalk.yellow(
+        `\n⚠️  ${keptFiles.size} unused file${
+          keptFiles.size !== 1 ? "s were" : " was"
+        } not deleted: used files re-export them. Remove these lines, then run again:`
+      )
+    );
+    results.unusedReexports.forEach(({ file, line, specifier }) =>
+      console.log(
+        chalk.yellow(`  ${rel(file)}${line ? `:${line}` : ""}`) +
+          chalk.gray(` export ... from "${specifier}"`)
+      )
+    );
+  }
+
+  // Dead islands: groups of unused files that only import each other
+  if (results.deadIslands?.length) {
+    console.log(chalk.red("\n🏝️  Dead Islands (can be removed together):\n"));
+    results.deadIslands.forEach((island, i) => {
+      console.log(chalk.cyan(`Island ${i + 1} (${island.length} files):`));
+      island.forEach((f) => {
+        console.log(chalk.yellow(`  ${f.replace(config.rootDir + "/", "")}`));
+      });
+    });
+  }
+
+  // Groups of modules importing each other, with one import chain each
+  if (results.circularDependencies) {
+    const rel = (f) => f.replace(config.rootDir + "/", "");
+    if (results.circularDependencies.length) {
+      console.log(chalk.red("\n🔄 Circular Dependencies:\n"));
+      results.circularDependencies.forEach(({ files, chain }, i) => {
+        console.log(chalk.cyan(`Cycle ${i + 1} (${files.length} files):`));
+        chain.forEach(({ file, line, target }) => {
+          console.log(
+            chalk.yellow(`  ${rel(file)}${line ? `:${line}` : ""}`) +
+              chalk.gray(` → ${rel(target)}`)
+          );
+        });
+        const more = files.length - chain.length;
+        if (more > 0) {
+          console.log(
+            chalk.gray(
+              `  and ${more} more file${more !== 1 ? "s" : ""} in the same loop`
+            )
+          );
+        }
+      });
+    } else {
+      console.log(chalk.green("\n🎉 No circular dependencies found!"));
+    }
+  }
+
+  // Unused exports inside files that are still used
+  if (results.unusedExports) {
+    if (results.unusedExports.length) {
+      console.log(chalk.red("\n📤 Unused Exports:\n"));
+      results.unusedExports.forEach(({ file, name, line }) => {
+        console.log(
+          chalk.yellow(`${file.replace(config.rootDir + "/", "")}:${line}`) +
+            chalk.gray(` ${name}`)
+        );
+      });
+    } else {
+      console.log(chalk.green("\n🎉 No unused exports found!"));
+    }
+  }
+
+  // Components imported or registered in an SFC but never rendered
+  if (results.unusedComponents) {
+    if (results.unusedComponents.length) {
+      console.log(chalk.red("\n🧩 Unused Component Imports:\n"));
+      results.unusedComponents.forEach(({ file, name, line }) => {
+        console.log(
+          chalk.yellow(`${file.replace(config.rootDir + "/", "")}:${line}`) +
+            chalk.gray(` ${name}`)
+        );
+      });
+    } else {
+      console.log(chalk.green("\n🎉 No unused component imports found!"));
+    }
+  }
+
+  // Props, emits and Options API members, grouped by component
+  if (results.unusedMembers) {
+    if (results.unusedMembers.length) {
+      console.log(chalk.red("\n🧹 Unused Component Members:\n"));
+      let currentFile = null;
+      results.unusedMembers.forEach(({ file, kind, name, line, reason }) => {
+        if (file !== currentFile) {
+          currentFile = file;
+          console.log(chalk.cyan(file.replace(config.rootDir + "/", "")));
+        }
+        console.log(
+          chalk.yellow(`  ${line} ${kind} ${name}`) + chalk.gray(` (${reason})`)
+        );
+      });
+    } else {
+      console.log(chalk.green("\n🎉 No unused component members found!"));
+    }
+  }
+
+  // npm packages compared with package.json
+  if (results.dependencyIssues) {
+    const { unused, missing, devOnly } = results.dependencyIssues;
+    const rel = (f) => f.replace(config.rootDir + "/", "");
+    if (unused.length) {
+      console.log(chalk.red("\n📦 Unused Dependencies:\n"));
+      unused.forEach(({ name, field, package: pkg }) => {
+        console.log(
+          chalk.yellow(name) +
+            chalk.gray(` (${pkg ? `${field} of ${pkg}` : field})`)
+        );
+      });
+    }
+    if (missing.length) {
+      console.log(chalk.red("\n❓ Missing Dependencies:\n"));
+      missing.forEach(({ name, files, hoisted }) => {
+        console.log(
+          chalk.yellow(name) +
+            chalk.gray(
+              ` imported by ${rel(files[0])}${
+                files.length > 1 ? ` and ${files.length - 1} more` : ""
+              }${hoisted ? ", only installed through hoisting" : ""}`
+            )
+        );
+      });
+    }
+    if (devOnly.length) {
+      console.log(chalk.red("\n🧪 Dependencies Only Used by Tests:\n"));
+      devOnly.forEach(({ name, files, package: pkg }) => {
+        console.log(
+          chalk.yellow(name) +
+            chalk.gray(
+              ` (move to devDependencies${
+                pkg ? ` of ${pkg}` : ""
+              }, used by ${rel(files[0])})`
+            )
+        );
+      });
+    }
+    if (!unused.length && !missing.length && !devOnly.length) {
+      console.log(chalk.green("\n🎉 No dependency issues found!"));
+    }
+  }
+
+  // Relative and aliased imports that point at no file, with the paths tried
+  if (results.unresolvedImports?.length) {
+    const rel = (f) => f.replace(config.rootDir + "/", "");
+    console.log(chalk.red("\n⚠️  Unresolved Imports:\n"));
+    results.unresolvedImports.forEach(
+      ({ file, line, specifier, candidates }) => {
+        console.log(
+          chalk.yellow(`${rel(file)}${line ? `:${line}` : ""}`) +
+            chalk.gray(` "${specifier}"`)
+        );
+        const shown = candidates.slice(0, 3).map(rel).join(", ");
+        const more = candidates.length - 3;
+        console.log(
+          chalk.gray(`  tried ${shown}${more > 0 ? ` and ${more} more` : ""}`)
+        );
+      }
+    );
+  }
+
+  // Unreferenced static assets, largest first. They are never deleted.
+  if (results.unusedAssets) {
+    if (results.unusedAssets.length) {
+      const totalBytes = results.unusedAssets.reduce((n, a) => n + a.bytes, 0);
+      console.log(
+        chalk.red(`\n🖼️  Unused Assets (${formatBytes(totalBytes)}):\n`)
+      );
+      results.unusedAssets.forEach(({ file, bytes }) => {
+        console.log(
+          chalk.yellow(file.replace(config.rootDir + "/", "")) +
+            chalk.gray(` ${formatBytes(bytes)}`)
+        );
+      });
+    } else {
+      console.log(chalk.green("\n🎉 No unused assets found!"));
+    }
+  }
+
+  // Problems that made the scan less accurate, such as unparsable files
+  if (results.diagnostics?.length) {
+    console.log(chalk.yellow("\n⚠️  Warnings:\n"));
+    results.diagnostics.forEach(({ file, message }) => {
+      console.log(
+        chalk.yellow(
+          file
+            ? `${file.replace(config.rootDir + "/", "")}: ${message}`
+            : message
+        )
+      );
+    });
+  }
 
   // Add deletion summary if files were deleted
   if (config.delete && deletedFiles.length > 0) {
@@ -99,13 +341,205 @@ exports.outputResults = async (results, config) => {
     );
   }
 
+  if (config.timings && results.timings) {
+    const formatMs = (ms) =>
+      ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${ms} ms`;
+    const phases = ["scan", "read", "parse", "graph", "report"]
+      .map((phase) => `${phase} ${formatMs(results.timings[phase] || 0)}`)
+      .join(", ");
+    console.log(
+      chalk.gray(`\n⏱️  ${phases} (total ${formatMs(results.timings.total)})`)
+    );
+  }
+
   if (config.output === "json") {
     fs.writeFileSync(
       "unused-files.json",
       JSON.stringify(results.unusedFiles, null, 2)
     );
     console.log(chalk.blue("\n📁 unused-files.json created"));
+    if (results.unresolvedImports?.length) {
+      fs.writeFileSync(
+        "unresolved-imports.json",
+        JSON.stringify(results.unresolvedImports, null, 2)
+      );
+      console.log(chalk.blue("📁 unresolved-imports.json created"));
+    }
+  }
+
+  if (config.output === "sarif") {
+    const { buildSarifLog } = require("./sarif");
+    fs.writeFileSync(
+      "vue-unused.sarif",
+      JSON.stringify(buildSarifLog(results, config), null, 2)
+    );
+    console.log(chalk.blue("\n📁 vue-unused.sarif created"));
+  }
+};
+
+// Print what changed after an update in watch mode
+exports.outputChanges = async (changes, config) => {
+  const chalk = (await import("chalk")).default;
+  const rel = (file) => file.replace(config.rootDir + "/", "");
+  const touched = [
+    ...changes.changed.map((file) => `~ ${rel(file)}`),
+    ...changes.added.map((file) => `+ ${rel(file)}`),
+    ...changes.removed.map((file) => `- ${rel(file)}`),
+  ];
+  console.log(
+    chalk.gray(`\n[${new Date().toLocaleTimeString()}] ${touched.join(", ")}`)
+  );
+  changes.newlyUnused.forEach((file) =>
+    console.log(chalk.red(`  ✗ now unused: ${rel(file)}`))
+  );
+  changes.noLongerUnused.forEach((file) =>
+    console.log(chalk.green(`  ✓ used again: ${rel(file)}`))
+  );
+  if (!changes.newlyUnused.length && !changes.noLongerUnused.length) {
+    console.log(chalk.gray("  No change in unused files."));
+  }
+  console.log(
+    chalk.cyan(
+      `📊 ${changes.unusedCount} unused file${
+        changes.unusedCount !== 1 ? "s" : ""
+      }.`
+    )
+  );
+};
+
+// How each kind of edge is named by `why`
+const EDGE_KINDS = {
+  static: "static import",
+  dynamic: "dynamic import",
+  reexport: "re-export",
+  template: "template usage",
+  glob: "require.context / import.meta.glob",
+  style: "stylesheet import",
+  asset: "asset reference",
+  "auto-import": "auto-import",
+  bundle: "bundle source map",
+};
+
+// Print why a file is used: the import chains reaching it from an entry
+// point, or the files still importing it
+exports.outputWhy = async ({ why }, config) => {
+  const chalk = (await import("chalk")).default;
+  const rel = (file) => file.replace(config.rootDir + "/", "");
+  // Where the import is; a bundle hop starts at the source map itself
+  const describe = (from, via) =>
+    via
+      .map(({ kind, specifier, line }) =>
+        kind === "bundle"
+          ? `(${EDGE_KINDS[kind]})`
+          : `${rel(from)}${line ? `:${line}` : ""}${
+              specifier ? ` "${specifier}"` : ""
+            } (${EDGE_KINDS[kind] || kind})`
+      )
+      .join(", ");
+
+  console.log(chalk.bold(`\n🔎 ${rel(why.file)}\n`));
+  // The verdict of the scan comes first, so the explanation can't contradict
+  // it
+  if (why.used && why.entry) {
+    console.log(
+      chalk.green(
+        "✅ Used: it is an entry point (listed in `entry`, the public API of a workspace package, or loaded by the framework or a build tool)."
+      )
+    );
+    return;
+  }
+
+  if (why.used && why.chains.length) {
+    // Chains from a bundle source map come last
+    const imported = why.chains.filter(
+      ([hop]) => hop.via[0]?.kind !== "bundle"
+    );
+    const hops = imported.length && imported[0].length;
+    console.log(
+      chalk.green(
+        imported.length
+          ? `✅ Used. Shortest import chain${
+              imported.length !== 1 ? "s" : ""
+            } from an entry point (${hops} hop${hops !== 1 ? "s" : ""}):`
+          : "✅ Used: the bundle is built from it."
+      )
+    );
+    why.chains.forEach((chain) => {
+      const width = Math.max(...chain.map(({ to }) => rel(to).length));
+      console.log(chalk.cyan(`\n  ${rel(chain[0].from)}`));
+      chain.forEach(({ from, to, via }) =>
+        console.log(
+          chalk.yellow(`  → ${rel(to).padEnd(width)}`) +
+            chalk.gray(`  ${describe(from, via)}`)
+        )
+      );
+    });
+    return;
+  }
+
+  console.log(
+    why.used
+      ? chalk.yellow(
+          "⚠️  Used: the files below import it, but no entry point reaches them."
+        )
+      : chalk.red("❌ Unused: no entry point reaches it.")
+  );
+  if (!why.importers.length) {
+    console.log(chalk.gray("\nNothing imports it."));
+    return;
   }
+  console.log(chalk.cyan("\nImported by:"));
+  why.importers.forEach(({ file, reachable, via }) => {
+    const note = !reachable
+      ? "not reached from an entry point"
+      : via.every(({ kind }) => kind === "reexport")
+      ? "re-exports it, but nothing imports what it provides"
+      : "reached from an entry point";
+    console.log(chalk.yellow(`  ${rel(file)}`) + chalk.gray(`  ${note}`));
+    if (via.length) console.log(chalk.gray(`    ${describe(file, via)}`));
+  });
+};
+
+// Export the dependency graph to dependency-graph.dot / .mmd, filtered as
+// asked
+exports.outputGraphExport = async (results, config) => {
+  const chalk = (await import("chalk")).default;
+  const { buildGraphView, toDot, toMermaid } = require("./graph-export");
+  let view;
+  try {
+    view = buildGraphView(results, {
+      rootDir: config.rootDir,
+      focus: config.graphFocus,
+      depth: config.graphDepth,
+      collapse: config.graphCollapse,
+      hidePackages: config.hidePackages,
+    });
+  } catch (error) {
+    console.error(chalk.red(`\n${error.message}`));
+    process.exitCode = 1;
+    return;
+  }
+  const file =
+    config.graphFormat === "dot"
+      ? "dependency-graph.dot"
+      : "dependency-graph.mmd";
+  fs.writeFileSync(
+    file,
+    config.graphFormat === "dot" ? toDot(view) : toMermaid(view)
+  );
+  console.log(
+    chalk.blue(
+      `\n📊 ${file} created (${view.nodes.length} nodes, ${view.edges.length} edges)`
+    )
+  );
+};
+
+// Write the HTML report to vue-unused-report.html
+exports.outputReport = async (results, config) => {
+  const chalk = (await import("chalk")).default;
+  const { buildHtmlReport } = require("./html-report");
+  fs.writeFileSync("vue-unused-report.html", buildHtmlReport(results, config));
+  console.log(chalk.blue("\n📊 vue-unused-report.html created"));
 };
 
 // Output dependency graph to dependency-graph.json (relative paths for readability)
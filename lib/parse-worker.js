@@ -0,0 +1,17 @@
+/**
+ * @fileoverview Worker thread parsing files for the analyzer.
+ * Receives `{ kind, content, file }` messages and answers each with
+ * `{ result }` (see `extractFile` in extract.js) or `{ error }`.
+ */
+const { parentPort, workerData } = require("worker_threads");
+const { createExtractors } = require("./extract");
+
+const { extractFile } = createExtractors(workerData);
+
+parentPort.on("message", ({ kind, content, file }) => {
+  try {
+    parentPort.postMessage({ result: extractFile(kind, content, file) });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Reachability analysis for the dependency graph.
+ * Instead of treating every import target as used, this module walks the graph
+ * outwards from the project's entry points, so files that are only imported by
+ * other dead files are reported too. Unreachable files are then grouped into
+ * connected "dead islands" that can be removed as a unit. For watch mode, a
+ * usage tracker keeps the set of used files current as edges change.
+ */
+const path = require("path");
+
+// Files that frameworks and build tools load on their own, relative to rootDir.
+// They are treated as entries in addition to `config.entry`.
+const IMPLICIT_ENTRIES = [
+  "src/main.js",
+  "src/main.ts",
+  "src/index.js",
+  "src/index.ts",
+  "vite.config.js",
+  "vite.config.ts",
+  "vite.config.mjs",
+  "vite.config.mts",
+  "vue.config.js",
+  "webpack.config.js",
+  "babel.config.js",
+  "postcss.config.js",
+  "tailwind.config.js",
+  "tailwind.config.ts",
+  "package.json",
+  "tsconfig.json",
+  "jsconfig.json",
+  "components.d.ts",
+  "src/components.d.ts",
+];
+
+/**
+ * Return the implicit entry files that exist among the scanned files.
+ */
+function getImplicitEntries(rootDir, files) {
+  const fileSet = files instanceof Set ? files : new Set(files);
+  return IMPLICIT_ENTRIES.map((rel) => path.resolve(rootDir, rel)).filter(
+    (file) => fileSet.has(file)
+  );
+}
+
+/**
+ * Breadth-first walk of `graph` (file -> iterable of dependencies) starting at
+ * `entries`. Returns the set of every file reachable from an entry.
+ */
+function findReachableFiles(graph, entries) {
+  const reachable = new Set(entries);
+  const queue = [...reachable];
+
+  while (queue.length) {
+    const file = queue.shift();
+    for (const dep of graph[file] || []) {
+      if (!reachable.has(dep)) {
+        reachable.add(dep);
+        queue.push(dep);
+      }
+    }
+  }
+
+  return reachable;
+}
+
+/**
+ * Group unused files into connected components, ignoring edge direction.
+ * Only components with more than one file are returned, largest first.
+ */
+function findDeadIslands(graph, unusedFiles) {
+  const unused = new Set(unusedFiles);
+  const neighbours = new Map([...unused].map((f) => [f, new Set()]));
+
+  for (const file of unused) {
+    for (const dep of graph[file] || []) {
+      if (unused.has(dep) && dep !== file) {
+        neighbours.get(file).add(dep);
+        neighbours.get(dep).add(file);
+      }
+    }
+  }
+
+  const seen = new Set();
+  const islands = [];
+  for (const file of unused) {
+    if (seen.has(file)) continue;
+    const island = [];
+    const stack = [file];
+    seen.add(file);
+    while (stack.length) {
+      const current = stack.pop();
+      island.push(current);
+      for (const next of neighbours.get(current)) {
+        if (!seen.has(next)) {
+          seen.add(next);
+          stack.push(next);
+        }
+      }
+    }
+    if (island.length > 1) {
+      islands.push(island.sort());
+    }
+  }
+
+  return islands.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Keep track of the used files of a changing graph. Each update only visits
+ * the part of the graph its edge and entry changes can affect.
+ *
+ * @param {Object} options
+ * @param {boolean} options.transitive Files are used when reachable from an
+ *   entry (reachability mode). Otherwise a file is used when it is an entry
+ *   or anything depends on it.
+ * @returns {{update: (graph: Object<string, Iterable<string>>,
+ *   entries: Iterable<string>) => string[], isUsed: (file: string) => boolean}}
+ *   `update` replaces the graph and the entries, and returns the files whose
+ *   usage changed.
+ */
+function createUsageTracker({ transitive }) {
+  const edges = new Map();
+  const dependents = new Map();
+  const used = new Set();
+  let entries = new Set();
+  // Usage before the current update, of the files it touched
+  let before = new Map();
+
+  const setUsed = (file, value) => {
+    if (!before.has(file)) before.set(file, used.has(file));
+    if (value) used.add(file);
+    else used.delete(file);
+  };
+
+  // Mark `files` and everything reachable from them as used
+  const spread = (files) => {
+    const stack = files.filter((file) => !used.has(file));
+    stack.forEach((file) => setUsed(file, true));
+    while (stack.length) {
+      for (const dep of edges.get(stack.pop()) || []) {
+        if (!used.has(dep)) {
+          setUsed(dep, true);
+          stack.push(dep);
+        }
+      }
+    }
+  };
+
+  // Everything used below `roots` may have lost its path from an entry.
+  // Those files are unmarked, then marked again from the ones that are
+  // entries or still have a used dependent outside of them.
+  const retract = (roots) => {
+    const suspects = new Set(roots.filter((file) => used.has(file)));
+    const stack = [...suspects];
+    while (stack.length) {
+      for (const dep of edges.get(stack.pop()) || []) {
+        if (used.has(dep) && !suspects.has(dep)) {
+          suspects.add(dep);
+          stack.push(dep);
+        }
+      }
+    }
+    const supported = [...suspects].filter(
+      (file) =>
+        entries.has(file) ||
+        [...(dependents.get(file) || [])].some(
+          (from) => used.has(from) && !suspects.has(from)
+        )
+    );
+    suspects.forEach((file) => setUsed(file, false));
+    spread(supported);
+  };
+
+  const update = (graph, nextEntries) => {
+    before = new Map();
+    const added = [];
+    const removed = [];
+    for (const file of new Set([...edges.keys(), ...Object.keys(graph)])) {
+      const previous = edges.get(file) || new Set();
+      const next = new Set(graph[file] || []);
+      for (const dep of previous) {
+        if (next.has(dep)) continue;
+        dependents.get(dep).delete(file);
+        if (!dependents.get(dep).size) dependents.delete(dep);
+        removed.push([file, dep]);
+      }
+      for (const dep of next) {
+        if (previous.has(dep)) continue;
+        if (!dependents.has(dep)) dependents.set(dep, new Set());
+        dependents.get(dep).add(file);
+        added.push([file, dep]);
+      }
+      if (next.size) edges.set(file, next);
+      else edges.delete(file);
+    }
+    const entrySet = new Set(nextEntries);
+    const removedEntries = [...entries].filter((file) => !entrySet.has(file));
+    const addedEntries = [...entrySet].filter((file) => !entries.has(file));
+    entries = entrySet;
+
+    if (transitive) {
+      retract([...removed.map(([, dep]) => dep), ...removedEntries]);
+      spread([
+        ...addedEntries,
+        ...added.filter(([from]) => used.has(from)).map(([, dep]) => dep),
+      ]);
+    } else {
+      [...removed.map(([, dep]) => dep), ...removedEntries].forEach((file) => {
+        if (!entries.has(file) && !dependents.has(file)) setUsed(file, false);
+      });
+      [...added.map(([, dep]) => dep), ...addedEntries].forEach((file) =>
+        setUsed(file, true)
+      );
+    }
+
+    return [...before]
+      .filter(([file, wasUsed]) => wasUsed !== used.has(file))
+      .map(([file]) => file);
+  };
+
+  return { update, isUsed: (file) => used.has(file) };
+}
+
+module.exports = {
+  IMPLICIT_ENTRIES,
+  getImplicitEntries,
+  findReachableFiles,
+  findDeadIslands,
+  createUsageTracker,
+};
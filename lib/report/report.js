@@ -0,0 +1,503 @@
+/* Script of the HTML report (see html-report.js). Runs offline, without
+ * dependencies: the data is read from the #report-data element. */
+(() => {
+  "use strict";
+
+  const data = JSON.parse(document.getElementById("report-data").textContent);
+  const { files } = data;
+  const unused = new Set(data.unused);
+  // File index -> indexes of the files it imports / that import it
+  const imports = files.map(() => []);
+  const importers = files.map(() => []);
+  data.edges.forEach(([from, to]) => {
+    imports[from].push(to);
+    importers[to].push(from);
+  });
+  const byPath = (a, b) => (files[a] < files[b] ? -1 : 1);
+  imports.forEach((list) => list.sort(byPath));
+  importers.forEach((list) => list.sort(byPath));
+
+  const formatBytes = (bytes) =>
+    bytes >= 1024 * 1024
+      ? `${(bytes / (1024 * 1024)).toFixed(2)} MB`
+      : bytes >= 1024
+      ? `${(bytes / 1024).toFixed(1)} KB`
+      : `${bytes} B`;
+
+  const el = (tag, props = {}, children = []) => {
+    const node = document.createElement(tag);
+    Object.assign(node, props);
+    node.append(...children);
+    return node;
+  };
+
+  // Summary
+
+  const summary = document.getElementById("summary");
+  const stat = (value, label) =>
+    el("span", {}, [el("strong", { textContent: String(value) }), label]);
+  summary.append(
+    stat(files.length, " files, "),
+    stat(unused.size, " unused, "),
+    stat(data.edges.length, " imports")
+  );
+  if (data.totalBytes !== null) {
+    summary.append(
+      ", potential bundle savings: ",
+      el("strong", { textContent: formatBytes(data.totalBytes) })
+    );
+  }
+  summary.append(
+    ` · vue-unused ${data.version}, ${new Date(
+      data.generatedAt
+    ).toLocaleString()}`
+  );
+
+  // File tree
+
+  const root = { name: "", dirs: new Map(), files: [] };
+  files.forEach((file, index) => {
+    const parts = file.split("/");
+    let node = root;
+    parts.slice(0, -1).forEach((part) => {
+      if (!node.dirs.has(part)) {
+        node.dirs.set(part, { name: part, dirs: new Map(), files: [] });
+      }
+      node = node.dirs.get(part);
+    });
+    node.files.push(index);
+  });
+
+  const fileItems = new Map();
+  const renderDir = (node, container, depth) => {
+    [...node.dirs.values()]
+      .sort((a, b) => (a.name < b.name ? -1 : 1))
+      .forEach((dir) => {
+        dir.el = el("details", { open: depth < 2 });
+        dir.count = el("span", { className: "count" });
+        dir.el.append(el("summary", {}, [`${dir.name}/`, dir.count]));
+        renderDir(dir, dir.el, depth + 1);
+        container.append(dir.el);
+      });
+    node.files.forEach((index) => {
+      const item = el(
+        "a",
+        { className: `file${unused.has(index) ? " unused" : ""}` },
+        [
+          el("span", { className: `dot${unused.has(index) ? " unused" : ""}` }),
+          files[index].split("/").pop(),
+        ]
+      );
+      item.title = files[index];
+      item.addEventListener("click", () => select(index, true));
+      fileItems.set(index, item);
+      container.append(item);
+    });
+  };
+  renderDir(root, document.getElementById("tree"), 0);
+
+  // Files matching the search, or null when nothing is searched
+  let matches = null;
+  const search = document.getElementById("search");
+  const unusedOnly = document.getElementById("unused-only");
+
+  // Show the files matching the filters; returns [visible, unused] counts
+  const filterDir = (node, isShown) => {
+    let visible = 0;
+    let unusedCount = 0;
+    node.dirs.forEach((dir) => {
+      const [dirVisible, dirUnused] = filterDir(dir, isShown);
+      dir.el.style.display = dirVisible ? "" : "none";
+      dir.count.textContent = dirUnused ? `${dirUnused} unused` : "";
+      if (dirVisible && (search.value || unusedOnly.checked)) {
+        dir.el.open = true;
+      }
+      visible += dirVisible;
+      unusedCount += dirUnused;
+    });
+    node.files.forEach((index) => {
+      const shown = isShown(index);
+      fileItems.get(index).style.display = shown ? "" : "none";
+      if (shown) visible++;
+      if (shown && unused.has(index)) unusedCount++;
+    });
+    return [visible, unusedCount];
+  };
+
+  const applyFilters = () => {
+    const query = search.value.trim().toLowerCase();
+    const isShown = (index) =>
+      (!query || files[index].toLowerCase().includes(query)) &&
+      (!unusedOnly.checked || unused.has(index));
+    matches =
+      query || unusedOnly.checked
+        ? new Set(files.map((file, index) => index).filter(isShown))
+        : null;
+    filterDir(root, isShown);
+    redraw();
+  };
+  search.addEventListener("input", applyFilters);
+  unusedOnly.addEventListener("change", applyFilters);
+
+  // Details of the selected file
+
+  const details = document.getElementById("details");
+  const fileLink = (index) => {
+    const link = el(
+      "a",
+      { className: `file${unused.has(index) ? " unused" : ""}` },
+      [
+        el("span", { className: `dot${unused.has(index) ? " unused" : ""}` }),
+        files[index],
+      ]
+    );
+    link.addEventListener("click", () => select(index, true));
+    return link;
+  };
+  const fileList = (title, list, none) => [
+    el("h3", { textContent: `${title} (${list.length})` }),
+    ...(list.length
+      ? list.map(fileLink)
+      : [el("p", { className: "empty", textContent: none })]),
+  ];
+
+  let selected = -1;
+  const select = (index, center) => {
+    if (selected !== -1) fileItems.get(selected).classList.remove("active");
+    selected = index;
+    const item = fileItems.get(index);
+    item.classList.add("active");
+    for (let node = item.parentElement; node; node = node.parentElement) {
+      if (node.tagName === "DETAILS") node.open = true;
+    }
+    item.scrollIntoView({ block: "nearest" });
+
+    const isUnused = unused.has(index);
+    details.replaceChildren(
+      el("h2", { textContent: files[index] }),
+      el("span", {
+        className: `status${isUnused ? " unused" : ""}`,
+        textContent: isUnused ? "unused" : "used",
+      }),
+      ...(data.sizes && data.sizes[index] !== undefined
+        ? [
+            el("p", {
+              textContent: `Size if removed: ${formatBytes(data.sizes[index])}`,
+            }),
+          ]
+        : []),
+      ...fileList("Imported by", importers[index], "Nothing imports it."),
+      ...fileList("Imports", imports[index], "It imports no project file.")
+    );
+    if (center) centerOn(index);
+    redraw();
+  };
+
+  // Force-directed graph
+
+  const canvas = document.getElementById("canvas");
+  const context = canvas.getContext("2d");
+  const count = files.length;
+  const x = new Float64Array(count);
+  const y = new Float64Array(count);
+  const vx = new Float64Array(count);
+  const vy = new Float64Array(count);
+  const radius = files.map(
+    (file, index) => 4 + Math.min(6, Math.sqrt(importers[index].length))
+  );
+
+  // Seeded, so the same project always gets the same layout
+  let seed = 1;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  const spread = 20 * Math.sqrt(count);
+  for (let i = 0; i < count; i++) {
+    const angle = random() * 2 * Math.PI;
+    const distance = spread * Math.sqrt(random());
+    x[i] = Math.cos(angle) * distance;
+    y[i] = Math.sin(angle) * distance;
+  }
+
+  const CELL = 80;
+  const LINK_LENGTH = 50;
+  let alpha = 1;
+  let dragged = -1;
+
+  // One step of the simulation. Repulsion only acts between nodes in
+  // neighbouring grid cells, which keeps large graphs fast.
+  const tick = () => {
+    const grid = new Map();
+    for (let i = 0; i < count; i++) {
+      const key = `${Math.floor(x[i] / CELL)},${Math.floor(y[i] / CELL)}`;
+      if (!grid.has(key)) grid.set(key, []);
+      grid.get(key).push(i);
+    }
+    for (let i = 0; i < count; i++) {
+      const cx = Math.floor(x[i] / CELL);
+      const cy = Math.floor(y[i] / CELL);
+      for (let gx = cx - 1; gx <= cx + 1; gx++) {
+        for (let gy = cy - 1; gy <= cy + 1; gy++) {
+          for (const j of grid.get(`${gx},${gy}`) || []) {
+            if (j === i) continue;
+            let dx = x[i] - x[j];
+            let dy = y[i] - y[j];
+            let distance2 = dx * dx + dy * dy;
+            if (distance2 === 0) {
+              dx = random() - 0.5;
+              dy = random() - 0.5;
+              distance2 = dx * dx + dy * dy;
+            }
+            if (distance2 > CELL * CELL) continue;
+            const force = (400 / distance2) * alpha;
+            vx[i] += dx * force;
+            vy[i] += dy * force;
+          }
+        }
+      }
+    }
+    data.edges.forEach(([from, to]) => {
+      const dx = x[to] - x[from];
+      const dy = y[to] - y[from];
+      const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+      const force = ((distance - LINK_LENGTH) / distance) * 0.05 * alpha;
+      vx[from] += dx * force;
+      vy[from] += dy * force;
+      vx[to] -= dx * force;
+      vy[to] -= dy * force;
+    });
+    for (let i = 0; i < count; i++) {
+      if (i === dragged) continue;
+      vx[i] = (vx[i] - x[i] * 0.002 * alpha) * 0.6;
+      vy[i] = (vy[i] - y[i] * 0.002 * alpha) * 0.6;
+      x[i] += vx[i];
+      y[i] += vy[i];
+    }
+    alpha *= 0.985;
+  };
+
+  // View: screen = world * scale + offset
+  let scale = 1;
+  let offsetX = 0;
+  let offsetY = 0;
+  const toWorld = (screenX, screenY) => [
+    (screenX - offsetX) / scale,
+    (screenY - offsetY) / scale,
+  ];
+
+  const resize = () => {
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = canvas.clientWidth * ratio;
+    canvas.height = canvas.clientHeight * ratio;
+    redraw();
+  };
+
+  const fit = () => {
+    if (!count) return;
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (let i = 0; i < count; i++) {
+      minX = Math.min(minX, x[i]);
+      minY = Math.min(minY, y[i]);
+      maxX = Math.max(maxX, x[i]);
+      maxY = Math.max(maxY, y[i]);
+    }
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    scale = Math.min(
+      2,
+      (width - 40) / (maxX - minX || 1),
+      (height - 40) / (maxY - minY || 1)
+    );
+    offsetX = width / 2 - ((minX + maxX) / 2) * scale;
+    offsetY = height / 2 - ((minY + maxY) / 2) * scale;
+  };
+
+  const centerOn = (index) => {
+    scale = Math.max(scale, 1);
+    offsetX = canvas.clientWidth / 2 - x[index] * scale;
+    offsetY = canvas.clientHeight / 2 - y[index] * scale;
+  };
+
+  const draw = () => {
+    const ratio = window.devicePixelRatio || 1;
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.setTransform(
+      scale * ratio,
+      0,
+      0,
+      scale * ratio,
+      offsetX * ratio,
+      offsetY * ratio
+    );
+    const neighbours = new Set(
+      selected === -1 ? [] : [...imports[selected], ...importers[selected]]
+    );
+    const isDimmed = (index) =>
+      (matches && !matches.has(index)) ||
+      (selected !== -1 && index !== selected && !neighbours.has(index));
+
+    context.lineWidth = 1 / scale;
+    context.strokeStyle = "rgba(107, 114, 128, 0.25)";
+    context.beginPath();
+    data.edges.forEach(([from, to]) => {
+      if (from === selected || to === selected) return;
+      context.moveTo(x[from], y[from]);
+      context.lineTo(x[to], y[to]);
+    });
+    context.stroke();
+    if (selected !== -1) {
+      context.lineWidth = 2 / scale;
+      context.strokeStyle = "#f59e0b";
+      context.beginPath();
+      [...imports[selected], ...importers[selected]].forEach((other) => {
+        context.moveTo(x[selected], y[selected]);
+        context.lineTo(x[other], y[other]);
+      });
+      context.stroke();
+    }
+
+    for (let i = 0; i < count; i++) {
+      context.globalAlpha = isDimmed(i) ? 0.15 : 1;
+      context.fillStyle = unused.has(i) ? "#ef4444" : "#3b82f6";
+      context.beginPath();
+      context.arc(x[i], y[i], radius[i], 0, 2 * Math.PI);
+      context.fill();
+    }
+    context.globalAlpha = 1;
+    if (selected !== -1) {
+      context.lineWidth = 3 / scale;
+      context.strokeStyle = "#f59e0b";
+      context.beginPath();
+      context.arc(
+        x[selected],
+        y[selected],
+        radius[selected] + 3,
+        0,
+        2 * Math.PI
+      );
+      context.stroke();
+    }
+
+    // Labels for the selection, and for everything once zoomed in
+    context.font = `${12 / scale}px sans-serif`;
+    context.fillStyle = "#111827";
+    const [left, top] = toWorld(0, 0);
+    const [right, bottom] = toWorld(canvas.clientWidth, canvas.clientHeight);
+    for (let i = 0; i < count; i++) {
+      const labelled =
+        i === selected || neighbours.has(i) || (scale > 1.5 && !isDimmed(i));
+      if (
+        labelled &&
+        x[i] > left &&
+        x[i] < right &&
+        y[i] > top &&
+        y[i] < bottom
+      ) {
+        context.fillText(
+          files[i].split("/").pop(),
+          x[i] + radius[i] + 2,
+          y[i] + 4 / scale
+        );
+      }
+    }
+  };
+
+  let frameRequested = false;
+  const frame = () => {
+    frameRequested = false;
+    if (alpha > 0.01) {
+      tick();
+      redraw();
+    }
+    draw();
+  };
+  function redraw() {
+    if (frameRequested) return;
+    frameRequested = true;
+    requestAnimationFrame(frame);
+  }
+
+  const nodeAt = (screenX, screenY) => {
+    const [worldX, worldY] = toWorld(screenX, screenY);
+    let found = -1;
+    let best = Infinity;
+    for (let i = 0; i < count; i++) {
+      const distance = Math.hypot(x[i] - worldX, y[i] - worldY);
+      if (distance < radius[i] + 3 / scale && distance < best) {
+        found = i;
+        best = distance;
+      }
+    }
+    return found;
+  };
+
+  const pointer = (event) => {
+    const rect = canvas.getBoundingClientRect();
+    return [event.clientX - rect.left, event.clientY - rect.top];
+  };
+
+  canvas.addEventListener(
+    "wheel",
+    (event) => {
+      event.preventDefault();
+      const [screenX, screenY] = pointer(event);
+      const next = Math.min(
+        20,
+        Math.max(0.02, scale * Math.exp(-event.deltaY * 0.001))
+      );
+      offsetX = screenX - ((screenX - offsetX) * next) / scale;
+      offsetY = screenY - ((screenY - offsetY) * next) / scale;
+      scale = next;
+      redraw();
+    },
+    { passive: false }
+  );
+
+  let drag = null;
+  canvas.addEventListener("mousedown", (event) => {
+    const [screenX, screenY] = pointer(event);
+    drag = { node: nodeAt(screenX, screenY), screenX, screenY, moved: false };
+    dragged = drag.node;
+    canvas.style.cursor = "grabbing";
+  });
+  window.addEventListener("mousemove", (event) => {
+    if (!drag) return;
+    const [screenX, screenY] = pointer(event);
+    if (Math.hypot(screenX - drag.screenX, screenY - drag.screenY) > 3) {
+      drag.moved = true;
+    }
+    if (!drag.moved) return;
+    if (drag.node !== -1) {
+      [x[drag.node], y[drag.node]] = toWorld(screenX, screenY);
+      alpha = Math.max(alpha, 0.3);
+    } else {
+      offsetX += screenX - drag.screenX;
+      offsetY += screenY - drag.screenY;
+      drag.screenX = screenX;
+      drag.screenY = screenY;
+    }
+    redraw();
+  });
+  window.addEventListener("mouseup", () => {
+    if (drag && !drag.moved && drag.node !== -1) select(drag.node, false);
+    drag = null;
+    dragged = -1;
+    canvas.style.cursor = "";
+  });
+  window.addEventListener("resize", resize);
+
+  // Settle most of the layout before the first frame
+  const warmup = Math.min(
+    150,
+    Math.floor(300000 / (count + data.edges.length + 1))
+  );
+  for (let i = 0; i < warmup; i++) tick();
+  resize();
+  fit();
+  applyFilters();
+})();
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview SARIF 2.1.0 output.
+ * Turns the results of a scan into a SARIF log that code-scanning tools
+ * (GitHub code scanning, Azure DevOps, SonarQube, ...) can ingest and
+ * annotate pull requests with. Every result carries a fingerprint built from
+ * what it is about rather than where, so a finding keeps its identity when
+ * unrelated lines move.
+ */
+const crypto = require("crypto");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { version, homepage } = require("../package.json");
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const FINGERPRINT_KEY = "vueUnused/v1";
+const README_URL = homepage.replace(/#.*$/, "");
+
+const RULES = [
+  {
+    id: "unused-file",
+    name: "UnusedFile",
+    shortDescription: { text: "File is never used" },
+    fullDescription: {
+      text: "No entry point, import or template refers to this file.",
+    },
+    helpUri: `${README_URL}#readme`,
+    defaultConfiguration: { level: "warning" },
+  },
+  {
+    id: "unused-export",
+    name: "UnusedExport",
+    shortDescription: { text: "Export is never imported" },
+    fullDescription: {
+      text: "This name is exported from a used file, but no file imports it.",
+    },
+    helpUri: `${README_URL}#unused-exports`,
+    defaultConfiguration: { level: "note" },
+  },
+  {
+    id: "unresolved-import",
+    name: "UnresolvedImport",
+    shortDescription: { text: "Import points at no file" },
+    fullDescription: {
+      text: "A relative or aliased import that resolves to no file in the project.",
+    },
+    helpUri: `${README_URL}#unresolved-imports`,
+    defaultConfiguration: { level: "error" },
+  },
+  {
+    id: "circular-dependency",
+    name: "CircularDependency",
+    shortDescription: { text: "Modules import each other" },
+    fullDescription: {
+      text: "A group of modules imports each other, directly or through other modules.",
+    },
+    helpUri: `${README_URL}#circular-dependencies`,
+    defaultConfiguration: { level: "warning" },
+  },
+];
+
+const hash = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+/**
+ * Build a SARIF log from scan results.
+ *
+ * @param {Object} results Results of `analyzeProject`, with absolute paths.
+ * @param {Object} options
+ * @param {string} options.rootDir Project root; artifact locations are
+ *   relative to it.
+ * @returns {Object} The SARIF log, ready for `JSON.stringify`.
+ */
+function buildSarifLog(results, { rootDir }) {
+  const uri = (file) =>
+    encodeURI(path.relative(rootDir, file).split(path.sep).join("/"));
+  const location = (file, line) => ({
+    physicalLocation: {
+      artifactLocation: { uri: uri(file), uriBaseId: "%SRCROOT%" },
+      region: { startLine: line || 1 },
+    },
+  });
+
+  // The same finding can appear more than once (an import repeated in a
+  // file); occurrences after the first get a counter
+  const seen = new Map();
+  const fingerprint = (parts) => {
+    const key = parts.join("\0");
+    const count = seen.get(key) || 0;
+    seen.set(key, count + 1);
+    return { [FINGERPRINT_KEY]: hash(count ? `${key}\0${count}` : key) };
+  };
+
+  const sarifResults = [];
+  const add = (ruleId, text, locations, parts, extra = {}) => {
+    const ruleIndex = RULES.findIndex((rule) => rule.id === ruleId);
+    sarifResults.push({
+      ruleId,
+      ruleIndex,
+      level: RULES[ruleIndex].defaultConfiguration.level,
+      message: { text },
+      locations,
+      partialFingerprints: fingerprint([ruleId, ...parts]),
+      ...extra,
+    });
+  };
+
+  results.unusedFiles.forEach((file) =>
+    add(
+      "unused-file",
+      `${uri(file)} is never used.`,
+      [location(file)],
+      [uri(file)]
+    )
+  );
+  (results.unusedExports || []).forEach(({ file, line, name }) =>
+    add(
+      "unused-export",
+      `Export '${name}' is never imported.`,
+      [location(file, line)],
+      [uri(file), name]
+    )
+  );
+  (results.unresolvedImports || []).forEach(({ file, line, specifier }) =>
+    add(
+      "unresolved-import",
+      `'${specifier}' does not resolve to a file.`,
+      [location(file, line)],
+      [uri(file), specifier]
+    )
+  );
+  (results.circularDependencies || []).forEach(({ files, chain }) => {
+    const [first] = chain;
+    add(
+      "circular-dependency",
+      `Circular import: ${[
+        ...chain.map((link) => uri(link.file)),
+        uri(first.file),
+      ].join(" → ")}`,
+      [location(first.file, first.line)],
+      files.map(uri),
+      {
+        relatedLocations: chain.slice(1).map((link, index) => ({
+          id: index + 1,
+          ...location(link.file, link.line),
+        })),
+      }
+    );
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "vue-unused",
+            version,
+            informationUri: README_URL,
+            rules: RULES,
+          },
+        },
+        originalUriBaseIds: {
+          "%SRCROOT%": {
+            uri: pathToFileURL(rootDir).href.replace(/\/?$/, "/"),
+          },
+        },
+        results: sarifResults,
+      },
+    ],
+  };
+}
+
+module.exports = {
+  buildSarifLog,
+};
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Stylesheet dependency extraction.
+ * Reads `@import`, `@use`, `@forward` and `@require` rules from CSS, Sass, Less
+ * and Stylus sources, and lists the files a specifier may point to following
+ * the preprocessors' own lookup rules: implicit extensions, Sass partials
+ * (`_name.scss`) and `index` / `_index` files.
+ */
+const path = require("path");
+const { STYLESHEET_EXTENSIONS } = require("./asset-analyzer");
+
+// Extensions tried for an extensionless specifier, by stylesheet language
+const LANG_EXTENSIONS = {
+  css: [".css"],
+  postcss: [".css"],
+  scss: [".scss", ".sass", ".css"],
+  sass: [".sass", ".scss", ".css"],
+  less: [".less", ".css"],
+  styl: [".styl", ".css"],
+  stylus: [".styl", ".css"],
+};
+
+const RULE_REGEX = /@(import|use|forward|require)\s+([^;\n]+)/g;
+
+const QUOTED_REGEX = /url\(\s*(['"]?)([^'")]+)\1\s*\)|(['"])([^'"]+)\3/g;
+
+// Comments are dropped first so commented-out imports don't count. Line
+// comments need a non-`:` before them to leave `url(http://...)` alone.
+const stripComments = (content) =>
+  content.replace(/\/\*[\s\S]*?\*\//g, "").replace(/(^|[^:])\/\/.*$/gm, "$1");
+
+// Remote stylesheets and Sass built-in modules (`sass:math`) are not files
+const isLocalSpecifier = (spec) =>
+  !!spec && !/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(spec) && !spec.includes("#{");
+
+/**
+ * Whether a file is a stylesheet the analyzer parses for imports
+ */
+const isStylesheet = (file) =>
+  STYLESHEET_EXTENSIONS.includes(path.extname(file).slice(1));
+
+/**
+ * The stylesheet language of a file or `<style lang>` value
+ */
+const getStyleLang = (fileOrLang) =>
+  (path.extname(fileOrLang).slice(1) || fileOrLang || "css").toLowerCase();
+
+/**
+ * Specifiers imported by a stylesheet or `<style>` block
+ */
+function extractStyleImports(content) {
+  const specs = new Set();
+  for (const [, rule, params] of stripComments(content).matchAll(RULE_REGEX)) {
+    const quoted = [...params.matchAll(QUOTED_REGEX)].map((m) => m[2] || m[4]);
+    let found;
+    if (!quoted.length) {
+      // Stylus allows unquoted paths: `@import mixins/buttons`
+      found = [params.trim().split(/\s+/)[0]];
+    } else if (rule === "use" || rule === "forward") {
+      // Only the first string is the module; the rest belong to `with (...)`
+      found = quoted.slice(0, 1);
+    } else {
+      // `@import "a", "b";`
+      found = quoted;
+    }
+    found.filter(isLocalSpecifier).forEach((spec) => specs.add(spec.trim()));
+  }
+  return [...specs];
+}
+
+/**
+ * Files an already resolved (absolute) import path may refer to, in lookup
+ * order: `base.ext` and `_base.ext` per extension, then `base/index.ext` and
+ * `base/_index.ext`. Paths that already
+ * have a stylesheet extension try only themselves and their partial.
+ */
+function getStyleImportCandidates(base, lang) {
+  const partial = (file) =>
+    path.join(path.dirname(file), `_${path.basename(file)}`);
+
+  if (isStylesheet(base)) return [base, partial(base)];
+
+  const extensions = LANG_EXTENSIONS[lang] || LANG_EXTENSIONS.css;
+  return [
+    ...extensions.flatMap((ext) => [`${base}${ext}`, `${partial(base)}${ext}`]),
+    ...extensions.flatMap((ext) => [
+      path.join(base, `index${ext}`),
+      path.join(base, `_index${ext}`),
+    ]),
+  ];
+}
+
+module.exports = {
+  isStylesheet,
+  getStyleLang,
+  extractStyleImports,
+  getStyleImportCandidates,
+};
@@ -6,84 +6,322 @@
  */
 const babelParser = require("@babel/parser");
 const traverse = require("@babel/traverse").default;
+const {
+  parse: parseTemplate,
+  NodeTypes,
+  ElementTypes,
+} = require("@vue/compiler-dom");
 
+/**
+ * Parse a script block or file. The passes over a script (imports, exports,
+ * registrations, components, members) all take the AST this returns, so
+ * each script is parsed once. `ast` is null and `error` holds the parser's
+ * message when the code can't be parsed.
+ */
+function parseScript(code) {
+  try {
+    const ast = babelParser.parse(code, {
+      sourceType: "module",
+      plugins: ["typescript", "jsx", "importAssertions"],
+    });
+    return { ast, error: null };
+  } catch (error) {
+    return { ast: null, error: error.message };
+  }
+}
+
+// Join script blocks, padding them with blank lines so that line numbers in
+// the extracted script match the line numbers in the .vue file.
+function joinScriptBlocks(blocks) {
+  let content = "";
+  let line = 1;
+  for (const block of blocks) {
+    const gap = block.loc.start.line - line;
+    content += "\n".repeat(Math.max(gap, content ? 1 : 0)) + block.content;
+    line = content.split("\n").length;
+  }
+  return content;
+}
+
+// Keep the content and language of each <style> block
+const toStyleBlocks = (styles) =>
+  (styles || []).map((style) => ({
+    content: style.content,
+    lang: style.lang || "css",
+    src: style.src || null,
+  }));
+
+// `src` attribute of an external block (`<script src="./Foo.ts">`), or null
+const getBlockSrc = (block) => (block && block.src) || null;
+
+/**
+ * Split an SFC into its script, template and style blocks. Blocks that live
+ * in their own file are returned as `scriptSrc` / `templateSrc` (and `src` on
+ * styles) so the caller can read them.
+ */
 function parseVueFile(code, { version, compiler }) {
   let scriptContent = "";
   let templateContent = "";
+  let styles = [];
+  let scriptSrc = null;
+  let templateSrc = null;
 
   if (version === 2) {
-    const sfc = compiler.parseComponent(code);
+    const sfc = compiler.parseComponent(code, { pad: "line" });
     scriptContent = sfc.script ? sfc.script.content : "";
     templateContent = sfc.template ? sfc.template.content : "";
+    styles = toStyleBlocks(sfc.styles);
+    scriptSrc = getBlockSrc(sfc.script);
+    templateSrc = getBlockSrc(sfc.template);
   } else {
     const { descriptor } = compiler.parse(code);
-    const normalScript = descriptor.script ? descriptor.script.content : "";
-    const setupScript = descriptor.scriptSetup
-      ? descriptor.scriptSetup.content
-      : "";
-    scriptContent = [normalScript, setupScript].filter(Boolean).join("\n");
+    scriptContent = joinScriptBlocks(
+      [descriptor.script, descriptor.scriptSetup]
+        .filter(Boolean)
+        .sort((a, b) => a.loc.start.line - b.loc.start.line)
+    );
     templateContent = descriptor.template ? descriptor.template.content : "";
+    styles = toStyleBlocks(descriptor.styles);
+    scriptSrc = getBlockSrc(descriptor.script);
+    templateSrc = getBlockSrc(descriptor.template);
   }
 
-  return { scriptContent, templateContent };
+  return { scriptContent, templateContent, styles, scriptSrc, templateSrc };
 }
 
-function getTemplateTags(templateContent) {
+// Template names of the component's props object
+const PROPS_OBJECTS = new Set(["props", "$props"]);
+
+// Identifiers and string literals referenced by a template expression, the
+// events it emits (`$emit("save")`) and the props it reads through `props` /
+// `$props` (`props.title`; "*" when the object is used as a whole). Event
+// handlers may hold statements (`count++; save()`), so expressions are parsed
+// as a parenthesized expression first and as statements second.
+function getExpressionReferences(code) {
+  const identifiers = new Set();
+  const strings = new Set();
+  const emitted = new Set();
+  const propReads = new Set();
+  for (const source of [`(${code}\n)`, code]) {
+    let ast;
+    try {
+      ast = babelParser.parse(source, {
+        sourceType: "module",
+        plugins: ["typescript"],
+      });
+    } catch {
+      continue;
+    }
+    traverse(ast, {
+      Identifier(path) {
+        if (!path.isReferencedIdentifier()) return;
+        identifiers.add(path.node.name);
+        if (!PROPS_OBJECTS.has(path.node.name)) return;
+        const { parent } = path;
+        const isObject =
+          parent.type === "MemberExpression" && parent.object === path.node;
+        if (isObject && !parent.computed) {
+          propReads.add(parent.property.name);
+        } else if (isObject && parent.property.type === "StringLiteral") {
+          propReads.add(parent.property.value);
+        } else {
+          propReads.add("*");
+        }
+      },
+      StringLiteral(path) {
+        strings.add(path.node.value);
+      },
+      CallExpression(path) {
+        const { callee, arguments: args } = path.node;
+        if (
+          callee.type === "Identifier" &&
+          (callee.name === "$emit" || callee.name === "emit") &&
+          args[0] &&
+          args[0].type === "StringLiteral"
+        ) {
+          emitted.add(args[0].value);
+        }
+      },
+    });
+    break;
+  }
+  return { identifiers, strings, emitted, propReads };
+}
+
+// Static name of a directive argument (`:title` -> "title"), or null for
+// dynamic arguments (`:[name]`) and directives without one (`v-bind="obj"`)
+const getStaticArg = (prop) =>
+  prop.arg && prop.arg.isStatic ? prop.arg.content : null;
+
+// Modifier names; compiler-dom 3.5 wraps them in expression nodes
+const getModifiers = (prop) =>
+  (prop.modifiers || []).map((modifier) =>
+    typeof modifier === "string" ? modifier : modifier.content
+  );
+
+// Attributes Vue handles itself rather than passing as props
+const RESERVED_ATTRIBUTES = new Set(["is", "key", "ref", "class", "style"]);
+
+/**
+ * Read component usage from a template's compiler AST:
+ * - `tags`: component tags as written (`UserCard`, `user-card`), including
+ *   `is="..."` values and string literals in `:is` / `v-bind:is`. Native
+ *   HTML and SVG elements and anything inside comments are skipped.
+ * - `identifiers`: bindings referenced from interpolations and directive
+ *   expressions, such as `UserCard` in `<component :is="cond ? UserCard : B">`.
+ * - `emitted`: events emitted from expressions (`@click="$emit('close')"`).
+ * - `propReads`: props read through `props.x` / `$props.x`, "*" for all.
+ * - `elements`: for every component tag, the props and listeners it is passed
+ *   (`v-model` and `.sync` included). `spreadsProps` / `spreadsEvents` mark
+ *   `v-bind="obj"`, `v-on="obj"` and dynamic arguments.
+ */
+function getTemplateUsage(templateContent) {
   const tags = new Set();
-  const tagRegex = /<([A-Z][a-zA-Z0-9-]*)/g;
-  let match;
-  while ((match = tagRegex.exec(templateContent))) {
-    tags.add(match[1]);
+  const identifiers = new Set();
+  const emitted = new Set();
+  const propReads = new Set();
+  const elements = [];
+  const usage = { tags, identifiers, emitted, propReads, elements };
+  if (!templateContent || !templateContent.trim()) {
+    return usage;
   }
 
-  const isPropRegex = /:is="['"]([^'"]+)['"]/g;
-  while ((match = isPropRegex.exec(templateContent))) {
-    tags.add(match[1]);
+  let ast;
+  try {
+    ast = parseTemplate(templateContent, { onError: () => {} });
+  } catch (error) {
+    if (process.env.VUE_UNUSED_VERBOSE) {
+      console.error(`Failed to parse template content:`, error.message);
+    }
+    return usage;
   }
 
-  return tags;
+  const addExpression = (code) => {
+    const refs = getExpressionReferences(code);
+    refs.identifiers.forEach((name) => identifiers.add(name));
+    refs.emitted.forEach((name) => emitted.add(name));
+    refs.propReads.forEach((name) => propReads.add(name));
+    return refs;
+  };
+
+  const walk = (node) => {
+    if (node.type === NodeTypes.INTERPOLATION) {
+      addExpression(node.content.content);
+      return;
+    }
+    if (node.type === NodeTypes.ELEMENT) {
+      let hasIs = false;
+      const element = {
+        tag: node.tag,
+        props: new Set(),
+        events: new Set(),
+        spreadsProps: false,
+        spreadsEvents: false,
+      };
+      for (const prop of node.props) {
+        if (prop.type === NodeTypes.ATTRIBUTE) {
+          if (prop.name === "is" && prop.value) {
+            hasIs = true;
+            tags.add(prop.value.content.replace(/^vue:/, ""));
+          }
+          if (!RESERVED_ATTRIBUTES.has(prop.name)) {
+            element.props.add(camelize(prop.name));
+          }
+          continue;
+        }
+
+        const arg = getStaticArg(prop);
+        if (prop.name === "bind") {
+          if (!arg) {
+            element.spreadsProps = element.spreadsEvents = true;
+          } else if (!RESERVED_ATTRIBUTES.has(arg)) {
+            element.props.add(camelize(arg));
+            if (getModifiers(prop).includes("sync")) {
+              element.events.add(`update:${camelize(arg)}`);
+            }
+          }
+        } else if (prop.name === "on") {
+          if (arg) element.events.add(camelize(arg));
+          else element.spreadsEvents = true;
+        } else if (prop.name === "model") {
+          // Vue 3 binds `modelValue` / `update:modelValue`, Vue 2 `value` / `input`
+          if (arg) {
+            element.props.add(camelize(arg));
+            element.events.add(`update:${camelize(arg)}`);
+          } else {
+            ["modelValue", "value"].forEach((p) => element.props.add(p));
+            ["update:modelValue", "input"].forEach((e) =>
+              element.events.add(e)
+            );
+          }
+        }
+
+        // `v-slot` / `slot-scope` declare names rather than use them
+        if (!prop.exp || prop.name === "slot") continue;
+        const code =
+          prop.name === "for"
+            ? prop.exp.content.split(/\s+(?:in|of)\s+/).pop()
+            : prop.exp.content;
+        const refs = addExpression(code);
+        if (prop.name === "bind" && arg === "is") {
+          hasIs = true;
+          refs.strings.forEach((tag) => tags.add(tag));
+        }
+      }
+      if (node.tagType === ElementTypes.COMPONENT && !hasIs) {
+        tags.add(node.tag);
+        elements.push(element);
+      }
+    }
+    (node.children || []).forEach(walk);
+  };
+  walk(ast);
+
+  return usage;
 }
 
-function getImportedComponents(scriptContent) {
+// `ast` is the script parsed by parseScript(), parsed here when not given
+function getImportedComponents(scriptContent, ast) {
   const components = new Map();
   if (!scriptContent.trim()) {
     return components;
   }
+  if (ast === undefined) ({ ast } = parseScript(scriptContent));
+  if (!ast) return components;
 
-  try {
-    const ast = babelParser.parse(scriptContent, {
-      sourceType: "module",
-      plugins: ["typescript", "jsx"],
-    });
-
-    traverse(ast, {
-      ImportDeclaration(path) {
-        const source = path.node.source.value;
-        path.node.specifiers.forEach((specifier) => {
-          if (specifier.type === "ImportDefaultSpecifier") {
-            const componentName = specifier.local.name;
-            components.set(componentName, source);
-          }
-        });
-      },
-    });
-  } catch (error) {
-    if (process.env.VUE_UNUSED_VERBOSE) {
-      console.error(`Failed to parse script content:`, error.message);
-    }
-  }
+  traverse(ast, {
+    ImportDeclaration(path) {
+      const source = path.node.source.value;
+      path.node.specifiers.forEach((specifier) => {
+        if (specifier.type === "ImportDefaultSpecifier") {
+          const componentName = specifier.local.name;
+          components.set(componentName, source);
+        }
+      });
+    },
+  });
 
   return components;
 }
 
-function getUsedImportSources(templateTags, importedComponents) {
+/**
+ * Import sources of the components a template renders, by tag name or by a
+ * binding referenced in an expression (`:is="UserCard"`).
+ */
+function getUsedImportSources(
+  templateTags,
+  importedComponents,
+  templateIdentifiers = []
+) {
   const usedSources = new Set();
-
-  const kebabCaseToPascalCase = (str) =>
-    str.replace(/-(\w)/g, (_, c) => c.toUpperCase());
+  for (const name of templateIdentifiers) {
+    if (importedComponents.has(name)) {
+      usedSources.add(importedComponents.get(name));
+    }
+  }
 
   for (const tag of templateTags) {
-    const pascalTag = kebabCaseToPascalCase(tag);
+    const pascalTag = toPascalCase(tag);
     if (importedComponents.has(tag)) {
       usedSources.add(importedComponents.get(tag));
     } else if (importedComponents.has(pascalTag)) {
@@ -94,9 +332,296 @@ function getUsedImportSources(templateTags, importedComponents) {
   return Array.from(usedSources);
 }
 
+// Name of a non-computed object key (`Foo`, `"old-modal"`), or null
+const getPropertyName = (prop) => {
+  if (prop.computed) return null;
+  if (prop.key.type === "Identifier") return prop.key.name;
+  if (prop.key.type === "StringLiteral") return prop.key.value;
+  return null;
+};
+
+// Whether an object is a component definition: `export default {}`,
+// `defineComponent({})`, `Vue.extend({})` or `new Vue({})`
+const isComponentOptions = (objectPath) =>
+  objectPath.parentPath.isExportDefaultDeclaration() ||
+  ((objectPath.parentPath.isCallExpression() ||
+    objectPath.parentPath.isNewExpression()) &&
+    objectPath.parentPath.node.arguments[0] === objectPath.node);
+
+/**
+ * Components a script makes available to its template, with the line that
+ * does so:
+ * - entries of an Options API `components: {}` object (in `export default`,
+ *   `defineComponent()`, `Vue.extend()` or `new Vue()`)
+ * - `.vue` default imports in `<script setup>`, i.e. imports that nothing in
+ *   the script references
+ */
+function getLocalComponents(scriptContent, ast) {
+  const components = [];
+  if (!scriptContent.trim()) {
+    return components;
+  }
+  if (ast === undefined) ({ ast } = parseScript(scriptContent));
+  if (!ast) return components;
+
+  traverse(ast, {
+    ObjectProperty(path) {
+      if (
+        getPropertyName(path.node) !== "components" ||
+        !path.get("value").isObjectExpression() ||
+        !isComponentOptions(path.parentPath)
+      ) {
+        return;
+      }
+      path.node.value.properties.forEach((prop) => {
+        const name = prop.type === "ObjectProperty" && getPropertyName(prop);
+        if (!name) return;
+        components.push({
+          name,
+          line: prop.loc.start.line,
+          // The imported binding behind the registration, if any
+          local: prop.value.type === "Identifier" ? prop.value.name : null,
+        });
+      });
+    },
+    ImportDefaultSpecifier(path) {
+      const source = path.parent.source.value;
+      const binding = path.scope.getBinding(path.node.local.name);
+      if (source.endsWith(".vue") && binding && !binding.referenced) {
+        components.push({
+          name: path.node.local.name,
+          line: path.node.loc.start.line,
+          local: path.node.local.name,
+        });
+      }
+    },
+  });
+
+  return components;
+}
+
+/**
+ * Whether a template renders a component registered as `name`, by tag
+ * (`<OldModal>` / `<old-modal>`) or through a binding (`:is="OldModal"`)
+ */
+function isRenderedComponent(name, templateTags, templateIdentifiers) {
+  const pascalName = toPascalCase(name);
+  return (
+    templateIdentifiers.has(name) ||
+    [...templateTags].some(
+      (tag) => tag === name || toPascalCase(tag) === pascalName
+    )
+  );
+}
+
+// Normalise a prop or event name to camelCase ("user-id" -> "userId")
+function camelize(name) {
+  return name.replace(/-(\w)/g, (_, c) => c.toUpperCase());
+}
+
+// Normalise a component name to PascalCase ("my-button" -> "MyButton")
+function toPascalCase(name) {
+  return name.replace(/(?:^|[-_]+)(\w)/g, (_, c) => c.toUpperCase());
+}
+
+const isRequireCall = (node) =>
+  node.type === "CallExpression" &&
+  node.callee.type === "Identifier" &&
+  node.callee.name === "require" &&
+  node.arguments.length > 0 &&
+  node.arguments[0].type === "StringLiteral";
+
+const isImportCall = (node) =>
+  node.type === "CallExpression" &&
+  node.callee.type === "Import" &&
+  node.arguments.length > 0 &&
+  node.arguments[0].type === "StringLiteral";
+
+// Work out which module a `.component(name, X)` call registers, following
+// imported identifiers, `require("x").default`, `() => import("x")` and
+// wrappers such as `defineAsyncComponent(() => import("x"))`.
+function getRegisteredSource(node, scope) {
+  if (!node) return null;
+  switch (node.type) {
+    case "Identifier": {
+      const binding = scope.getBinding(node.name);
+      return binding && binding.kind === "module"
+        ? binding.path.parent.source.value
+        : null;
+    }
+    case "MemberExpression":
+      return isRequireCall(node.object) ? node.object.arguments[0].value : null;
+    case "CallExpression":
+      if (isRequireCall(node) || isImportCall(node)) {
+        return node.arguments[0].value;
+      }
+      return getRegisteredSource(node.arguments[0], scope);
+    case "ArrowFunctionExpression":
+    case "FunctionExpression": {
+      if (node.body.type !== "BlockStatement") {
+        return getRegisteredSource(node.body, scope);
+      }
+      const ret = node.body.body.find((s) => s.type === "ReturnStatement");
+      return ret ? getRegisteredSource(ret.argument, scope) : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Find global component registrations in a script: `app.component("Foo", Foo)`
+ * / `Vue.component(...)` calls (including those inside plugin `install`
+ * functions), `require.context()` directories and `import.meta.glob()` patterns.
+ *
+ * `registrationOnlySources` lists the import sources that are used for nothing
+ * but a registration. Those imports should not count as usage by themselves:
+ * a globally registered component is only used once a template renders it.
+ */
+function getGlobalComponentRegistrations(scriptContent, ast) {
+  const result = {
+    registrations: [],
+    contexts: [],
+    globs: [],
+    registersComponents: false,
+    registrationOnlySources: new Set(),
+  };
+  if (
+    !/\.component\s*\(|require\.context|import\.meta\.glob/.test(scriptContent)
+  ) {
+    return result;
+  }
+
+  if (ast === undefined) ({ ast } = parseScript(scriptContent));
+  if (!ast) return result;
+
+  const registrationArgs = new Set();
+  const componentCalls = [];
+  const occurrences = [];
+
+  traverse(ast, {
+    ImportDeclaration(path) {
+      occurrences.push({ source: path.node.source.value, path });
+    },
+    CallExpression(path) {
+      const { node } = path;
+      const { callee } = node;
+      const [first, second, third] = node.arguments;
+
+      if (isRequireCall(node) || isImportCall(node)) {
+        occurrences.push({ source: first.value, path });
+        return;
+      }
+      if (callee.type !== "MemberExpression" || callee.computed) return;
+
+      // require.context("./components", true, /\.vue$/)
+      if (
+        callee.object.type === "Identifier" &&
+        callee.object.name === "require" &&
+        callee.property.name === "context" &&
+        first &&
+        first.type === "StringLiteral"
+      ) {
+        result.contexts.push({
+          dir: first.value,
+          recursive:
+            !second || second.type !== "BooleanLiteral" || second.value,
+          pattern:
+            third && third.type === "RegExpLiteral"
+              ? new RegExp(third.pattern, third.flags)
+              : /^\.\/.*$/,
+        });
+        return;
+      }
+
+      // import.meta.glob("./components/*.vue") / import.meta.globEager(...)
+      if (
+        callee.object.type === "MetaProperty" &&
+        /^glob(Eager)?$/.test(callee.property.name) &&
+        first
+      ) {
+        const patterns = (
+          first.type === "ArrayExpression" ? first.elements : [first]
+        )
+          .filter((el) => el && el.type === "StringLiteral")
+          .map((el) => el.value);
+        if (patterns.length) result.globs.push({ patterns });
+        return;
+      }
+
+      // app.component("Foo", Foo) with two arguments registers a component
+      if (callee.property.name === "component" && node.arguments.length === 2) {
+        result.registersComponents = true;
+        if (first.type === "StringLiteral") {
+          registrationArgs.add(second);
+          componentCalls.push({ name: first.value, node: second, path });
+        }
+      }
+    },
+  });
+
+  componentCalls.forEach(({ name, node, path }) => {
+    const source = getRegisteredSource(node, path.scope);
+    if (source) result.registrations.push({ name, source });
+  });
+
+  const insideRegistration = (path) =>
+    registrationArgs.has(path.node) ||
+    !!path.findParent((parent) => registrationArgs.has(parent.node));
+
+  // A source is registration-only when every import of it feeds a registration
+  const counts = new Map();
+  occurrences.forEach(({ source, path }) => {
+    let forRegistration;
+    if (path.node.type === "ImportDeclaration") {
+      const refs = path.node.specifiers.flatMap((specifier) => {
+        const binding = path.scope.getBinding(specifier.local.name);
+        return binding ? binding.referencePaths : [];
+      });
+      forRegistration = refs.length > 0 && refs.every(insideRegistration);
+    } else {
+      forRegistration = insideRegistration(path);
+    }
+    const count = counts.get(source) || { total: 0, registration: 0 };
+    count.total++;
+    if (forRegistration) count.registration++;
+    counts.set(source, count);
+  });
+  counts.forEach(({ total, registration }, source) => {
+    if (total === registration) result.registrationOnlySources.add(source);
+  });
+
+  return result;
+}
+
+/**
+ * Read the global components declared in a `components.d.ts` generated by
+ * unplugin-vue-components, e.g.
+ * `HelloWorld: typeof import('./src/components/HelloWorld.vue')['default']`.
+ */
+function getDeclaredGlobalComponents(dtsContent) {
+  const components = [];
+  const entryRegex =
+    /^\s*['"]?([A-Za-z_$][\w$-]*)['"]?\s*:\s*typeof\s+import\(\s*['"]([^'"]+)['"]\s*\)/gm;
+  let match;
+  while ((match = entryRegex.exec(dtsContent))) {
+    components.push({ name: match[1], source: match[2] });
+  }
+  return components;
+}
+
 module.exports = {
+  parseScript,
   parseVueFile,
-  getTemplateTags,
+  getTemplateUsage,
   getImportedComponents,
   getUsedImportSources,
+  getLocalComponents,
+  isRenderedComponent,
+  getGlobalComponentRegistrations,
+  getDeclaredGlobalComponents,
+  toPascalCase,
+  camelize,
+  getPropertyName,
+  isComponentOptions,
 };
@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Watch mode.
+ * Analyzes a project once, then keeps the analysis in memory and brings it
+ * up to date as files are added, changed, renamed or deleted. Only the files
+ * that changed, and the files whose imports may now resolve differently, are
+ * parsed again, and the set of used files is updated from the edges that
+ * changed instead of being recomputed. Each update reports the files that
+ * became unused and the ones that are used again.
+ */
+const fs = require("fs");
+const path = require("path");
+const fg = require("fast-glob");
+const { createProjectSession } = require("./analyzer");
+const { createUsageTracker } = require("./reachability");
+
+// Editors write a file in several steps; wait for the burst to end
+const DEBOUNCE_MS = 100;
+
+// Watch every directory of the project with its own watcher. Recursive
+// fs.watch isn't available on Linux before Node 20, and would also watch
+// node_modules.
+const watchDirectories = (rootDir, ignore, onPath) => {
+  const watchers = new Map();
+
+  const add = (dir) => {
+    if (watchers.has(dir)) return;
+    try {
+      const watcher = fs.watch(dir, (event, name) => {
+        if (name) onPath(path.join(dir, name.toString()));
+      });
+      // The directory was removed
+      watcher.on("error", () => {
+        watcher.close();
+        watchers.delete(dir);
+      });
+      watchers.set(dir, watcher);
+    } catch {
+      // Removed before it could be watched
+    }
+  };
+
+  const addTree = (dir) => {
+    add(dir);
+    fg.sync("**", { cwd: dir, ignore, onlyDirectories: true, absolute: true })
+      .map((sub) => path.resolve(sub))
+      .forEach(add);
+  };
+
+  addTree(rootDir);
+  return {
+    addTree,
+    close: () => watchers.forEach((watcher) => watcher.close()),
+  };
+};
+
+// Whether two `file -> targets` maps hold the same edges
+const sameEdges = (a, b) => {
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every(
+      (key) =>
+        b[key] &&
+        a[key].length === b[key].length &&
+        a[key].every((target) => b[key].includes(target))
+    )
+  );
+};
+
+/**
+ * Analyze a project and keep watching it for changes.
+ *
+ * @param {Object} config Complete config, as for `analyzeProject`.
+ * @param {Object} handlers
+ * @param {Object} [handlers.spinner] ora spinner for the initial scan.
+ * @param {(results: Object) => (void|Promise<void>)} handlers.onReady
+ *   Called with the results of the initial scan.
+ * @param {(changes: {added: string[], changed: string[], removed: string[],
+ *   newlyUnused: string[], noLongerUnused: string[], unusedCount: number})
+ *   => (void|Promise<void>)} handlers.onChange Called after each update.
+ *   Paths are normalized absolute paths.
+ * @param {(error: Error) => void} handlers.onError Called when an update
+ *   fails. Watching goes on.
+ * @returns {Promise<{close: () => void}>}
+ */
+async function watchProject(config, { spinner, onReady, onChange, onError }) {
+  const session = await createProjectSession(config, spinner);
+  await onReady(await session.report());
+
+  const usage = createUsageTracker({ transitive: !!config.reachability });
+  // Re-exports only count when a name they provide is consumed, which in
+  // reachability mode depends on which files are used, so repeat until
+  // nothing changes. Returns the files whose usage changed.
+  let live = {};
+  const sync = async () => {
+    const { importGraph, entries, getLiveReexports } = await session.link();
+    const flipped = new Set();
+    for (;;) {
+      const graph = { ...importGraph };
+      for (const [file, targets] of Object.entries(live)) {
+        graph[file] = [...(graph[file] || []), ...targets];
+      }
+      usage.update(graph, entries).forEach((file) => flipped.add(file));
+      const next = getLiveReexports(
+        config.reachability ? usage.isUsed : undefined
+      );
+      if (sameEdges(next, live)) break;
+      live = next;
+    }
+    return flipped;
+  };
+  await sync();
+
+  const pending = new Set();
+  let timer = null;
+  let running = false;
+
+  const flush = async () => {
+    timer = null;
+    if (running) return;
+    running = true;
+    const paths = [...pending];
+    pending.clear();
+    try {
+      const { added, changed, removed } = await session.update(paths);
+      if (added.length || changed.length || removed.length) {
+        const flipped = await sync();
+        const files = session.getFiles();
+        const isUnused = (file) => files.has(file) && !usage.isUsed(file);
+        await onChange({
+          added,
+          changed,
+          removed,
+          newlyUnused: [
+            ...new Set([
+              ...added.filter(isUnused),
+              ...[...flipped].filter(isUnused),
+            ]),
+          ].sort(),
+          noLongerUnused: [...flipped]
+            .filter((file) => files.has(file) && usage.isUsed(file))
+            .filter((file) => !added.includes(file))
+            .sort(),
+          unusedCount: [...files].filter(isUnused).length,
+        });
+      }
+    } catch (error) {
+      onError(error);
+    } finally {
+      running = false;
+      if (pending.size) schedule();
+    }
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(flush, DEBOUNCE_MS);
+  };
+
+  const watcher = watchDirectories(
+    config.rootDir,
+    session.ignorePatterns,
+    (file) => {
+      pending.add(file);
+      // New directories get watchers of their own
+      fs.stat(file, (error, stat) => {
+        if (!error && stat.isDirectory()) watcher.addTree(file);
+      });
+      schedule();
+    }
+  );
+
+  return {
+    close: () => {
+      clearTimeout(timer);
+      watcher.close();
+    },
+  };
+}
+
+module.exports = {
+  watchProject,
+};
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Explanations of why a file is used.
+ * Walks the dependency graph outwards from the entry points and reports the
+ * shortest import chains that reach a file, with the import behind each hop
+ * (static or dynamic import, template usage, glob, stylesheet, ...). A file
+ * that no entry point reaches is explained by the files that still import it
+ * and whether those are reached themselves.
+ */
+
+// Chains listed at most when several are equally short
+const MAX_CHAINS = 5;
+
+/**
+ * Breadth-first walk of `graph` from `entries`. Every file reached gets its
+ * distance from the nearest entry, and the files one step closer to an entry
+ * that import it.
+ */
+function walkFromEntries(graph, entries) {
+  const distance = new Map(entries.map((file) => [file, 0]));
+  const parents = new Map();
+  const queue = [...distance.keys()];
+
+  while (queue.length) {
+    const file = queue.shift();
+    const next = distance.get(file) + 1;
+    for (const dep of graph[file] || []) {
+      if (!distance.has(dep)) {
+        distance.set(dep, next);
+        parents.set(dep, [file]);
+        queue.push(dep);
+      } else if (distance.get(dep) === next) {
+        parents.get(dep).push(file);
+      }
+    }
+  }
+
+  return { distance, parents };
+}
+
+/**
+ * The shortest chains of files from an entry point to `file`, each starting
+ * at the entry. At most `limit` chains are returned.
+ */
+function findShortestChains({ distance, parents }, file, limit = MAX_CHAINS) {
+  if (!distance.has(file)) return [];
+  const chains = [];
+  const visit = (current, rest) => {
+    if (chains.length >= limit) return;
+    if (distance.get(current) === 0) {
+      chains.push([current, ...rest]);
+      return;
+    }
+    [...parents.get(current)]
+      .sort()
+      .forEach((parent) => visit(parent, [current, ...rest]));
+  };
+  visit(file, []);
+  return chains;
+}
+
+/**
+ * Explain why a file is used, or what keeps importing it when it isn't.
+ *
+ * @param {string} file Absolute path of a scanned file.
+ * @param {Object} options
+ * @param {Object<string, Iterable<string>>} options.graph Edges that make a
+ *   file used: imports, and re-exports whose names are consumed.
+ * @param {Object<string, Iterable<string>>} options.dependencyGraph Every
+ *   edge, re-exports nobody consumes included.
+ * @param {string[]} options.entries Entry points the chains start from.
+ * @param {string[]} [options.countedEntries] Entry points that make a file
+ *   used by themselves, `entries` by default.
+ * @param {Object<string, Array<{to: string, kind: string, specifier: ?string,
+ *   line: ?number}>>} options.edgeReasons Where each edge comes from.
+ * @param {boolean} options.used Whether the scan counts the file as used.
+ * @param {string[]} [options.sourceMaps] Bundle source maps listing the file.
+ * @returns {import("./index").UsageExplanation}
+ */
+function explainUsage(
+  file,
+  {
+    graph,
+    dependencyGraph,
+    entries,
+    countedEntries = entries,
+    edgeReasons,
+    used,
+    sourceMaps = [],
+  }
+) {
+  const walk = walkFromEntries(graph, entries);
+
+  // Imports behind an edge. A file importing the same path twice has it
+  // recorded twice.
+  const via = (from, to) => {
+    const seen = new Set();
+    return (edgeReasons[from] || [])
+      .filter((reason) => reason.to === to)
+      .map(({ kind, specifier, line }) => ({ kind, specifier, line }))
+      .filter(({ kind, specifier, line }) => {
+        const key = `${kind}\0${specifier}\0${line}`;
+        return !seen.has(key) && seen.add(key);
+      });
+  };
+  const toHops = (chain) =>
+    chain.slice(1).map((to, index) => ({
+      from: chain[index],
+      to,
+      via: via(chain[index], to),
+    }));
+
+  const entry = countedEntries.includes(file);
+  const chains =
+    walk.distance.get(file) === 0
+      ? []
+      : findShortestChains(walk, file).map(toHops);
+  // A file the bundle is built from is used whatever imports it
+  sourceMaps.forEach((map) =>
+    chains.push([
+      {
+        from: map,
+        to: file,
+        via: [{ kind: "bundle", specifier: null, line: null }],
+      },
+    ])
+  );
+
+  // Without a chain, the files importing it tell why it is still there
+  const importers =
+    used && (entry || chains.length)
+      ? []
+      : Object.keys(dependencyGraph)
+          .filter(
+            (from) => from !== file && [...dependencyGraph[from]].includes(file)
+          )
+          .sort()
+          .map((from) => ({
+            file: from,
+            reachable: walk.distance.has(from),
+            via: via(from, file),
+          }));
+
+  return { file, used, entry, chains, importers };
+}
+
+module.exports = {
+  explainUsage,
+};
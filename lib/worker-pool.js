@@ -0,0 +1,85 @@
+/**
+ * @fileoverview A small pool of worker threads.
+ * Tasks are queued and handed to the first idle worker; workers are only
+ * started while there are more tasks than idle workers.
+ */
+const os = require("os");
+const { Worker } = require("worker_threads");
+
+/**
+ * Number of threads to use by default: one per CPU core
+ */
+const getDefaultConcurrency = () =>
+  typeof os.availableParallelism === "function"
+    ? os.availableParallelism()
+    : os.cpus().length || 1;
+
+/**
+ * Start a pool of workers running a script. The script answers each message
+ * with `{ result }` or `{ error }`.
+ *
+ * @param {string} script Absolute path of the worker script.
+ * @param {Object} options
+ * @param {number} options.size Maximum number of workers.
+ * @param {*} [options.workerData] Passed to every worker.
+ * @returns {{run: (task: *) => Promise<*>, close: () => Promise<void>,
+ *   started: () => number}} `started()` is the number of workers running.
+ */
+function createWorkerPool(script, { size, workerData }) {
+  const workers = [];
+  const idle = [];
+  const queue = [];
+  // Worker -> task it is running
+  const running = new Map();
+
+  const spawn = () => {
+    const worker = new Worker(script, { workerData });
+    worker.on("message", ({ result, error }) => {
+      const { resolve, reject } = running.get(worker);
+      running.delete(worker);
+      idle.push(worker);
+      if (error) reject(new Error(error));
+      else resolve(result);
+      dispatch();
+    });
+    // The worker crashed: fail its task and let another worker take over
+    worker.on("error", (error) => {
+      const task = running.get(worker);
+      running.delete(worker);
+      workers.splice(workers.indexOf(worker), 1);
+      if (task) task.reject(error);
+      dispatch();
+    });
+    workers.push(worker);
+    return worker;
+  };
+
+  const dispatch = () => {
+    while (queue.length) {
+      const worker =
+        idle.pop() || (workers.length < size ? spawn() : undefined);
+      if (!worker) return;
+      const task = queue.shift();
+      running.set(worker, task);
+      worker.postMessage(task.message);
+    }
+  };
+
+  const run = (message) =>
+    new Promise((resolve, reject) => {
+      queue.push({ message, resolve, reject });
+      dispatch();
+    });
+
+  const close = async () => {
+    queue.length = 0;
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  };
+
+  return { run, close, started: () => workers.length };
+}
+
+module.exports = {
+  getDefaultConcurrency,
+  createWorkerPool,
+};
@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Monorepo / workspaces support.
+ * Finds the packages of an npm, yarn or pnpm workspace and turns each
+ * package's name into aliases pointing at its source, so an import of
+ * `@acme/ui/Button.vue` from one package resolves to the file in another one
+ * instead of being treated as an external dependency. `exports` maps are
+ * followed, preferring source over built files.
+ */
+const fs = require("fs");
+const path = require("path");
+const fg = require("fast-glob");
+
+// Export conditions tried in order. Source-like conditions come first so a
+// package pointing its `import` condition at `dist/` can still be analyzed.
+const EXPORT_CONDITIONS = [
+  "source",
+  "development",
+  "import",
+  "module",
+  "browser",
+  "default",
+  "require",
+];
+
+const readManifest = (dir) => {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, "package.json"), "utf-8"));
+  } catch {
+    return null;
+  }
+};
+
+// `packages:` globs of a pnpm-workspace.yaml. Only the list form pnpm
+// documents is supported, which keeps a YAML parser out of the dependencies.
+const readPnpmPatterns = (file) => {
+  const patterns = [];
+  let inPackages = false;
+  for (const line of fs.readFileSync(file, "utf-8").split("\n")) {
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+      continue;
+    }
+    if (!inPackages || !line.trim() || /^\s*#/.test(line)) continue;
+    const item = line.match(/^\s+-\s*(['"]?)([^'"#]+?)\1\s*(#.*)?$/);
+    if (item) patterns.push(item[2]);
+    else if (!/^\s/.test(line)) inPackages = false;
+  }
+  return patterns;
+};
+
+/**
+ * Package globs of the workspace rooted at `dir` (`workspaces` in
+ * package.json, or pnpm-workspace.yaml), or null if it isn't a workspace root.
+ */
+function readWorkspacePatterns(dir) {
+  const pnpmFile = path.join(dir, "pnpm-workspace.yaml");
+  if (fs.existsSync(pnpmFile)) return readPnpmPatterns(pnpmFile);
+  const manifest = readManifest(dir);
+  const workspaces = manifest && manifest.workspaces;
+  if (Array.isArray(workspaces)) return workspaces;
+  if (workspaces && Array.isArray(workspaces.packages)) {
+    return workspaces.packages;
+  }
+  return null;
+}
+
+/**
+ * The nearest directory at or above `startDir` that is a workspace root, or
+ * null.
+ */
+function findWorkspaceRoot(startDir) {
+  let dir = startDir;
+  for (;;) {
+    if (readWorkspacePatterns(dir)) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Packages of the workspace rooted at `rootDir`: `{ name, dir, manifest }`,
+ * deepest directories first so nested packages win in lookups.
+ */
+function getWorkspacePackages(rootDir) {
+  const patterns = readWorkspacePatterns(rootDir) || [];
+  const toManifestGlob = (pattern) =>
+    `${pattern.replace(/^\.\//, "").replace(/\/+$/, "")}/package.json`;
+  const manifests = fg.sync(
+    patterns.filter((p) => !p.startsWith("!")).map(toManifestGlob),
+    {
+      cwd: rootDir,
+      absolute: true,
+      ignore: [
+        "**/node_modules/**",
+        ...patterns
+          .filter((p) => p.startsWith("!"))
+          .map((p) => toManifestGlob(p.slice(1))),
+      ],
+    }
+  );
+  return manifests
+    .map((file) => path.dirname(path.resolve(file)))
+    .map((dir) => ({ dir, manifest: readManifest(dir) }))
+    .filter(({ manifest }) => manifest && typeof manifest.name === "string")
+    .map(({ dir, manifest }) => ({ name: manifest.name, dir, manifest }))
+    .sort((a, b) => b.dir.length - a.dir.length);
+}
+
+/**
+ * The workspace package a file belongs to, or null
+ */
+const findWorkspacePackage = (file, packages) =>
+  packages.find((pkg) => file.startsWith(pkg.dir + path.sep)) || null;
+
+// The path an export condition object points at, following the preferred
+// conditions (and fallback arrays) down to a string
+const pickExportTarget = (value) => {
+  if (typeof value === "string") return value;
+  if (Array.isArray(value)) {
+    return value.map(pickExportTarget).find(Boolean) || null;
+  }
+  if (value && typeof value === "object") {
+    for (const condition of EXPORT_CONDITIONS) {
+      const target = condition in value && pickExportTarget(value[condition]);
+      if (target) return target;
+    }
+  }
+  return null;
+};
+
+// `exports` as a `{ subpath: target }` map. A string or an object of
+// conditions is the export of ".".
+const getExportsMap = (exportsField) => {
+  if (!exportsField) return null;
+  if (
+    typeof exportsField === "string" ||
+    Array.isArray(exportsField) ||
+    !Object.keys(exportsField).some((key) => key.startsWith("."))
+  ) {
+    return { ".": exportsField };
+  }
+  return exportsField;
+};
+
+// Files a built target may have come from, most likely first:
+// `dist/index.mjs` -> `src/index` (resolved with the usual extensions), then
+// the target itself
+const getSourceTargets = (dir, target) => {
+  const file = path.join(dir, target);
+  const rel = path.relative(dir, file).split(path.sep);
+  if (!["dist", "lib", "build", "es", "esm", "cjs"].includes(rel[0])) {
+    return [file];
+  }
+  const source = path
+    .join(dir, "src", ...rel.slice(1))
+    .replace(/(\.d)?\.[cm]?[jt]s$/, "");
+  return [source, file];
+};
+
+/**
+ * Alias entries (`{ find, replacement }`) that resolve imports of a
+ * workspace package to its files. With an `exports` map each subpath becomes
+ * an alias (`"./*"` patterns included); without one the package name maps to
+ * its `source` / `module` / `main` entry and deep imports to its directory.
+ */
+function getPackageAliases({ name, dir, manifest }) {
+  const exportsMap = getExportsMap(manifest.exports);
+  if (!exportsMap) {
+    const main = [manifest.source, manifest.module, manifest.main].find(
+      (field) => typeof field === "string"
+    );
+    return [
+      {
+        find: name,
+        replacement: [...(main ? getSourceTargets(dir, main) : []), dir],
+      },
+    ];
+  }
+  return Object.entries(exportsMap)
+    .map(([subpath, value]) => [subpath, pickExportTarget(value)])
+    .filter(([subpath, target]) => target && subpath.startsWith("."))
+    .map(([subpath, target]) => ({
+      find: subpath === "." ? name : `${name}/${subpath.replace(/^\.\//, "")}`,
+      replacement: getSourceTargets(dir, target),
+    }));
+}
+
+/**
+ * Specifiers that make up a package's public API: its name and each exported
+ * subpath without a `*` pattern
+ */
+function getPackageEntrySpecifiers({ name, manifest }) {
+  const exportsMap = getExportsMap(manifest.exports);
+  if (!exportsMap) return [name];
+  return Object.keys(exportsMap)
+    .filter((subpath) => subpath.startsWith(".") && !subpath.includes("*"))
+    .filter((subpath) => !subpath.endsWith("package.json"))
+    .map((subpath) =>
+      subpath === "." ? name : `${name}/${subpath.replace(/^\.\//, "")}`
+    );
+}
+
+module.exports = {
+  readWorkspacePatterns,
+  findWorkspaceRoot,
+  getWorkspacePackages,
+  findWorkspacePackage,
+  getPackageAliases,
+  getPackageEntrySpecifiers,
+};
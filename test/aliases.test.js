@@ -0,0 +1,60 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { analyze } = require("../lib");
+const { createProject, removeProject } = require("./helpers");
+
+test("a tsconfig catch-all path leaves packages as packages", async () => {
+  const rootDir = createProject({
+    "package.json": JSON.stringify({
+      name: "app",
+      dependencies: { lodash: "^4.0.0", vue: "^3.0.0" },
+    }),
+    "tsconfig.json": JSON.stringify({
+      compilerOptions: { baseUrl: ".", paths: { "*": ["types/*"] } },
+    }),
+    "src/main.js":
+      'import { createApp } from "vue";\n' +
+      'import debounce from "lodash/debounce";\n' +
+      'import shim from "shim";\n' +
+      "createApp(debounce(shim));\n",
+    "types/shim.js": "export default 1;\n",
+  });
+  try {
+    const results = await analyze({
+      rootDir,
+      dependencies: true,
+      cache: false,
+      concurrency: 1,
+    });
+    assert.deepStrictEqual(results.unresolvedImports, []);
+    assert.deepStrictEqual(results.dependencyGraph["src/main.js"], [
+      "types/shim.js",
+    ]);
+    assert.deepStrictEqual(results.packageImports["src/main.js"], [
+      "lodash",
+      "vue",
+    ]);
+    assert.deepStrictEqual(results.dependencyIssues.unused, []);
+  } finally {
+    removeProject(rootDir);
+  }
+});
+
+test("an alias import of a missing file stays unresolved", async () => {
+  const rootDir = createProject({
+    "package.json": JSON.stringify({ name: "app" }),
+    "tsconfig.json": JSON.stringify({
+      compilerOptions: { baseUrl: ".", paths: { "@/*": ["src/*"] } },
+    }),
+    "src/main.js": 'import missing from "@/missing";\n',
+  });
+  try {
+    const results = await analyze({ rootDir, cache: false, concurrency: 1 });
+    assert.deepStrictEqual(
+      results.unresolvedImports.map(({ specifier }) => specifier),
+      ["@/missing"]
+    );
+  } finally {
+    removeProject(rootDir);
+  }
+});
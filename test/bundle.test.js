@@ -0,0 +1,50 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { analyze } = require("../lib");
+const { createProject, removeProject } = require("./helpers");
+
+test("bundle results are relative to rootDir", async () => {
+  const rootDir = createProject({
+    "package.json": JSON.stringify({ name: "app" }),
+    "src/main.js": "console.log(1);\n",
+    "src/dead.js": "export const dead = 1;\n",
+    "dist/app.js": "console.log(1);\n//# sourceMappingURL=app.js.map\n",
+    "dist/app.js.map": JSON.stringify({
+      version: 3,
+      sources: ["../src/main.js"],
+      names: [],
+      mappings: "",
+    }),
+  });
+  try {
+    const results = await analyze({
+      rootDir,
+      bundle: true,
+      bundleDir: path.join(rootDir, "dist"),
+      cache: false,
+      concurrency: 1,
+    });
+    const { bundleAnalysis, bundleCorrelation } = results;
+    assert.deepStrictEqual([...bundleAnalysis.bundleFiles].sort(), [
+      "dist/app.js",
+      "dist/app.js.map",
+    ]);
+    assert.deepStrictEqual(bundleAnalysis.sourceFiles, ["src/main.js"]);
+    assert.deepStrictEqual(bundleAnalysis.sourceMaps, {
+      "src/main.js": ["dist/app.js.map"],
+    });
+    assert.deepStrictEqual(Object.keys(bundleAnalysis.fileSizes).sort(), [
+      "dist/app.js",
+      "dist/app.js.map",
+    ]);
+    assert.deepStrictEqual(bundleCorrelation.bundleUsedFiles, ["src/main.js"]);
+    assert.ok(bundleCorrelation.bundleUnusedFiles.includes("src/dead.js"));
+    assert.strictEqual(
+      bundleCorrelation.sizeImpact.fileSizes["src/dead.js"],
+      23
+    );
+  } finally {
+    removeProject(rootDir);
+  }
+});
@@ -0,0 +1,131 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { analyze } = require("../lib");
+const { discoverBundlerAliases } = require("../lib/bundler-config");
+const { createProject, removeProject } = require("./helpers");
+
+// Discover the aliases of a project made of `files`, with replacements
+// relative to its root
+const aliasesOf = (files) => {
+  const rootDir = createProject(files);
+  try {
+    return discoverBundlerAliases(rootDir).map(({ find, replacement }) => [
+      find,
+      find instanceof RegExp
+        ? replacement
+        : path.relative(rootDir, replacement),
+    ]);
+  } finally {
+    removeProject(rootDir);
+  }
+};
+
+test("reads Vite aliases in object and array form", () => {
+  assert.deepStrictEqual(
+    aliasesOf({
+      "vite.config.ts": `
+        import { fileURLToPath, URL } from "node:url";
+        import path from "path";
+        import { defineConfig } from "vite";
+        const src = "src";
+        export default defineConfig({
+          resolve: {
+            alias: {
+              "@": fileURLToPath(new URL("./" + src, import.meta.url)),
+              "#lib": path.resolve(__dirname, \`\${src}/lib\`),
+              vue: "vue/dist/vue.esm-bundler.js",
+            },
+          },
+        });
+      `,
+    }),
+    [
+      ["@", "src"],
+      ["#lib", "src/lib"],
+    ]
+  );
+  assert.deepStrictEqual(
+    aliasesOf({
+      "vite.config.js": `
+        export default () => ({
+          resolve: {
+            alias: [
+              { find: "~", replacement: "/src" },
+              { find: /^@\\/(.*)$/, replacement: "/src/$1" },
+            ],
+          },
+        });
+      `,
+    }),
+    [
+      ["~", "src"],
+      [/^@\/(.*)$/, "/src/$1"],
+    ]
+  );
+});
+
+test("reads webpack and vue-cli aliases", () => {
+  assert.deepStrictEqual(
+    aliasesOf({
+      "webpack.config.js": `
+        const path = require("path");
+        function resolve(dir) {
+          return path.join(__dirname, dir);
+        }
+        module.exports = {
+          resolve: { alias: { "@$": resolve("src/index.js"), "@": resolve("src") } },
+        };
+      `,
+    }),
+    [
+      ["@", "src/index.js"],
+      ["@", "src"],
+    ]
+  );
+  assert.deepStrictEqual(
+    aliasesOf({
+      "vue.config.js": `
+        const path = require("path");
+        module.exports = {
+          configureWebpack: {
+            resolve: { alias: { "@shared": path.resolve(__dirname, "shared") } },
+          },
+          chainWebpack: (config) => {
+            config.resolve.alias.set("@views", path.resolve(__dirname, "src/views"));
+          },
+        };
+      `,
+    }),
+    [
+      ["@shared", "shared"],
+      ["@views", "src/views"],
+    ]
+  );
+});
+
+test("imports resolve through discovered aliases unless turned off", async () => {
+  const rootDir = createProject({
+    "package.json": JSON.stringify({ name: "app" }),
+    "vite.config.js": `
+      import path from "path";
+      export default { resolve: { alias: { "#ui": path.resolve(__dirname, "ui") } } };
+    `,
+    "src/main.js": 'import Button from "#ui/Button.vue";\n',
+    "ui/Button.vue": "<template><button /></template>\n",
+  });
+  try {
+    const scan = (options) =>
+      analyze({ rootDir, cache: false, concurrency: 1, ...options });
+    const found = await scan();
+    assert.deepStrictEqual(found.dependencyGraph["src/main.js"], [
+      "ui/Button.vue",
+    ]);
+    assert.deepStrictEqual(found.unresolvedImports, []);
+
+    const off = await scan({ bundlerConfig: false });
+    assert.deepStrictEqual(off.dependencyGraph["src/main.js"] || [], []);
+  } finally {
+    removeProject(rootDir);
+  }
+});
@@ -0,0 +1,56 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { analyze } = require("../lib");
+const { getCacheDir } = require("../lib/cache");
+const { createProject, removeProject } = require("./helpers");
+
+test("cached runs look up imports that didn't resolve again", async () => {
+  const rootDir = createProject({
+    "package.json": JSON.stringify({ name: "app" }),
+    "src/main.js": 'import App from "./App.vue";\n',
+    "src/App.vue": '<template src="./App.html"></template>\n',
+  });
+  try {
+    const options = { rootDir, reachability: true, concurrency: 1 };
+    const first = await analyze(options);
+    assert.deepStrictEqual(
+      first.unresolvedImports.map(({ specifier }) => specifier),
+      ["./App.html"]
+    );
+
+    // Not a scanned file, so the cached resolutions stay valid
+    fs.writeFileSync(path.join(rootDir, "src/App.html"), "<div />\n");
+    const second = await analyze(options);
+    assert.deepStrictEqual(second.unresolvedImports, []);
+    assert.deepStrictEqual(second.dependencyGraph["src/App.vue"], [
+      "src/App.html",
+    ]);
+  } finally {
+    fs.rmSync(getCacheDir(rootDir), { recursive: true, force: true });
+    removeProject(rootDir);
+  }
+});
+
+test("projects without node_modules keep the cache in the temp dir", async () => {
+  const rootDir = createProject({
+    "package.json": JSON.stringify({ name: "app" }),
+    "src/main.js": 'import App from "./App.vue";\n',
+    "src/App.vue": "<template><div /></template>\n",
+  });
+  const cacheDir = getCacheDir(rootDir);
+  try {
+    await analyze({ rootDir, concurrency: 1 });
+    assert.strictEqual(
+      fs.existsSync(path.join(rootDir, "node_modules")),
+      false
+    );
+    assert.ok(cacheDir.startsWith(os.tmpdir()));
+    assert.ok(fs.existsSync(path.join(cacheDir, "analysis.json")));
+  } finally {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    removeProject(rootDir);
+  }
+});
@@ -0,0 +1,100 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { analyze } = require("../lib");
+const { findCycles } = require("../lib/cycles");
+const { createProject, removeProject } = require("./helpers");
+
+const CLI = path.join(__dirname, "..", "bin", "cli.js");
+
+test("findCycles reports each group with a shortest chain", () => {
+  const cycles = findCycles({
+    a: [{ target: "b", line: 1 }],
+    b: [
+      { target: "c", line: 3 },
+      { target: "a", line: 2 },
+    ],
+    c: [{ target: "a", line: 1 }],
+    d: [{ target: "d", line: 5 }],
+    e: [{ target: "a", line: 1 }],
+  });
+  assert.deepStrictEqual(cycles, [
+    {
+      files: ["a", "b", "c"],
+      chain: [
+        { file: "a", line: 1, target: "b" },
+        { file: "b", line: 2, target: "a" },
+      ],
+    },
+    { files: ["d"], chain: [{ file: "d", line: 5, target: "d" }] },
+  ]);
+});
+
+test("findCycles skips dynamic and type-only imports unless asked", () => {
+  const edges = {
+    a: [{ target: "b", line: 1 }],
+    b: [
+      { target: "a", line: 1, dynamic: true },
+      { target: "c", line: 2, typeOnly: true },
+    ],
+    c: [{ target: "b", line: 1 }],
+  };
+  assert.deepStrictEqual(findCycles(edges), []);
+  assert.deepStrictEqual(
+    findCycles(edges, { includeDynamic: true }).map(({ files }) => files),
+    [["a", "b"]]
+  );
+  assert.deepStrictEqual(
+    findCycles(edges, { includeTypeOnly: true }).map(({ files }) => files),
+    [["b", "c"]]
+  );
+});
+
+const PROJECT = {
+  "package.json": JSON.stringify({ name: "app" }),
+  "src/main.js": 'import { a } from "./a";\nconsole.log(a);\n',
+  "src/a.js": 'import { b } from "./b";\nexport const a = () => b;\n',
+  "src/b.js": 'import { a } from "./a";\nexport const b = () => a;\n',
+};
+
+test("analyze lists circular dependencies with their import lines", async () => {
+  const rootDir = createProject(PROJECT);
+  try {
+    const results = await analyze({
+      rootDir,
+      cycles: true,
+      cache: false,
+      concurrency: 1,
+    });
+    assert.deepStrictEqual(results.circularDependencies, [
+      {
+        files: ["src/a.js", "src/b.js"],
+        chain: [
+          { file: "src/a.js", line: 1, target: "src/b.js" },
+          { file: "src/b.js", line: 1, target: "src/a.js" },
+        ],
+      },
+    ]);
+  } finally {
+    removeProject(rootDir);
+  }
+});
+
+test("--max-cycles fails when there are more cycles than allowed", () => {
+  const rootDir = createProject(PROJECT);
+  const run = (...args) =>
+    spawnSync(process.execPath, [CLI, ...args, "--no-cache"], {
+      cwd: rootDir,
+      encoding: "utf-8",
+      timeout: 60000,
+    });
+  try {
+    const failed = run("--max-cycles", "0");
+    assert.strictEqual(failed.status, 1);
+    assert.match(failed.stderr, /1 circular dependency found, 0 allowed/);
+    assert.strictEqual(run("--max-cycles=1").status, 0);
+  } finally {
+    removeProject(rootDir);
+  }
+});
@@ -0,0 +1,52 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { analyze } = require("../lib");
+const { outputResults } = require("../lib/output");
+const { createProject, removeProject } = require("./helpers");
+
+test("--delete keeps files re-exported by a used barrel", async (t) => {
+  const rootDir = createProject({
+    "package.json": JSON.stringify({ name: "app" }),
+    "src/main.js": 'import { b } from "./lib";\nconsole.log(b);\n',
+    "src/lib/index.js": 'export { b } from "./b";\nexport { c } from "./c";\n',
+    "src/lib/b.js": "export const b = 1;\n",
+    "src/lib/c.js": 'import { d } from "./d";\nexport const c = d;\n',
+    "src/lib/d.js": "export const d = 1;\n",
+    "src/dead.js": "export const dead = 1;\n",
+  });
+  try {
+    const results = await analyze({
+      rootDir,
+      reachability: true,
+      absolutePaths: true,
+      cache: false,
+      concurrency: 1,
+    });
+    const file = (rel) => path.join(rootDir, rel);
+    assert.deepStrictEqual([...results.unusedFiles].sort(), [
+      file("src/dead.js"),
+      file("src/lib/c.js"),
+      file("src/lib/d.js"),
+    ]);
+    assert.deepStrictEqual(results.unusedReexports, [
+      {
+        file: file("src/lib/index.js"),
+        line: 2,
+        specifier: "./c",
+        target: file("src/lib/c.js"),
+      },
+    ]);
+
+    t.mock.method(console, "log", () => {});
+    await outputResults(results, { rootDir, delete: true, output: "cli" });
+
+    assert.ok(!fs.existsSync(file("src/dead.js")));
+    // c.js is re-exported, d.js is imported by c.js
+    assert.ok(fs.existsSync(file("src/lib/c.js")));
+    assert.ok(fs.existsSync(file("src/lib/d.js")));
+  } finally {
+    removeProject(rootDir);
+  }
+});
@@ -0,0 +1,31 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { analyze } = require("../lib");
+const { createProject, removeProject } = require("./helpers");
+
+test("files loaded by import.meta.glob or require.context use every export", async () => {
+  const rootDir = createProject({
+    "package.json": JSON.stringify({ name: "app" }),
+    "src/main.js":
+      'const pages = import.meta.glob("./pages/*.js", { eager: true });\n' +
+      'const stores = require.context("./stores", false, /\\.js$/);\n' +
+      "console.log(pages, stores);\n",
+    "src/pages/home.js": "export const title = 1;\nexport default {};\n",
+    "src/stores/user.js": "export const state = 1;\n",
+  });
+  try {
+    const results = await analyze({
+      rootDir,
+      exports: true,
+      cache: false,
+      concurrency: 1,
+    });
+    assert.deepStrictEqual(results.dependencyGraph["src/main.js"].sort(), [
+      "src/pages/home.js",
+      "src/stores/user.js",
+    ]);
+    assert.deepStrictEqual(results.unusedExports, []);
+  } finally {
+    removeProject(rootDir);
+  }
+});
@@ -0,0 +1,168 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { buildGraphView, toDot, toMermaid } = require("../lib/graph-export");
+const { createProject, removeProject } = require("./helpers");
+
+const CLI = path.join(__dirname, "..", "bin", "cli.js");
+
+const ROOT = path.resolve("/project");
+const file = (rel) => path.join(ROOT, rel);
+
+const RESULTS = {
+  allFiles: [
+    "src/main.js",
+    "src/App.vue",
+    "src/components/A.vue",
+    "src/components/B.vue",
+    "src/old/Dead.vue",
+  ].map(file),
+  unusedFiles: [file("src/old/Dead.vue")],
+  dependencyGraph: {
+    [file("src/main.js")]: [file("src/App.vue")],
+    [file("src/App.vue")]: [file("src/components/A.vue")],
+    [file("src/components/A.vue")]: [file("src/components/B.vue")],
+    [file("src/components/B.vue")]: [file("src/components/A.vue")],
+  },
+  packageImports: { [file("src/main.js")]: ["vue"] },
+};
+
+const edgesOf = (view) =>
+  view.edges.map(
+    ({ from, to, cycle }) => `${from} -> ${to}${cycle ? " (cycle)" : ""}`
+  );
+
+test("the full view has every file, package and edge", () => {
+  const view = buildGraphView(RESULTS, { rootDir: ROOT });
+  assert.deepStrictEqual(
+    view.nodes.map(({ id, kind, unused }) => [id, kind, unused]),
+    [
+      ["package:vue", "package", 0],
+      ["src/App.vue", "file", 0],
+      ["src/components/A.vue", "file", 0],
+      ["src/components/B.vue", "file", 0],
+      ["src/main.js", "file", 0],
+      ["src/old/Dead.vue", "file", 1],
+    ]
+  );
+  assert.deepStrictEqual(edgesOf(view), [
+    "src/App.vue -> src/components/A.vue",
+    "src/components/A.vue -> src/components/B.vue (cycle)",
+    "src/components/B.vue -> src/components/A.vue (cycle)",
+    "src/main.js -> package:vue",
+    "src/main.js -> src/App.vue",
+  ]);
+  assert.deepStrictEqual(
+    buildGraphView(RESULTS, { rootDir: ROOT, hidePackages: true }).nodes.map(
+      ({ id }) => id
+    ).length,
+    5
+  );
+});
+
+test("focus keeps the files around the focused ones, up to depth", () => {
+  const focused = (focus, depth) =>
+    buildGraphView(RESULTS, {
+      rootDir: ROOT,
+      focus: file(focus),
+      depth,
+    }).nodes.map(({ id }) => id);
+  assert.deepStrictEqual(focused("src/App.vue", 1), [
+    "src/App.vue",
+    "src/components/A.vue",
+    "src/main.js",
+  ]);
+  // Importers of a dependency are not pulled in
+  assert.deepStrictEqual(focused("src/components/B.vue"), [
+    "src/App.vue",
+    "src/components/A.vue",
+    "src/components/B.vue",
+    "src/main.js",
+  ]);
+  assert.deepStrictEqual(focused("src/main.js"), [
+    "package:vue",
+    "src/App.vue",
+    "src/components/A.vue",
+    "src/components/B.vue",
+    "src/main.js",
+  ]);
+  assert.throws(() => focused("lib"), /No scanned file is inside lib\./);
+});
+
+test("collapse draws one node per directory", () => {
+  const view = buildGraphView(RESULTS, {
+    rootDir: ROOT,
+    collapse: 2,
+    hidePackages: true,
+  });
+  assert.deepStrictEqual(
+    view.nodes.map(({ id, kind, unused, files }) => [id, kind, unused, files]),
+    [
+      ["src/", "directory", 0, 2],
+      ["src/components/", "directory", 0, 2],
+      ["src/old/", "directory", 1, 1],
+    ]
+  );
+  // Imports inside a collapsed directory are left out
+  assert.deepStrictEqual(edgesOf(view), ["src/ -> src/components/"]);
+});
+
+test("DOT and Mermaid mark unused files, packages and cycles", () => {
+  const view = buildGraphView(RESULTS, { rootDir: ROOT });
+  const dot = toDot(view);
+  assert.match(dot, /^digraph dependencies \{/);
+  assert.match(dot, /"src\/main.js" -> "src\/App.vue";/);
+  assert.match(
+    dot,
+    /"src\/components\/A.vue" -> "src\/components\/B.vue" \[color="#f59e0b", penwidth="2"\];/
+  );
+  assert.match(dot, /"src\/old\/Dead.vue" \[style="rounded,filled,dashed"/);
+  assert.match(dot, /"package:vue" \[label="vue", shape="ellipse"/);
+
+  const mermaid = toMermaid(view);
+  assert.match(mermaid, /^flowchart LR\n/);
+  assert.match(mermaid, /n0\(\["vue"\]\):::package/);
+  assert.match(mermaid, /n5\["src\/old\/Dead.vue"\]:::unused/);
+  assert.match(mermaid, /n4 --> n1/);
+  assert.match(mermaid, /linkStyle 1,2 stroke:#f59e0b,stroke-width:2px/);
+});
+
+test("--format mermaid writes the focused graph", () => {
+  const rootDir = createProject({
+    "package.json": JSON.stringify({ name: "app" }),
+    "src/main.js": 'import "./a";\n',
+    "src/a.js": 'import "./b";\n',
+    "src/b.js": "export default 1;\n",
+  });
+  const run = (...args) =>
+    spawnSync(process.execPath, [CLI, ...args, "--no-cache"], {
+      cwd: rootDir,
+      encoding: "utf-8",
+      timeout: 60000,
+    });
+  try {
+    const result = run(
+      "--format",
+      "mermaid",
+      "--focus",
+      "src/main.js",
+      "--depth",
+      "1"
+    );
+    assert.strictEqual(result.status, 0, result.stderr);
+    const mermaid = fs.readFileSync(
+      path.join(rootDir, "dependency-graph.mmd"),
+      "utf-8"
+    );
+    assert.match(mermaid, /"src\/a.js"/);
+    assert.doesNotMatch(mermaid, /"src\/b.js"/);
+
+    const invalid = run("--format", "dot", "--depth", "1");
+    assert.strictEqual(invalid.status, 1);
+    assert.match(invalid.stderr, /--depth needs --focus/);
+  } finally {
+    removeProject(rootDir);
+  }
+});
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Helpers shared by the tests.
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Write a project into a new temporary directory and return its path.
+ *
+ * @param {Object<string, string>} files File contents by path relative to
+ *   the project root.
+ */
+function createProject(files) {
+  const rootDir = fs.realpathSync(
+    fs.mkdtempSync(path.join(os.tmpdir(), "vue-unused-test-"))
+  );
+  for (const [file, content] of Object.entries(files)) {
+    const target = path.join(rootDir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+  }
+  return rootDir;
+}
+
+const removeProject = (rootDir) =>
+  fs.rmSync(rootDir, { recursive: true, force: true });
+
+module.exports = {
+  createProject,
+  removeProject,
+};
@@ -0,0 +1,42 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { analyze } = require("../lib");
+const { createProject, removeProject } = require("./helpers");
+
+test("props read through props / $props in the template are used", async () => {
+  const rootDir = createProject({
+    "package.json": JSON.stringify({ name: "app" }),
+    // Parsed as Vue 3 for `<script setup>`
+    "node_modules/vue/package.json": JSON.stringify({ version: "3.4.0" }),
+    "src/main.js":
+      'import Setup from "./Setup.vue";\nimport Options from "./Options.vue";\n' +
+      "export default [Setup, Options];\n",
+    "src/Setup.vue":
+      "<script setup>\nconst props = defineProps({ title: String, unused: String });\n</script>\n" +
+      "<template><h1>{{ props.title }}</h1></template>\n",
+    "src/Options.vue":
+      '<script>\nexport default { props: ["label", "other"] };\n</script>\n' +
+      "<template><span>{{ $props['label'] }}</span></template>\n",
+  });
+  try {
+    const results = await analyze({
+      rootDir,
+      members: true,
+      cache: false,
+      concurrency: 1,
+    });
+    assert.deepStrictEqual(
+      results.unusedMembers.map(({ file, name, reason }) => [
+        file,
+        name,
+        reason,
+      ]),
+      [
+        ["src/Options.vue", "other", "never read"],
+        ["src/Setup.vue", "unused", "never read"],
+      ]
+    );
+  } finally {
+    removeProject(rootDir);
+  }
+});
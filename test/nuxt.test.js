@@ -0,0 +1,76 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { analyze } = require("../lib");
+const { createProject, removeProject } = require("./helpers");
+
+const nuxt2Project = (config) => ({
+  "package.json": JSON.stringify({ dependencies: { nuxt: "^2.15.8" } }),
+  "nuxt.config.js": `export default ${config};\n`,
+  "pages/index.vue":
+    '<template><div><Foo /><img src="/logo.png" /></div></template>\n',
+  "components/Foo.vue": "<template><div /></template>\n",
+  "static/logo.png": "",
+});
+
+const scan = (rootDir) =>
+  analyze({
+    rootDir,
+    reachability: true,
+    assets: true,
+    cache: false,
+    concurrency: 1,
+  });
+
+test("Nuxt 2 only auto-imports components when the option is set", async () => {
+  let rootDir = createProject(nuxt2Project("{}"));
+  try {
+    const results = await scan(rootDir);
+    assert.deepStrictEqual(results.unusedFiles, ["components/Foo.vue"]);
+  } finally {
+    removeProject(rootDir);
+  }
+
+  rootDir = createProject(nuxt2Project("{ components: true }"));
+  try {
+    const results = await scan(rootDir);
+    assert.deepStrictEqual(results.unusedFiles, []);
+  } finally {
+    removeProject(rootDir);
+  }
+});
+
+test("Nuxt 2 serves absolute URLs from static/", async () => {
+  const rootDir = createProject(nuxt2Project("{}"));
+  try {
+    const results = await scan(rootDir);
+    assert.deepStrictEqual(results.unusedAssets, []);
+    assert.deepStrictEqual(results.unresolvedImports, []);
+  } finally {
+    removeProject(rootDir);
+  }
+});
+
+test("auto-imported composables count the names they provide", async () => {
+  const rootDir = createProject({
+    "package.json": JSON.stringify({ dependencies: { nuxt: "^3.0.0" } }),
+    "nuxt.config.ts": "export default defineNuxtConfig({});\n",
+    "pages/index.vue":
+      "<script setup>\nconst foo = useFoo();\n</script>\n<template><div>{{ foo }}</div></template>\n",
+    "composables/useFoo.js":
+      "export const useFoo = () => 1;\nexport const useUnused = () => 2;\n",
+  });
+  try {
+    const results = await analyze({
+      rootDir,
+      exports: true,
+      cache: false,
+      concurrency: 1,
+    });
+    assert.deepStrictEqual(
+      results.unusedExports.map(({ file, name }) => [file, name]),
+      [["composables/useFoo.js", "useUnused"]]
+    );
+  } finally {
+    removeProject(rootDir);
+  }
+});
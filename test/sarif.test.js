@@ -0,0 +1,146 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { buildSarifLog } = require("../lib/sarif");
+const { createProject, removeProject } = require("./helpers");
+
+const CLI = path.join(__dirname, "..", "bin", "cli.js");
+const ROOT = path.resolve("/project");
+const file = (rel) => path.join(ROOT, rel);
+
+const RESULTS = {
+  unusedFiles: [file("src/Old Card.vue")],
+  unusedExports: [{ file: file("src/utils.js"), line: 3, name: "helper" }],
+  unresolvedImports: [
+    { file: file("src/main.js"), line: 2, specifier: "./missing" },
+    { file: file("src/main.js"), line: 5, specifier: "./missing" },
+  ],
+  circularDependencies: [
+    {
+      files: [file("src/a.js"), file("src/b.js")],
+      chain: [
+        { file: file("src/a.js"), line: 1, target: file("src/b.js") },
+        { file: file("src/b.js"), line: 4, target: file("src/a.js") },
+      ],
+    },
+  ],
+};
+
+test("every finding becomes a result of its rule", () => {
+  const log = buildSarifLog(RESULTS, { rootDir: ROOT });
+  assert.strictEqual(log.version, "2.1.0");
+  const [run] = log.runs;
+  assert.strictEqual(
+    run.originalUriBaseIds["%SRCROOT%"].uri,
+    "file:///project/"
+  );
+  const summary = run.results.map(
+    ({ ruleId, ruleIndex, level, message, locations }) => {
+      assert.strictEqual(run.tool.driver.rules[ruleIndex].id, ruleId);
+      const { artifactLocation, region } = locations[0].physicalLocation;
+      return [
+        ruleId,
+        level,
+        message.text,
+        artifactLocation.uri,
+        region.startLine,
+      ];
+    }
+  );
+  assert.deepStrictEqual(summary, [
+    [
+      "unused-file",
+      "warning",
+      "src/Old%20Card.vue is never used.",
+      "src/Old%20Card.vue",
+      1,
+    ],
+    [
+      "unused-export",
+      "note",
+      "Export 'helper' is never imported.",
+      "src/utils.js",
+      3,
+    ],
+    [
+      "unresolved-import",
+      "error",
+      "'./missing' does not resolve to a file.",
+      "src/main.js",
+      2,
+    ],
+    [
+      "unresolved-import",
+      "error",
+      "'./missing' does not resolve to a file.",
+      "src/main.js",
+      5,
+    ],
+    [
+      "circular-dependency",
+      "warning",
+      "Circular import: src/a.js → src/b.js → src/a.js",
+      "src/a.js",
+      1,
+    ],
+  ]);
+  assert.deepStrictEqual(
+    run.results[4].relatedLocations.map(({ id, physicalLocation }) => [
+      id,
+      physicalLocation.artifactLocation.uri,
+      physicalLocation.region.startLine,
+    ]),
+    [[1, "src/b.js", 4]]
+  );
+});
+
+test("fingerprints survive moved lines and tell repeats apart", () => {
+  const fingerprints = (results) =>
+    buildSarifLog(results, { rootDir: ROOT }).runs[0].results.map(
+      ({ partialFingerprints }) => partialFingerprints["vueUnused/v1"]
+    );
+  const before = fingerprints(RESULTS);
+  const moved = fingerprints({
+    ...RESULTS,
+    unusedExports: [{ ...RESULTS.unusedExports[0], line: 30 }],
+    unresolvedImports: RESULTS.unresolvedImports.map((item) => ({
+      ...item,
+      line: item.line + 10,
+    })),
+  });
+  assert.deepStrictEqual(moved, before);
+  assert.strictEqual(new Set(before).size, before.length);
+});
+
+test("--format sarif writes vue-unused.sarif", () => {
+  const rootDir = createProject({
+    "package.json": JSON.stringify({ name: "app" }),
+    "src/main.js": 'import "./missing";\n',
+    "src/dead.js": "export const dead = 1;\n",
+  });
+  try {
+    const run = spawnSync(
+      process.execPath,
+      [CLI, "--reachability", "--format", "sarif", "--no-cache"],
+      { cwd: rootDir, encoding: "utf-8", timeout: 60000 }
+    );
+    assert.strictEqual(run.status, 0, run.stderr);
+    const log = JSON.parse(
+      fs.readFileSync(path.join(rootDir, "vue-unused.sarif"), "utf-8")
+    );
+    assert.deepStrictEqual(
+      log.runs[0].results.map(({ ruleId, locations }) => [
+        ruleId,
+        locations[0].physicalLocation.artifactLocation.uri,
+      ]),
+      [
+        ["unused-file", "src/dead.js"],
+        ["unresolved-import", "src/main.js"],
+      ]
+    );
+  } finally {
+    removeProject(rootDir);
+  }
+});
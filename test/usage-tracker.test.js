@@ -0,0 +1,73 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  createUsageTracker,
+  findReachableFiles,
+} = require("../lib/reachability");
+
+test("the tracker drops cycles cut off from every entry", () => {
+  const usage = createUsageTracker({ transitive: true });
+  assert.deepStrictEqual(
+    usage.update({ main: ["a"], a: ["b"], b: ["a"] }, ["main"]).sort(),
+    ["a", "b", "main"]
+  );
+  // a and b still import each other, but nothing used imports them
+  assert.deepStrictEqual(
+    usage.update({ main: [], a: ["b"], b: ["a"] }, ["main"]).sort(),
+    ["a", "b"]
+  );
+  assert.ok(!usage.isUsed("a") && !usage.isUsed("b"));
+  // Reached again through another path
+  assert.deepStrictEqual(
+    usage
+      .update({ main: ["c"], c: ["b"], a: ["b"], b: ["a"] }, ["main"])
+      .sort(),
+    ["a", "b", "c"]
+  );
+});
+
+test("the tracker follows entries added and removed", () => {
+  const usage = createUsageTracker({ transitive: true });
+  usage.update({ main: ["a"], other: ["b"] }, ["main"]);
+  assert.ok(!usage.isUsed("b"));
+  assert.deepStrictEqual(
+    usage.update({ main: ["a"], other: ["b"] }, ["main", "other"]).sort(),
+    ["b", "other"]
+  );
+  assert.deepStrictEqual(
+    usage.update({ main: ["a"], other: ["b"] }, ["other"]).sort(),
+    ["a", "main"]
+  );
+});
+
+test("without transitive, anything imported is used", () => {
+  const usage = createUsageTracker({ transitive: false });
+  usage.update({ a: ["b"], b: ["c"] }, []);
+  assert.ok(!usage.isUsed("a"));
+  assert.ok(usage.isUsed("b") && usage.isUsed("c"));
+  assert.deepStrictEqual(usage.update({ a: ["b"], b: [] }, []), ["c"]);
+  assert.deepStrictEqual(usage.update({ a: ["b"], b: [] }, ["a"]), ["a"]);
+});
+
+for (const transitive of [true, false]) {
+  test(`the tracker matches a full computation after every update (transitive: ${transitive})`, () => {
+    const files = ["f0", "f1", "f2", "f3", "f4", "f5", "f6", "f7"];
+    // Deterministic pseudo-random sequence
+    let seed = 7;
+    const random = () => (seed = (seed * 48271) % 2147483647) / 2147483647;
+    const usage = createUsageTracker({ transitive });
+    for (let step = 0; step < 200; step++) {
+      const graph = Object.fromEntries(
+        files.map((file) => [file, files.filter(() => random() < 0.15)])
+      );
+      const entries = files.filter(() => random() < 0.2);
+      usage.update(graph, entries);
+      const expected = transitive
+        ? findReachableFiles(graph, entries)
+        : new Set([...entries, ...Object.values(graph).flat()]);
+      files.forEach((file) =>
+        assert.strictEqual(usage.isUsed(file), expected.has(file), file)
+      );
+    }
+  });
+}
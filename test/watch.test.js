@@ -0,0 +1,79 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { analyzeProject } = require("../lib/analyzer");
+const { resolveConfig } = require("../lib/config");
+const { watchProject } = require("../lib/watch");
+const { createProject, removeProject } = require("./helpers");
+
+const PROJECT = {
+  "package.json": JSON.stringify({ name: "app" }),
+  "src/main.js": 'import App from "./App.vue";\n',
+  "src/App.vue":
+    '<script>\nimport Foo from "./Foo.vue";\nexport default { components: { Foo } };\n</script>\n',
+  "src/Foo.vue": "<template><div /></template>\n",
+  "src/Bar.vue": "<template><div /></template>\n",
+};
+
+// Watch a project, apply `edit` once the first scan is done and resolve
+// with the first change reported
+const watchEdit = async (config, edit) => {
+  let watcher;
+  const change = new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error("No change reported")),
+      10000
+    );
+    watchProject(config, {
+      onReady: () => setTimeout(edit, 50),
+      onChange: (changes) => {
+        clearTimeout(timer);
+        resolve(changes);
+      },
+      onError: reject,
+    }).then((result) => (watcher = result), reject);
+  });
+  try {
+    return await change;
+  } finally {
+    if (watcher) watcher.close();
+  }
+};
+
+for (const reachability of [false, true]) {
+  test(`watch mode agrees with a full scan after an edit (reachability: ${reachability})`, async () => {
+    const rootDir = createProject(PROJECT);
+    try {
+      const config = resolveConfig({
+        rootDir,
+        reachability,
+        cache: false,
+        concurrency: 1,
+      });
+      const before = await analyzeProject(config, null);
+      const changes = await watchEdit(config, () =>
+        fs.writeFileSync(
+          path.join(rootDir, "src/App.vue"),
+          '<script>\nimport Bar from "./Bar.vue";\nexport default { components: { Bar } };\n</script>\n'
+        )
+      );
+      const after = await analyzeProject(config, null);
+
+      assert.strictEqual(changes.unusedCount, after.unusedFiles.length);
+      assert.deepStrictEqual(
+        changes.newlyUnused,
+        after.unusedFiles.filter((f) => !before.unusedFiles.includes(f)).sort()
+      );
+      assert.deepStrictEqual(
+        changes.noLongerUnused,
+        before.unusedFiles.filter((f) => !after.unusedFiles.includes(f)).sort()
+      );
+      assert.deepStrictEqual(changes.newlyUnused, [
+        path.join(rootDir, "src/Foo.vue"),
+      ]);
+    } finally {
+      removeProject(rootDir);
+    }
+  });
+}
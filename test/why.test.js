@@ -0,0 +1,102 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { analyze } = require("../lib");
+const { outputWhy } = require("../lib/output");
+const { createProject, removeProject } = require("./helpers");
+
+const PROJECT = {
+  "package.json": JSON.stringify({ name: "app" }),
+  "src/main.js": 'import App from "./App.vue";\n',
+  "src/App.vue": "<template><div /></template>\n",
+};
+
+test("why agrees with the scan on implicit entries in default mode", async () => {
+  const rootDir = createProject(PROJECT);
+  try {
+    const results = await analyze({
+      rootDir,
+      why: "src/main.js",
+      cache: false,
+      concurrency: 1,
+    });
+    // Only configured entries count without --reachability
+    assert.ok(results.unusedFiles.includes("src/main.js"));
+    assert.strictEqual(results.why.used, false);
+    assert.strictEqual(results.why.entry, false);
+    assert.deepStrictEqual(results.why.chains, []);
+  } finally {
+    removeProject(rootDir);
+  }
+});
+
+test("why reports implicit entries in reachability mode", async () => {
+  const rootDir = createProject(PROJECT);
+  try {
+    const results = await analyze({
+      rootDir,
+      why: "src/App.vue",
+      reachability: true,
+      cache: false,
+      concurrency: 1,
+    });
+    assert.strictEqual(results.why.used, true);
+    assert.deepStrictEqual(results.why.chains, [
+      [
+        {
+          from: "src/main.js",
+          to: "src/App.vue",
+          via: [{ kind: "static", specifier: "./App.vue", line: 1 }],
+        },
+      ],
+    ]);
+  } finally {
+    removeProject(rootDir);
+  }
+});
+
+test("why explains default-mode usage with chains from implicit entries", async () => {
+  const rootDir = createProject(PROJECT);
+  try {
+    const results = await analyze({
+      rootDir,
+      why: "src/App.vue",
+      cache: false,
+      concurrency: 1,
+    });
+    assert.ok(!results.unusedFiles.includes("src/App.vue"));
+    assert.strictEqual(results.why.used, true);
+    assert.strictEqual(results.why.entry, false);
+    assert.deepStrictEqual(results.why.chains, [
+      [
+        {
+          from: "src/main.js",
+          to: "src/App.vue",
+          via: [{ kind: "static", specifier: "./App.vue", line: 1 }],
+        },
+      ],
+    ]);
+    assert.deepStrictEqual(results.why.importers, []);
+  } finally {
+    removeProject(rootDir);
+  }
+});
+
+test("why prints the chain behind default-mode usage", async (t) => {
+  const rootDir = createProject(PROJECT);
+  try {
+    const results = await analyze({
+      rootDir,
+      why: "src/App.vue",
+      absolutePaths: true,
+      cache: false,
+      concurrency: 1,
+    });
+    const log = t.mock.method(console, "log", () => {});
+    await outputWhy(results, { rootDir });
+    const output = log.mock.calls.map((call) => call.arguments.join(" "));
+    assert.ok(output.some((line) => line.includes("Shortest import chain")));
+    assert.ok(!output.some((line) => line.includes("--reachability")));
+  } finally {
+    removeProject(rootDir);
+  }
+});